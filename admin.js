@@ -0,0 +1,276 @@
+// admin.js
+
+const fs = require('fs');
+const { parseArgs } = require('util');
+const { getFirestore } = require('./lib/firebase');
+const { createFirestoreRepository } = require('./lib/repositories/firestoreRepository');
+const { DEFAULT_LOCK_NAME, inspectLock, releaseLock, withJobLock } = require('./lib/jobLock');
+const { runReconciliation, reconciliationToCsv } = require('./lib/reconciliation');
+const { previewReversal, applyReversal } = require('./lib/reversals');
+const { toJsDate } = require('./lib/roiRules');
+const { isValidDate } = require('./lib/cliOptions');
+const { listPendingPayouts, approvePendingPayout, rejectPendingPayout } = require('./lib/pendingPayouts');
+const { riskConfigFromEnv } = require('./lib/riskControls');
+const { referralConfigFromEnv } = require('./lib/referrals');
+const { loadScheduleConfig } = require('./lib/schedule');
+const { businessDate } = require('./lib/payoutDates');
+const { toMinorUnits, formatMoney, formatMajorTotals } = require('./lib/money');
+
+// Operator commands for the ROI job. Each command lives in a function below and
+// works through the repository, like the engines do.
+//
+//   node admin.js lock:inspect [--name roiPayouts]
+//   node admin.js lock:release --force [--name roiPayouts] [--by "your name"]
+//   node admin.js reconcile [--user <id>] [--format json|csv] [--out <file>] [--repair [--repair-unexplained]]
+//   node admin.js reverse [--investment <id>] [--user <id>] [--since YYYY-MM-DD] [--until YYYY-MM-DD]
+//                         --by "your name" --reason "why" [--confirm]
+//   node admin.js pending:list [--status pending|approved|rejected|all]
+//   node admin.js pending:approve --id <pendingPayoutId> --by "your name"
+//   node admin.js pending:reject --id <pendingPayoutId> --by "your name" --reason "why"
+
+const USAGE = `Usage:
+  node admin.js lock:inspect [--name ${DEFAULT_LOCK_NAME}]
+  node admin.js lock:release --force [--name ${DEFAULT_LOCK_NAME}] [--by <who>]
+  node admin.js reconcile [--user <id>] [--format json|csv] [--out <file>] [--repair [--repair-unexplained]]
+  node admin.js reverse [--investment <id>] [--user <id>] [--since YYYY-MM-DD] [--until YYYY-MM-DD] --by <who> --reason <why> [--confirm]
+  node admin.js pending:list [--status pending|approved|rejected|all]
+  node admin.js pending:approve --id <pendingPayoutId> --by <who>
+  node admin.js pending:reject --id <pendingPayoutId> --by <who> --reason <why>`;
+
+function formatDate(value) {
+  const date = toJsDate(value);
+  return date ? date.toISOString() : '-';
+}
+
+async function lockInspect(repository, { name }) {
+  const lock = await inspectLock(repository, { name });
+  if (!lock) {
+    console.log(`Lock "${name}" has never been taken.`);
+    return;
+  }
+  console.log(`Lock "${name}": ${lock.active ? 'HELD' : 'free'}`);
+  console.log(`  owner:       ${lock.ownerId || '-'}${lock.purpose ? ` (${lock.purpose})` : ''}`);
+  console.log(`  acquired:    ${formatDate(lock.acquiredAt)}`);
+  console.log(`  heartbeat:   ${formatDate(lock.heartbeatAt)}`);
+  console.log(`  expires:     ${formatDate(lock.expiresAt)}`);
+  console.log(`  previous:    ${lock.previousOwnerId || '-'}`);
+  if (lock.releasedAt) {
+    console.log(`  released:    ${formatDate(lock.releasedAt)} by ${lock.releasedBy || '-'}${lock.forced ? ' (forced)' : ''}`);
+  }
+}
+
+async function lockRelease(repository, { name, force, by }) {
+  if (!force) {
+    // Releasing someone else's lease lets a second run start while the first may still be paying.
+    throw new Error('lock:release needs --force. Check with lock:inspect that the holder is really gone first.');
+  }
+  const { released, holder } = await releaseLock(repository, { name, force: true, releasedBy: by || 'admin.js' });
+  if (released) {
+    console.log(`Released lock "${name}" (was held by ${holder.ownerId}).`);
+  } else {
+    console.log(`Lock "${name}" was not held; nothing to release.`);
+  }
+}
+
+async function reconcile(repository, { user, format, out, repair, 'repair-unexplained': repairUnexplained }) {
+  if (format !== 'json' && format !== 'csv') {
+    throw new Error(`--format must be "json" or "csv", got "${format}".`);
+  }
+  if (repairUnexplained && !repair) {
+    throw new Error('--repair-unexplained only applies together with --repair.');
+  }
+  // --repair only corrects drift the payout logs explain; --repair-unexplained also corrects the
+  // rest, which may be deposits, withdrawals or opening balances this job knows nothing about.
+  const run = () => runReconciliation(repository, { repair, repairUnexplained, userId: user || null });
+  let report;
+  if (repair) {
+    // Repairs move wallet balances, so they must not overlap a payout run.
+    const outcome = await withJobLock(repository, { purpose: 'reconcile --repair' }, run);
+    if (!outcome.ran) {
+      throw new Error('A payout run holds the lock; try the repair again when it has finished.');
+    }
+    report = outcome.result;
+  } else {
+    report = await run();
+  }
+
+  const output = format === 'csv' ? reconciliationToCsv(report) : JSON.stringify(report, null, 2);
+  if (out) {
+    fs.writeFileSync(out, `${output}\n`);
+  } else {
+    console.log(output);
+  }
+  // The summary goes to stderr so the report on stdout stays machine-readable.
+  const { totals } = report;
+  console.error(`Reconciliation ${report.runId}: ${totals.usersChecked} users checked, ${totals.usersWithIssues} with issues ` +
+    `(${totals.issues} issues, net drift ${formatMajorTotals(totals.driftByCurrency)})${repair ? `, ${totals.usersRepaired} repaired` : ''}.`);
+}
+
+function printReversalPreview(preview) {
+  console.log(`Reversal preview: ${preview.entries.length} payouts, ${formatMajorTotals(preview.totalByCurrency)} in total.`);
+  for (const entry of preview.entries) {
+    console.log(`  ${entry.payoutDate}  ${entry.investmentId}  user ${entry.userId}  ${formatMoney(-toMinorUnits(entry.amount, entry.currency), entry.currency)}`);
+  }
+  if (preview.commissions.length > 0) {
+    console.log(`With ${preview.commissions.length} referral commissions, ${formatMajorTotals(preview.commissionTotalByCurrency)} in total:`);
+  }
+  for (const commission of preview.commissions) {
+    console.log(`  ${commission.payoutDate}  ${commission.sourceLedgerId}  level ${commission.level} user ${commission.userId}  ${formatMoney(-toMinorUnits(commission.amount, commission.currency), commission.currency)}`);
+  }
+  for (const user of preview.users) {
+    const wallet = (amount) => formatMoney(toMinorUnits(amount, user.walletCurrency), user.walletCurrency);
+    const before = user.walletBalanceBefore === null ? '(no USERS doc)' : wallet(user.walletBalanceBefore);
+    const after = user.walletBalanceAfter === null ? '' : ` -> ${wallet(user.walletBalanceAfter)}`;
+    console.log(`  user ${user.userId}: walletBalance ${before}${after}`);
+  }
+  for (const investment of preview.investments) {
+    const days = investment.daysCompletedBefore === null ? '(no INVESTMENT doc)' : `${investment.daysCompletedBefore} -> ${investment.daysCompletedAfter}`;
+    console.log(`  investment ${investment.investmentId}: daysCompleted ${days}`);
+  }
+  for (const warning of preview.warnings) {
+    console.log(`  ⚠️ ${warning}`);
+  }
+}
+
+async function reverse(repository, { investment, user, since, until, by, reason, confirm }) {
+  for (const [flag, value] of [['since', since], ['until', until]]) {
+    if (value && !isValidDate(value)) {
+      throw new Error(`--${flag} must be a date formatted as YYYY-MM-DD, got "${value}".`);
+    }
+  }
+  const preview = await previewReversal(repository, { investmentId: investment, userId: user, since, until });
+  printReversalPreview(preview);
+  if (preview.entries.length === 0) {
+    console.log('Nothing to reverse.');
+    return;
+  }
+  if (!confirm) {
+    console.log('\nPreview only. Re-run with --confirm (and --by, --reason) to reverse these payouts.');
+    return;
+  }
+  if (!by || !reason) {
+    throw new Error('--confirm needs --by and --reason so the reversal records who made it and why.');
+  }
+
+  // Reversals move wallet balances and plan days, so they must not overlap a payout run.
+  const schedule = (await loadScheduleConfig(repository)).config;
+  const today = businessDate(new Date(), schedule); // For the refreshed profiles
+  const outcome = await withJobLock(repository, { purpose: 'reverse' }, () => applyReversal(repository, preview, { actor: by, reason, today, schedule }));
+  if (!outcome.ran) {
+    throw new Error('A payout run holds the lock; try the reversal again when it has finished.');
+  }
+  const { reversalId, reversed, totalByCurrency, commissions, commissionTotalByCurrency } = outcome.result;
+  console.log(`Reversal ${reversalId}: reversed ${reversed} payouts, ${formatMajorTotals(totalByCurrency)} in total, and ${commissions} commissions, ${formatMajorTotals(commissionTotalByCurrency)} in total.`);
+}
+
+async function pendingList(repository, { status }) {
+  const items = await listPendingPayouts(repository, { status: status === 'all' ? null : status });
+  console.log(`${items.length} ${status === 'all' ? '' : `${status} `}payouts in the approval queue.`);
+  for (const { id, data } of items) {
+    console.log(`  ${id}  ${data.status}  user ${data.userId}  ${data.amount.toFixed(2)} ${data.currency || ''}`.trimEnd());
+    for (const reason of data.reasons || []) {
+      console.log(`      ${reason}`);
+    }
+    if (data.decidedBy) {
+      console.log(`      ${data.status} by ${data.decidedBy} at ${formatDate(data.decidedAt)}${data.decisionReason ? `: ${data.decisionReason}` : ''}`);
+    }
+  }
+}
+
+// Approving credits wallets and rejecting releases an investment, so both hold the payout lock.
+async function pendingApprove(repository, { id, by }) {
+  if (!id || !by) {
+    throw new Error('pending:approve needs --id and --by.');
+  }
+  const schedule = (await loadScheduleConfig(repository)).config;
+  const approve = () => approvePendingPayout(repository, id, {
+    actor: by,
+    referralLevels: referralConfigFromEnv().levels,
+    risk: riskConfigFromEnv(),
+    schedule,
+  });
+  const outcome = await withJobLock(repository, { purpose: 'pending:approve' }, approve);
+  if (!outcome.ran) {
+    throw new Error('A payout run holds the lock; try the approval again when it has finished.');
+  }
+  const { paid, amount } = outcome.result;
+  console.log(paid ? `Approved ${id}: paid ${amount.toFixed(2)}.` : `Approved ${id}: it was already on the ledger, nothing more paid.`);
+}
+
+async function pendingReject(repository, { id, by, reason }) {
+  if (!id || !by || !reason) {
+    throw new Error('pending:reject needs --id, --by and --reason.');
+  }
+  const outcome = await withJobLock(repository, { purpose: 'pending:reject' }, () => rejectPendingPayout(repository, id, { actor: by, reason }));
+  if (!outcome.ran) {
+    throw new Error('A payout run holds the lock; try the rejection again when it has finished.');
+  }
+  console.log(`Rejected ${id}; it is no longer held.`);
+}
+
+const COMMANDS = {
+  'lock:inspect': lockInspect,
+  'lock:release': lockRelease,
+  reconcile,
+  reverse,
+  'pending:list': pendingList,
+  'pending:approve': pendingApprove,
+  'pending:reject': pendingReject,
+};
+
+async function main() {
+  let command;
+  let values;
+  try {
+    const parsed = parseArgs({
+      args: process.argv.slice(2),
+      allowPositionals: true,
+      options: {
+        name: { type: 'string', default: DEFAULT_LOCK_NAME },
+        force: { type: 'boolean', default: false },
+        by: { type: 'string' },
+        user: { type: 'string' },
+        format: { type: 'string', default: 'json' },
+        out: { type: 'string' },
+        repair: { type: 'boolean', default: false },
+        'repair-unexplained': { type: 'boolean', default: false },
+        investment: { type: 'string' },
+        since: { type: 'string' },
+        until: { type: 'string' },
+        reason: { type: 'string' },
+        confirm: { type: 'boolean', default: false },
+        id: { type: 'string' },
+        status: { type: 'string', default: 'pending' },
+      },
+    });
+    [command] = parsed.positionals;
+    values = parsed.values;
+  } catch (error) {
+    console.error(`❌ ${error.message}\n${USAGE}`);
+    process.exit(1);
+  }
+  if (!COMMANDS[command]) {
+    console.error(USAGE);
+    process.exit(1);
+  }
+
+  const repository = createFirestoreRepository(getFirestore());
+  await COMMANDS[command](repository, values);
+}
+
+if (require.main === module) {
+  main().then(() => process.exit(0), (error) => {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  lockInspect,
+  lockRelease,
+  reconcile,
+  reverse,
+  pendingList,
+  pendingApprove,
+  pendingReject,
+};
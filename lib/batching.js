@@ -0,0 +1,84 @@
+// lib/batching.js
+
+// --- Paging, chunked commits and bounded concurrency ---
+// Firestore rejects a batch with more than 500 writes, and loading every document with one
+// get() does not scale, so both engines read in pages and commit in chunks through these helpers.
+
+const MAX_BATCH_WRITES = 500; // Firestore's hard limit per batch
+const DEFAULT_PAGE_SIZE = 300;
+const DEFAULT_CONCURRENCY = 10;
+
+/**
+ * Reads a collection page by page in document ID order.
+ * @param {object} repository - Storage backend (see lib/repositories).
+ * @param {string} collection - Collection to read.
+ * @param {object} [options]
+ * @param {Array} [options.where] - Equality/range filters, as for repository.listDocuments.
+ * @param {number} [options.pageSize] - Documents per page.
+ * @param {string|null} [options.startAfter] - Resume after this document ID.
+ * @returns {AsyncGenerator<Array<{ id: string, data: object }>>}
+ */
+async function* paginate(repository, collection, { where = [], pageSize = DEFAULT_PAGE_SIZE, startAfter = null } = {}) {
+  let cursor = startAfter;
+  while (true) {
+    const page = await repository.listDocuments(collection, { where, limit: pageSize, startAfter: cursor });
+    if (page.length === 0) {
+      return;
+    }
+    yield page;
+    if (page.length < pageSize) {
+      return;
+    }
+    cursor = page[page.length - 1].id;
+  }
+}
+
+/**
+ * Commits writes in batches of at most `chunkSize`. Each chunk is atomic; chunks are committed in order.
+ * @returns {Promise<number>} Number of batches committed.
+ */
+async function commitInChunks(repository, writes, chunkSize = MAX_BATCH_WRITES) {
+  let batches = 0;
+  for (let start = 0; start < writes.length; start += chunkSize) {
+    await repository.commitWrites(writes.slice(start, start + chunkSize));
+    batches++;
+  }
+  return batches;
+}
+
+/**
+ * Runs `fn` over `items` with at most `limit` calls in flight. Results keep the input order.
+ * The first rejection is rethrown after the calls already in flight have settled.
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  let firstError = null;
+
+  async function worker() {
+    while (next < items.length && !firstError) {
+      const index = next++;
+      try {
+        results[index] = await fn(items[index], index);
+      } catch (error) {
+        firstError = firstError || error;
+      }
+    }
+  }
+
+  const workers = Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, worker);
+  await Promise.all(workers);
+  if (firstError) {
+    throw firstError;
+  }
+  return results;
+}
+
+module.exports = {
+  MAX_BATCH_WRITES,
+  DEFAULT_PAGE_SIZE,
+  DEFAULT_CONCURRENCY,
+  paginate,
+  commitInChunks,
+  mapWithConcurrency,
+};
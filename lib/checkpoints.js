@@ -0,0 +1,53 @@
+// lib/checkpoints.js
+
+// --- Run checkpoints ---
+// Each engine records, per business date, the last document ID it finished. If a run is
+// interrupted, the next run for the same date resumes after that document instead of
+// starting over. One checkpoint document per (engine, business date).
+const CHECKPOINT_COLLECTION = 'roiJobCheckpoints';
+
+/** Checkpoint document ID for an engine's run on a business date ('YYYY-MM-DD'). */
+function checkpointId(engine, businessDate) {
+  return `${engine}_${businessDate}`;
+}
+
+/**
+ * Decides where a run should start.
+ * @returns {Promise<{ startAfter: string|null, resumed: boolean }>}
+ */
+async function resumePoint(repository, id, { fromStart = false } = {}) {
+  if (fromStart) {
+    return { startAfter: null, resumed: false };
+  }
+  const checkpoint = await repository.getDocument(CHECKPOINT_COLLECTION, id);
+  if (checkpoint && checkpoint.status === 'running' && checkpoint.lastDocId) {
+    return { startAfter: checkpoint.lastDocId, resumed: true };
+  }
+  return { startAfter: null, resumed: false };
+}
+
+/**
+ * Builds the write that records progress. Commit it together with (or right after) the
+ * writes for the page it describes.
+ * @param {string} id - Checkpoint document ID.
+ * @param {object} progress
+ * @param {string} progress.engine
+ * @param {string} progress.businessDate
+ * @param {string|null} progress.lastDocId - Last document fully processed.
+ * @param {'running'|'completed'} progress.status
+ */
+function checkpointWrite(id, { engine, businessDate, lastDocId, status }) {
+  return {
+    type: 'set',
+    collection: CHECKPOINT_COLLECTION,
+    id,
+    data: { engine, businessDate, lastDocId, status, updatedAt: new Date() },
+  };
+}
+
+module.exports = {
+  CHECKPOINT_COLLECTION,
+  checkpointId,
+  resumePoint,
+  checkpointWrite,
+};
@@ -0,0 +1,102 @@
+// lib/cliOptions.js
+
+const { parseArgs } = require('util');
+const dayjs = require('dayjs');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TRIGGERS = ['cron', 'manual', 'backfill'];
+
+function isValidDate(value) {
+  return DATE_PATTERN.test(value) && dayjs(value).isValid();
+}
+
+function parsePositiveInteger(name, value) {
+  if (value === undefined || value === '') {
+    return null;
+  }
+  const parsed = Number(value);
+  if (!Number.isInteger(parsed) || parsed <= 0) {
+    throw new Error(`${name} must be a positive integer, got "${value}".`);
+  }
+  return parsed;
+}
+
+/**
+ * Parses the command line options shared by both ROI engines.
+ *
+ *   --catch-up                 pay today plus any days missed during downtime (or ROI_CATCH_UP=true)
+ *   --since YYYY-MM-DD         backfill a date window by hand (roiTask.js only)
+ *   --until YYYY-MM-DD         last day of the backfill window, inclusive (defaults to today)
+ *   --dry-run                  run every check and calculation but write nothing (or ROI_DRY_RUN=true)
+ *   --as-of YYYY-MM-DD         evaluate the run as if it were this date (or ROI_AS_OF)
+ *   --json                     print the run report as JSON instead of text
+ *   --from-start               ignore an unfinished checkpoint for today and start over
+ *   --trigger cron|manual|backfill  what started the run, for the run history (or ROI_TRIGGER);
+ *                              a scheduler running roiTask.js should pass --trigger cron
+ *
+ * Paging is tuned with ROI_PAGE_SIZE (documents per page) and ROI_CONCURRENCY
+ * (investments processed in parallel by roiTask.js).
+ *
+ * @param {string[]} argv - Arguments after the script name.
+ * @param {object} [env] - Environment variables (defaults to process.env).
+ * @returns {{ catchUp: boolean, since: string|null, until: string|null, dryRun: boolean, asOf: string|null, json: boolean, fromStart: boolean, trigger: string|null, pageSize: number|null, concurrency: number|null }}
+ * @throws {Error} When an option is malformed.
+ */
+function parseRunOptions(argv, env = process.env) {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      'catch-up': { type: 'boolean', default: false },
+      since: { type: 'string' },
+      until: { type: 'string' },
+      'dry-run': { type: 'boolean', default: false },
+      'as-of': { type: 'string' },
+      json: { type: 'boolean', default: false },
+      'from-start': { type: 'boolean', default: false },
+      trigger: { type: 'string' },
+    },
+  });
+
+  const asOf = values['as-of'] || env.ROI_AS_OF || null;
+
+  for (const [flag, value] of [['since', values.since], ['until', values.until], ['as-of', asOf]]) {
+    if (value && !isValidDate(value)) {
+      throw new Error(`--${flag} must be a date formatted as YYYY-MM-DD, got "${value}".`);
+    }
+  }
+  if (values.until && !values.since) {
+    throw new Error('--until requires --since.');
+  }
+  if (values.since && values.until && values.since > values.until) {
+    throw new Error('--since must not be after --until.');
+  }
+
+  const trigger = values.trigger || env.ROI_TRIGGER || null;
+  if (trigger && !TRIGGERS.includes(trigger)) {
+    throw new Error(`--trigger must be one of ${TRIGGERS.join(', ')}, got "${trigger}".`);
+  }
+
+  const pageSize = parsePositiveInteger('ROI_PAGE_SIZE', env.ROI_PAGE_SIZE);
+  if (pageSize && pageSize > 500) {
+    throw new Error(`ROI_PAGE_SIZE must be at most 500, got ${pageSize}.`);
+  }
+  const concurrency = parsePositiveInteger('ROI_CONCURRENCY', env.ROI_CONCURRENCY);
+
+  return {
+    catchUp: values['catch-up'] || env.ROI_CATCH_UP === 'true',
+    since: values.since || null,
+    until: values.until || null,
+    dryRun: values['dry-run'] || env.ROI_DRY_RUN === 'true',
+    asOf,
+    json: values.json,
+    fromStart: values['from-start'],
+    trigger,
+    pageSize,
+    concurrency,
+  };
+}
+
+module.exports = {
+  isValidDate,
+  parseRunOptions,
+};
@@ -0,0 +1,19 @@
+// lib/collections.js
+
+// --- Firestore collection names ---
+// index.js (the daily ROI increase engine) works on the lowercase 'users' / 'investmentPlans' collections.
+// roiTask.js works on the uppercase 'INVESTMENT' / 'USERS' collections, and queues payouts that
+// need an admin's approval in 'pendingPayouts' (see lib/pendingPayouts.js).
+const LEGACY_USERS_COLLECTION = 'users';
+const INVESTMENT_PLANS_COLLECTION = 'investmentPlans';
+const INVESTMENT_COLLECTION = 'INVESTMENT';
+const USERS_COLLECTION = 'USERS';
+const PENDING_PAYOUTS_COLLECTION = 'pendingPayouts';
+
+module.exports = {
+  LEGACY_USERS_COLLECTION,
+  INVESTMENT_PLANS_COLLECTION,
+  INVESTMENT_COLLECTION,
+  USERS_COLLECTION,
+  PENDING_PAYOUTS_COLLECTION,
+};
@@ -0,0 +1,292 @@
+// lib/engines/dailyRoiIncrease.js
+
+const { LEGACY_USERS_COLLECTION, INVESTMENT_PLANS_COLLECTION, PENDING_PAYOUTS_COLLECTION } = require('../collections');
+const { createRunReport } = require('../runReport');
+const { recordRun, defaultTrigger } = require('../runHistory');
+const { arrayUnion } = require('../repositories/fieldOps');
+const { evaluateUserRoiIncrease } = require('../roiRules');
+const { businessDate: businessDateOf, businessDateInstant } = require('../payoutDates');
+const { DEFAULT_SCHEDULE } = require('../schedule');
+const { DEFAULT_PAGE_SIZE, paginate, commitInChunks } = require('../batching');
+const { checkpointId, resumePoint, checkpointWrite } = require('../checkpoints');
+const { formatMoney, toMinorUnits } = require('../money');
+const { defaultRiskConfig, accountBlock, approvalReasons, paidOnLoader, createPayoutBudget } = require('../riskControls');
+const { legacyPendingPayoutId, legacyQueueWrites } = require('../pendingPayouts');
+
+// Reserves each log's amount against the daily caps; on a refusal, gives back what was reserved.
+async function reserveLogs(budget, userId, logs) {
+    const reserved = [];
+    for (const log of logs) {
+        const reason = await budget.reserve(userId, log.date, log.amountMinor, log.currency);
+        if (reason) {
+            for (const earlier of reserved) {
+                await budget.release(userId, earlier.date, earlier.amountMinor, earlier.currency);
+            }
+            return reason;
+        }
+        reserved.push(log);
+    }
+    return null;
+}
+
+// Throws the signal's reason (see lib/jobLock.js) once it is aborted.
+function throwIfAborted(signal) {
+    if (signal) {
+        signal.throwIfAborted();
+    }
+}
+
+// Why any of the days needs an admin's approval; the user's earlier logs are the payout history.
+function increaseApprovalReasons(userData, logs, riskConfig) {
+    const history = { payoutLogs: (Array.isArray(userData.roiIncreaseLogs) ? userData.roiIncreaseLogs : []).map((log) => ({ ...log, status: 'paid' })) };
+    const reasons = logs.flatMap((log) => approvalReasons({ roiAmountMinor: log.amountMinor, currency: log.currency }, history, riskConfig));
+    return [...new Set(reasons)];
+}
+
+// --- Main ROI Calculation and Update Logic ---
+/**
+ * Asynchronously runs the daily ROI increase logic for active users.
+ * It fetches investment plans, pages through active users, calculates ROI,
+ * and commits each page's updates in batches of at most 500 writes.
+ * Progress is checkpointed per page, so an interrupted run resumes where it stopped.
+ *
+ * @param {object} repository - Storage backend (see lib/repositories).
+ * @param {object} [options]
+ * @param {boolean} [options.catchUp] - Credit every full day missed since the last update, not just one.
+ * @param {boolean} [options.dryRun] - Run every check and calculation but skip the batch commit.
+ * @param {string} [options.asOf] - Evaluate the run as if it were two hours into this business date ('YYYY-MM-DD'),
+ *   2 AM with the default day boundary.
+ * @param {object} [options.schedule] - Timezone and day boundary from loadScheduleConfig() (see lib/schedule.js); default UTC midnight.
+ * @param {number} [options.pageSize] - Users read (and committed) per page.
+ * @param {boolean} [options.fromStart] - Ignore an unfinished checkpoint for today and start over.
+ * @param {'cron'|'manual'|'backfill'} [options.trigger] - Recorded on the run document (default 'manual').
+ * @param {object} [options.risk] - Account checks, daily caps and the approval queue (see lib/riskControls.js).
+ *   The caps also count what earlier runs and the roiTask engine paid for the same date.
+ * @param {AbortSignal} [options.signal] - From withJobLock() (see lib/jobLock.js). Once it is aborted the
+ *   current page is not committed and the run is recorded as 'aborted'; the next run resumes from the last checkpoint.
+ * @returns {Promise<object>} The run report (see lib/runReport.js), also stored in roiJobRuns unless dry-run.
+ */
+async function runDailyROIIncrease(repository, options = {}) {
+    // Current time of cron job execution, or the simulated time for an --as-of run.
+    const schedule = options.schedule || DEFAULT_SCHEDULE;
+    const now = options.asOf ? businessDateInstant(options.asOf, schedule, 2) : new Date();
+    const report = createRunReport({
+        engine: 'dailyRoiIncrease',
+        asOf: now.toISOString(),
+        dryRun: !!options.dryRun,
+        trigger: defaultTrigger(options),
+    });
+    const dryRunLabel = options.dryRun ? ' [DRY RUN - no writes]' : '';
+
+    console.log(`\n--- [${new Date().toISOString()}] Daily ROI Increase function started${dryRunLabel}. Evaluating as of ${now.toISOString()}. ---`);
+
+    try {
+        // 1. Fetch all investment plans to get their daily ROI percentages
+        console.log('Fetching all investment plans...');
+        const planDocs = await repository.listDocuments(INVESTMENT_PLANS_COLLECTION);
+        if (planDocs.length === 0) {
+            console.error('No investment plans found in Firestore. Please ensure your plans are in the "investmentPlans" collection.');
+            throw Object.assign(new Error('No investment plans found.'), { code: 'no-plans' }); // Cannot proceed without plans
+        }
+        const investmentPlans = {};
+        planDocs.forEach(({ id, data }) => {
+            investmentPlans[id] = data;
+        });
+        console.log(`Successfully fetched ${planDocs.length} investment plans.`);
+
+        // 2. Work out where to start: after the last committed page if today's run was interrupted.
+        // A dry run never writes checkpoints, so it always reads from the beginning.
+        const businessDate = businessDateOf(now, schedule);
+        const progressId = checkpointId('dailyRoiIncrease', businessDate);
+        const { startAfter, resumed } = options.dryRun
+            ? { startAfter: null, resumed: false }
+            : await resumePoint(repository, progressId, { fromStart: options.fromStart });
+        if (resumed) {
+            console.log(`Resuming interrupted run after user ${startAfter}.`);
+        }
+
+        // 3. Page through users with an 'active' earningStatus
+        console.log('Querying for active users...');
+        const pages = paginate(repository, LEGACY_USERS_COLLECTION, {
+            where: [['earningStatus', '==', 'active']],
+            pageSize: options.pageSize || DEFAULT_PAGE_SIZE,
+            startAfter,
+        });
+
+        const riskConfig = options.risk || defaultRiskConfig();
+        const budget = createPayoutBudget(riskConfig, paidOnLoader(repository));
+
+        let usersSeen = 0;
+        let usersProcessed = 0;
+        let usersSkipped = 0;
+
+        for await (const activeUsers of pages) {
+            const writes = []; // This page's updates, committed in chunks below
+            usersSeen += activeUsers.length;
+
+            // Iterate through each active user document
+            for (const { id: userId, data: userData } of activeUsers) {
+                throwIfAborted(options.signal);
+                const investmentPlanId = userData.investmentPlanId; // The ID of the plan the user signed up for
+                const plan = investmentPlanId ? investmentPlans[investmentPlanId] : undefined;
+                const blocked = accountBlock(userData, riskConfig);
+                if (blocked) {
+                    console.log(`  User ${userId}: risk: ${blocked}. Skipping.`);
+                    report.addSkip(userId, investmentPlanId, `risk: ${blocked}`);
+                    usersSkipped++;
+                    continue;
+                }
+                if (userData.pendingPayoutId) {
+                    console.log(`  User ${userId}: payout ${userData.pendingPayoutId} is awaiting approval. Skipping.`);
+                    report.addSkip(userId, investmentPlanId, `payout ${userData.pendingPayoutId} awaiting approval`);
+                    usersSkipped++;
+                    continue;
+                }
+                let outcome;
+                try {
+                    outcome = evaluateUserRoiIncrease({ userData, plan, now, catchUp: options.catchUp, schedule });
+                } catch (error) {
+                    // Malformed data on one user must not stop the others; the run document records it.
+                    console.error(`  User ${userId}: failed to evaluate ROI:`, error.message);
+                    report.addFailure(userId, investmentPlanId, error.message);
+                    continue;
+                }
+
+                if (outcome.action === 'skip') {
+                    console.log(`  User ${userId}: ${outcome.reason}. Skipping.`);
+                    report.addSkip(userId, investmentPlanId, outcome.reason);
+                    usersSkipped++;
+                    continue;
+                }
+
+                if (outcome.action === 'none') {
+                    continue;
+                }
+
+                if (outcome.action === 'markCompleted') {
+                    // The cycle is already complete; only the status needs fixing.
+                    console.log(`  User ${userId}: ROI cycle already completed. Setting earningStatus to 'completed'.`);
+                    writes.push({ type: 'update', collection: LEGACY_USERS_COLLECTION, id: userId, data: { earningStatus: 'completed' } });
+                    report.addStatusChange(userId, investmentPlanId, { from: userData.earningStatus, to: 'completed' });
+                    usersProcessed++; // Count this as a processed update for status change
+                    continue;
+                }
+
+                // Prepare update data for Firestore
+                const fields = {
+                    currentROI: parseFloat(outcome.currentROI.toFixed(2)), // Store with 2 decimal places
+                    currentROIValue: outcome.newROIValue, // Already rounded to the plan currency
+                    roiIncreaseDayCount: outcome.roiIncreaseDayCount,
+                    lastROIUpdateDate: now, // Mark the time of this successful update
+                };
+                // If this update completes the cycle, set earningStatus to 'completed'
+                if (outcome.completed) {
+                    fields.earningStatus = 'completed';
+                }
+
+                // Large or unusual increases wait for an admin (see lib/pendingPayouts.js).
+                const reasons = increaseApprovalReasons(userData, outcome.logs, riskConfig);
+                if (reasons.length > 0) {
+                    const pendingPayoutId = legacyPendingPayoutId(userId, outcome.logs[0].date);
+                    const decided = options.dryRun ? null : await repository.getDocument(PENDING_PAYOUTS_COLLECTION, pendingPayoutId);
+                    if (decided) {
+                        console.log(`  User ${userId}: payout ${pendingPayoutId} was already ${decided.status} by an admin. Skipping.`);
+                        report.addSkip(userId, investmentPlanId, `payout for ${outcome.logs[0].date} already ${decided.status}`);
+                        usersSkipped++;
+                        continue;
+                    }
+                    if (!options.dryRun) {
+                        writes.push(...legacyQueueWrites({ userId, userData, logs: outcome.logs, fields, reasons, runId: report.runId }).writes);
+                    }
+                    console.log(`  User ${userId}: ${options.dryRun ? 'would hold' : 'held'} ${outcome.logs.length} day(s) for approval: ${reasons.join('; ')}.`);
+                    for (const log of outcome.logs) {
+                        report.addHold(userId, investmentPlanId, { date: log.date, amount: log.amount, amountMinor: log.amountMinor, currency: log.currency, reasons, pendingPayoutId });
+                    }
+                    continue;
+                }
+
+                // Every credited day must fit under the caps, or the user gets nothing this run.
+                const capReason = await reserveLogs(budget, userId, outcome.logs);
+                if (capReason) {
+                    console.log(`  User ${userId}: risk: ${capReason}. Skipping.`);
+                    report.addSkip(userId, investmentPlanId, `risk: ${capReason}`);
+                    usersSkipped++;
+                    continue;
+                }
+
+                const updateData = { ...fields, roiIncreaseLogs: arrayUnion(...outcome.logs) }; // One dated entry per credited day
+                if (outcome.completed) {
+                    console.log(`  User ${userId}: Completed ${outcome.cycleDays}-day ROI cycle! Setting earningStatus to 'completed'.`);
+                    report.addStatusChange(userId, investmentPlanId, { from: 'active', to: 'completed', date: outcome.logs[outcome.logs.length - 1].date });
+                }
+
+                writes.push({ type: 'update', collection: LEGACY_USERS_COLLECTION, id: userId, data: updateData });
+                usersProcessed++;
+                for (const log of outcome.logs) {
+                    report.addPayout(userId, investmentPlanId, {
+                        date: log.date,
+                        day: log.day,
+                        amount: log.amount, // Value added by this day
+                        amountMinor: log.amountMinor,
+                        currency: log.currency,
+                        roiPercent: log.roiPercent,
+                        planName: plan.name || investmentPlanId,
+                    });
+                }
+                if (outcome.logs.length > 1) {
+                    console.log(`  User ${userId}: Caught up ${outcome.logs.length} missed days (${outcome.logs.map(log => log.date).join(', ')}).`);
+                }
+                console.log(`  User ${userId}: ROI updated. Day ${outcome.roiIncreaseDayCount}/${outcome.cycleDays}. Plan: ${investmentPlanId} (Daily ROI: ${outcome.logs[outcome.logs.length - 1].roiPercent}%). New Total ROI%: ${outcome.currentROI.toFixed(2)}%. New ROI Value: ${formatMoney(toMinorUnits(outcome.newROIValue, outcome.currency), outcome.currency)}.`);
+            }
+
+            // Commit this page. The checkpoint rides in the last chunk, so it only
+            // moves forward once every update before it is committed.
+            throwIfAborted(options.signal); // Nothing of this page is committed once the lock is lost
+            if (!options.dryRun) {
+                writes.push(checkpointWrite(progressId, {
+                    engine: 'dailyRoiIncrease',
+                    businessDate,
+                    lastDocId: activeUsers[activeUsers.length - 1].id,
+                    status: 'running',
+                }));
+                await commitInChunks(repository, writes);
+            }
+            console.log(`Processed ${usersSeen} active users so far.`);
+        }
+
+        if (usersSeen === 0) {
+            console.log('No active users found to process ROI. Exiting function.');
+        }
+
+        if (options.dryRun) {
+            console.log(`\n--- [${new Date().toISOString()}] Dry run complete. Would update ${usersProcessed} users. Skipped ${usersSkipped} users. Nothing was written. ---`);
+        } else {
+            await repository.commitWrites([checkpointWrite(progressId, {
+                engine: 'dailyRoiIncrease',
+                businessDate,
+                lastDocId: null,
+                status: 'completed',
+            })]);
+            if (usersProcessed > 0) {
+                console.log(`\n--- [${new Date().toISOString()}] Daily ROI Increase function completed. Committed updates for ${usersProcessed} users. Skipped ${usersSkipped} users. ---`);
+            } else {
+                console.log(`\n--- [${new Date().toISOString()}] No users needed ROI updates or all were skipped. ---`);
+            }
+        }
+
+        report.finish();
+    } catch (error) {
+        console.error(`\n--- [${new Date().toISOString()}] CRITICAL ERROR in runDailyROIIncrease function:`, error);
+        // The run document records the error and the entry script alerts on it (see lib/notifier.js).
+        report.finish({ error, aborted: !!(options.signal && options.signal.aborted) });
+    }
+
+    if (!options.dryRun) {
+        await recordRun(repository, report);
+    }
+    return report;
+}
+
+module.exports = {
+    runDailyROIIncrease,
+};
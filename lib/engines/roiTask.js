@@ -0,0 +1,704 @@
+// lib/engines/roiTask.js
+
+const { PAYOUT_LEDGER_COLLECTION, payoutLedgerId } = require('../payoutLedger');
+const { businessDate } = require('../payoutDates');
+const { DEFAULT_SCHEDULE } = require('../schedule');
+const { INVESTMENT_COLLECTION, USERS_COLLECTION, PENDING_PAYOUTS_COLLECTION } = require('../collections');
+const { createRunReport } = require('../runReport');
+const { recordRun, defaultTrigger } = require('../runHistory');
+const { DEFAULT_PAGE_SIZE, DEFAULT_CONCURRENCY, paginate, commitInChunks, mapWithConcurrency } = require('../batching');
+const { checkpointId, resumePoint, checkpointWrite } = require('../checkpoints');
+const { increment, arrayUnion, serverTimestamp, deleteField } = require('../repositories/fieldOps');
+const { formatMoney, formatTotals, walletMismatch } = require('../money');
+const { COMMISSION_ENTRY_TYPE, commissionLedgerId, resolveReferrers, planCommissions } = require('../referrals');
+const { defaultRiskConfig, accountBlock, approvalReasons, paidOnLoader, createPayoutBudget } = require('../riskControls');
+const {
+  parseDaysCompleted,
+  investmentPlanSettings,
+  planCalendar,
+  planInvestmentPayout,
+  applyPlannedPayout,
+  resolvePayoutDates,
+  summarizeUserInvestments,
+} = require('../roiRules');
+
+/** Payout dates the ledger holds an ROI entry for, paid or since reversed. */
+async function ledgerDatesFor(repository, investmentId) {
+  const entries = await repository.listDocuments(PAYOUT_LEDGER_COLLECTION, { where: [['investmentId', '==', investmentId]] });
+  return entries.filter((entry) => entry.data.type === 'roi').map((entry) => entry.data.payoutDate);
+}
+
+/**
+ * Works out the referral commissions on one payout (see lib/referrals.js). A referrer whose
+ * account is blocked (see lib/riskControls.js), or whose wallet is in another currency than the
+ * payout, earns nothing; the levels above them still do.
+ * @param {(userId: string) => Promise<object|null>} getUser - Reads a USERS document.
+ * @param {object} riskConfig - From riskConfigFromEnv().
+ * @returns {Promise<{ commissions: object[], commissionNote: string|null }>}
+ *   `commissionNote` says why the commissions were cut short: a broken chain or blocked referrers.
+ */
+async function commissionsFor(getUser, userId, planned, referralLevels, riskConfig) {
+  if (referralLevels.length === 0) {
+    return { commissions: [], commissionNote: null };
+  }
+  const profiles = new Map();
+  const chain = await resolveReferrers(async (id) => {
+    profiles.set(id, await getUser(id));
+    return profiles.get(id);
+  }, userId, referralLevels.length);
+  const notes = chain.stoppedBecause ? [chain.stoppedBecause] : [];
+  const eligible = chain.referrers.filter(({ level, userId: referrerId }) => {
+    const blocked = accountBlock(profiles.get(referrerId), riskConfig) || walletMismatch(profiles.get(referrerId), planned.currency);
+    if (blocked) {
+      notes.push(`level ${level} referrer ${referrerId} skipped: ${blocked}`);
+    }
+    return !blocked;
+  });
+  return {
+    commissions: planCommissions(eligible, referralLevels, planned.roiAmountMinor, planned.currency),
+    commissionNote: notes.length > 0 ? notes.join('; ') : null,
+  };
+}
+
+/**
+ * Pays one day of ROI for an investment inside a single transaction.
+ * The ledger entry, the INVESTMENT update and the USERS wallet credit are committed together,
+ * so a crash can never leave one written without the others. Referral commissions, when
+ * `referralLevels` is set, are part of the same transaction. Paying a day that was held in the
+ * pendingPayouts queue (an approval) also releases the investment's hold. The rest of the USERS profile
+ * describes all of the user's investments and is refreshed once per run by refreshUserProfiles().
+ * A plan in another currency than the user's wallet is never credited (status 'invalid').
+ * If the ledger already holds an entry for (investmentId, payoutDate) the payout is a no-op:
+ * we only record the duplicate attempt on the existing ledger entry. A day paid before the ledger
+ * existed (see planInvestmentPayout()) is a no-op too.
+ *
+ * @param {object} [params]
+ * @param {boolean} [params.backfill] - The day may be older than the investment's lastRoiPaymentDate.
+ * @param {number[]} [params.referralLevels] - Commission percent per referral level.
+ * @param {object} [params.risk] - Risk settings; blocked referrers are not paid a commission.
+ * @param {object} [params.schedule] - The job's schedule (see lib/schedule.js); stored dates that are instants are read on it.
+ * @returns {Promise<{ status: 'paid' | 'duplicate' | 'stale' | 'invalid', reason?: string, roiAmount?: number, roiAmountMinor?: number, currency?: string, parsedRoiPercent?: number, newDaysCompleted?: number, restarted?: boolean, completed?: boolean, isLatestPayment?: boolean, commissions?: object[], commissionNote?: string|null }>}
+ */
+async function payInvestmentForDate(repository, investmentId, userId, payoutDate, { backfill = false, referralLevels = [], risk = defaultRiskConfig(), schedule = DEFAULT_SCHEDULE } = {}) {
+  const ledgerId = payoutLedgerId(investmentId, payoutDate);
+
+  return repository.runTransaction(async (transaction) => {
+    // All reads must happen before any writes in a Firestore transaction.
+    const [investmentDocData, ledgerEntry, profile] = await transaction.getAll([
+      { collection: INVESTMENT_COLLECTION, id: investmentId },
+      { collection: PAYOUT_LEDGER_COLLECTION, id: ledgerId },
+      { collection: USERS_COLLECTION, id: userId },
+    ]);
+
+    if (ledgerEntry) {
+      transaction.update(PAYOUT_LEDGER_COLLECTION, ledgerId, {
+        duplicateRunCount: increment(1),
+        lastDuplicateRunAt: new Date(),
+      });
+      return { status: 'duplicate' };
+    }
+
+    const planned = planInvestmentPayout(investmentDocData || {}, payoutDate, { backfill, schedule });
+    if (planned.status !== 'payable') {
+      return planned;
+    }
+    const mismatch = walletMismatch(profile, planned.currency);
+    if (mismatch) {
+      return { status: 'invalid', reason: mismatch };
+    }
+    const { roiAmount, roiAmountMinor, currency, parsedRoiPercent, newDaysCompleted, restarted, completed, isLatestPayment } = planned;
+    const plan = investmentDocData.activePlan;
+    // The referral chain is read here too: every read comes before the first write.
+    const { commissions, commissionNote } = await commissionsFor((id) => transaction.get(USERS_COLLECTION, id), userId, planned, referralLevels, risk);
+
+    // Create the payout log entry. Use new Date() for the timestamp.
+    // Firestore will automatically convert JavaScript Date objects to native Timestamps.
+    const newPayoutLogEntry = {
+        date: payoutDate,
+        amount: roiAmount,
+        amountMinor: roiAmountMinor,
+        currency,
+        status: 'paid',
+        ledgerId,
+        timestamp: new Date(), // Correct way to add a timestamp to an array element
+    };
+
+    // Prepare updates for the INVESTMENT document
+    const investmentUpdates = {
+      'activePlan.daysCompleted': newDaysCompleted, // Absolute value: we read the current count inside this transaction
+      payoutLogs: arrayUnion(newPayoutLogEntry), // Add payout log
+    };
+
+    if (isLatestPayment) {
+      investmentUpdates.lastRoiPaymentDate = payoutDate;
+    }
+    if (investmentDocData.pendingPayoutId === ledgerId) {
+      investmentUpdates.pendingPayoutId = deleteField(); // The held day is being paid
+    }
+
+    if (restarted) {
+      // If action is 'restart', reset days and keep active status
+      investmentUpdates['activePlan.daysCompleted'] = 0; // Reset days to 0
+      investmentUpdates['activePlan.status'] = 'active'; // Ensure status is active
+      investmentUpdates['activePlan.isActive'] = true; // Ensure active status
+      investmentUpdates['activePlan.action'] = 'active'; // Reset action to active
+      investmentUpdates['activePlan.restartedOn'] = payoutDate; // Later days belong to the new cycle (see lib/reversals.js)
+    } else if (completed) {
+      // If action is not 'restart', mark plan as completed and inactive
+      investmentUpdates['activePlan.isActive'] = false; // Mark plan as inactive
+      investmentUpdates['activePlan.status'] = 'completed'; // Set status to completed
+      investmentUpdates.hasActivePlan = false; // Ensure top-level hasActivePlan is false
+    }
+
+    // The ledger entry is the idempotency key for this (investment, day) pair.
+    transaction.create(PAYOUT_LEDGER_COLLECTION, ledgerId, {
+      type: 'roi',
+      investmentId,
+      userId,
+      payoutDate,
+      amount: roiAmount,
+      amountMinor: roiAmountMinor, // Source of truth; `amount` is the same value in major units
+      currency,
+      roiPercent: parsedRoiPercent,
+      daysCompletedAfter: newDaysCompleted,
+      planName: plan.planName || null,
+      commissionLedgerIds: commissions.map((commission) => commissionLedgerId(ledgerId, commission.level)),
+      commissionNote,
+      createdAt: serverTimestamp(),
+    });
+    transaction.update(INVESTMENT_COLLECTION, investmentId, investmentUpdates);
+    transaction.update(USERS_COLLECTION, userId, { walletBalance: increment(roiAmount) });
+
+    for (const commission of commissions) {
+      transaction.create(PAYOUT_LEDGER_COLLECTION, commissionLedgerId(ledgerId, commission.level), {
+        type: COMMISSION_ENTRY_TYPE,
+        userId: commission.userId,
+        sourceLedgerId: ledgerId,
+        sourceUserId: userId,
+        investmentId,
+        payoutDate,
+        level: commission.level,
+        percent: commission.percent,
+        amount: commission.amount,
+        amountMinor: commission.amountMinor,
+        currency,
+        createdAt: serverTimestamp(),
+      });
+      transaction.update(USERS_COLLECTION, commission.userId, { walletBalance: increment(commission.amount) });
+    }
+
+    return { status: 'paid', roiAmount, roiAmountMinor, currency, parsedRoiPercent, newDaysCompleted, restarted, completed, isLatestPayment, commissions, commissionNote };
+  });
+}
+
+/**
+ * Puts one day's payout in the pendingPayouts queue instead of crediting it. The queue item is
+ * keyed by the payout's ledger ID, and the investment is held (`pendingPayoutId`) until an admin
+ * approves or rejects it, so later runs do not pay the same plan day in the meantime.
+ * A day that was already queued once (and rejected) is not queued again.
+ *
+ * @param {object} params
+ * @param {string[]} params.reasons - Why the payout needs approval (see lib/riskControls.js).
+ * @param {string} params.runId - The run that queued it.
+ * @param {boolean} [params.backfill] - The day may be older than the investment's lastRoiPaymentDate.
+ * @param {object} [params.schedule] - The job's schedule (see lib/schedule.js).
+ * @returns {Promise<{ status: 'queued', pendingPayoutId: string, roiAmount: number, roiAmountMinor: number, currency: string }
+ *   | { status: 'decided', pendingPayoutId: string, decision: string } | { status: 'duplicate' | 'stale' | 'invalid', reason?: string }>}
+ */
+async function queuePayout(repository, investmentId, userId, payoutDate, { reasons, runId, backfill = false, schedule = DEFAULT_SCHEDULE }) {
+  const pendingPayoutId = payoutLedgerId(investmentId, payoutDate);
+
+  return repository.runTransaction(async (transaction) => {
+    const [investmentDocData, ledgerEntry, pending] = await transaction.getAll([
+      { collection: INVESTMENT_COLLECTION, id: investmentId },
+      { collection: PAYOUT_LEDGER_COLLECTION, id: pendingPayoutId },
+      { collection: PENDING_PAYOUTS_COLLECTION, id: pendingPayoutId },
+    ]);
+    if (ledgerEntry) {
+      return { status: 'duplicate' };
+    }
+    if (pending) {
+      return { status: 'decided', pendingPayoutId, decision: pending.status };
+    }
+    const planned = planInvestmentPayout(investmentDocData || {}, payoutDate, { backfill, schedule });
+    if (planned.status !== 'payable') {
+      return planned;
+    }
+
+    transaction.create(PENDING_PAYOUTS_COLLECTION, pendingPayoutId, {
+      status: 'pending',
+      investmentId,
+      userId,
+      payoutDate,
+      day: planned.newDaysCompleted,
+      amount: planned.roiAmount,
+      amountMinor: planned.roiAmountMinor,
+      currency: planned.currency,
+      planName: investmentDocData.activePlan.planName || null,
+      reasons,
+      runId,
+      createdAt: serverTimestamp(),
+    });
+    transaction.update(INVESTMENT_COLLECTION, investmentId, { pendingPayoutId });
+    return { status: 'queued', pendingPayoutId, roiAmount: planned.roiAmount, roiAmountMinor: planned.roiAmountMinor, currency: planned.currency };
+  });
+}
+
+/**
+ * Dry-run counterpart of payInvestmentForDate: reads the ledger and returns the same result shape,
+ * but writes nothing. `investmentDocData` is the simulated state after any earlier dry-run days.
+ */
+async function simulateInvestmentPayout(repository, investmentId, userId, investmentDocData, payoutDate, { backfill = false, referralLevels = [], risk = defaultRiskConfig(), schedule = DEFAULT_SCHEDULE } = {}) {
+  const ledgerEntry = await repository.getDocument(PAYOUT_LEDGER_COLLECTION, payoutLedgerId(investmentId, payoutDate));
+  if (ledgerEntry) {
+    return { status: 'duplicate' };
+  }
+
+  const planned = planInvestmentPayout(investmentDocData, payoutDate, { backfill, schedule });
+  if (planned.status !== 'payable') {
+    return planned;
+  }
+  return {
+    ...planned,
+    ...await commissionsFor((id) => repository.getDocument(USERS_COLLECTION, id), userId, planned, referralLevels, risk),
+    status: 'paid',
+    nextInvestmentDocData: applyPlannedPayout(investmentDocData, planned, payoutDate),
+  };
+}
+
+/**
+ * Processes one INVESTMENT document: validates it, works out the owed payout dates and pays
+ * (or, in dry-run mode, simulates) each of them. Every payout first passes the risk controls
+ * in `risk` (see runRoiTaskNow). Updates `totals` and `report` in place, and adds the user to
+ * `changedUsers` when one of their investments was written.
+ */
+async function processInvestment(repository, { id: investmentId, data: investmentDocData }, { today, now, schedule, options, report, totals, changedUsers, risk }) {
+  // Extract userId from the investment document
+  const userId = investmentDocData.userId;
+  if (!userId) {
+    console.warn(`⚠️ Skipping investment ${investmentId} - No userId found in the document.`);
+    report.addSkip(null, investmentId, 'missing userId');
+    return; // Skip this document if no userId
+  }
+
+  // Access the activePlan map within the investment document
+  const plan = investmentDocData.activePlan;
+
+  // --- Data Validation Checks for 'activePlan' ---
+  // Check if 'plan' exists and is a proper object/map
+  if (!plan || typeof plan !== 'object') {
+      console.warn(`⚠️ Skipping user ${userId} (Investment: ${investmentId}) - 'activePlan' is missing or malformed.`, { plan });
+      report.addSkip(userId, investmentId, 'activePlan missing or malformed');
+      return; // Skip if activePlan is invalid
+  }
+
+  // --- Filtering Logic: Skip if the plan is not truly active ---
+  if (!investmentDocData.hasActivePlan || !plan.isActive) {
+      console.log(`⏸️ Skipping user ${userId} (Investment: ${investmentId}) - Plan is not generally active (hasActivePlan: ${!!investmentDocData.hasActivePlan}) or activePlan.isActive: ${!!plan.isActive}.`);
+      report.addSkip(userId, investmentId, 'plan not active');
+      return; // Skip if the plan is explicitly marked as inactive
+  }
+
+  // --- Per-plan settings: cycle length, interest type, rate schedule, calendar ---
+  const planSettings = investmentPlanSettings(plan);
+  if (!planSettings.ok) {
+      console.warn(`⚠️ Skipping user ${userId} (Investment: ${investmentId}) - invalid plan settings: ${planSettings.reason}.`);
+      report.addSkip(userId, investmentId, `invalid plan settings: ${planSettings.reason}`);
+      return;
+  }
+  const { cycleDays } = planSettings.settings;
+
+  // --- Robustly get daysCompleted as a number ---
+  const currentDaysCompletedInPlan = parseDaysCompleted(plan);
+
+  // 3. Process active plans (cycle not finished yet)
+  if (currentDaysCompletedInPlan < cycleDays) {
+    // --- Risk controls: blocked accounts and held payouts ---
+    const profile = await risk.profileOf(userId);
+    const blocked = accountBlock(profile, risk.config);
+    if (blocked) {
+      console.warn(`⛔ Skipping user ${userId} (Investment: ${investmentId}) - ${blocked}.`);
+      report.addSkip(userId, investmentId, `risk: ${blocked}`);
+      return;
+    }
+    // There are no exchange rates: a plan is only paid into a wallet of its own currency.
+    const mismatch = walletMismatch(profile, planSettings.settings.currency);
+    if (mismatch) {
+      console.warn(`⚠️ Skipping user ${userId} (Investment: ${investmentId}) - ${mismatch}.`);
+      report.addSkip(userId, investmentId, mismatch);
+      return;
+    }
+    if (investmentDocData.pendingPayoutId) {
+      console.log(`⏳ Skipping user ${userId} (Investment: ${investmentId}) - payout ${investmentDocData.pendingPayoutId} is awaiting approval.`);
+      report.addSkip(userId, investmentId, `payout ${investmentDocData.pendingPayoutId} awaiting approval`);
+      return;
+    }
+
+    // A plan with its own payoutTimezone may already (or still) be on another date than the run.
+    const { payoutTimezone } = planSettings.settings;
+    const planToday = options.asOf || !payoutTimezone ? today : businessDate(now, planCalendar(planSettings.settings, schedule));
+    // A backfill window can overlap days that were already paid; those must not take its cycle slots.
+    const ledgerDates = options.since ? await ledgerDatesFor(repository, investmentId) : [];
+    const payoutDates = resolvePayoutDates(investmentDocData, plan, currentDaysCompletedInPlan, planToday, { ...options, schedule }, planSettings.settings, ledgerDates);
+    if (payoutDates.length === 0) {
+      const reason = !options.since && !options.catchUp ? 'not a payout day on this plan\'s calendar' : 'no payout days owed';
+      console.log(`⏸️ Skipping user ${userId} (Investment: ${investmentId}) - ${reason}.`);
+      report.addSkip(userId, investmentId, reason);
+      return;
+    }
+
+    // Each owed day is its own transaction, ledger entry and dated payout log.
+    // In dry-run mode the days are simulated one after another on an in-memory copy.
+    let simulatedDocData = investmentDocData;
+    const backfill = !!options.since; // A backfill may pay days older than lastRoiPaymentDate
+    for (const payoutDate of payoutDates) {
+      if (options.signal && options.signal.aborted) {
+        break; // The job lock was lost; runRoiTaskNow stops the run after this investment
+      }
+      // Screen the payout as it would be made now: large or unusual ones wait for an admin,
+      // and the daily caps are reserved before anything is credited.
+      const planned = planInvestmentPayout(simulatedDocData, payoutDate, { backfill, schedule });
+      let reservedMinor = 0;
+      if (planned.status === 'payable') {
+        const reasons = approvalReasons(planned, simulatedDocData, risk.config);
+        if (reasons.length > 0) {
+          const queued = options.dryRun
+            ? { ...planned, status: 'queued', pendingPayoutId: payoutLedgerId(investmentId, payoutDate) }
+            : await queuePayout(repository, investmentId, userId, payoutDate, { reasons, runId: report.runId, backfill, schedule });
+          if (queued.status === 'queued') {
+            console.warn(`⏳ ${options.dryRun ? 'Would hold' : 'Held'} ${formatMoney(queued.roiAmountMinor, queued.currency)} for user ${userId} (Investment: ${investmentId}) for ${payoutDate} for approval: ${reasons.join('; ')}.`);
+            report.addHold(userId, investmentId, {
+              date: payoutDate,
+              amount: queued.roiAmount,
+              amountMinor: queued.roiAmountMinor,
+              currency: queued.currency,
+              reasons,
+              pendingPayoutId: queued.pendingPayoutId,
+            });
+          } else if (queued.status === 'decided') {
+            console.log(`⏸️ Skipping user ${userId} (Investment: ${investmentId}) - payout for ${payoutDate} was already ${queued.decision} by an admin.`);
+            report.addSkip(userId, investmentId, `payout for ${payoutDate} already ${queued.decision}`);
+            continue; // The decided day stays unpaid; the days owed after it are not held back by it
+          } else {
+            report.addSkip(userId, investmentId, queued.status === 'duplicate' ? `already paid for ${payoutDate}` : `could not queue payout for ${payoutDate}: ${queued.reason || queued.status}`);
+          }
+          break; // Nothing more is paid on this investment until the held day is decided
+        }
+        const capReason = await risk.budget.reserve(userId, payoutDate, planned.roiAmountMinor, planned.currency);
+        if (capReason) {
+          console.warn(`⛔ Skipping user ${userId} (Investment: ${investmentId}) - ${capReason}.`);
+          report.addSkip(userId, investmentId, `risk: ${capReason}`);
+          break;
+        }
+        reservedMinor = planned.roiAmountMinor;
+      }
+
+      const payoutOptions = { backfill, referralLevels: options.referralLevels || [], risk: risk.config, schedule };
+      const result = options.dryRun
+        ? await simulateInvestmentPayout(repository, investmentId, userId, simulatedDocData, payoutDate, payoutOptions)
+        : await payInvestmentForDate(repository, investmentId, userId, payoutDate, payoutOptions);
+      // The payout may have changed (or not happened) since it was screened; keep the caps exact.
+      await risk.budget.release(userId, payoutDate, reservedMinor - (result.status === 'paid' ? result.roiAmountMinor : 0), planned.currency);
+
+      if (result.status === 'duplicate') {
+        totals.alreadyPaidCount++;
+        const note = result.reason ? ` (${result.reason}).` : options.dryRun ? '.' : '. Recorded duplicate run on the ledger.';
+        console.log(`⏭️ Skipping user ${userId} (Investment: ${investmentId}) - already paid for ${payoutDate}${note}`);
+        report.addSkip(userId, investmentId, `already paid for ${payoutDate}`);
+        continue;
+      }
+      if (result.status === 'invalid') {
+        console.warn(`⚠️ Skipping user ${userId} (Investment: ${investmentId}) - invalid plan settings: ${result.reason}.`);
+        report.addSkip(userId, investmentId, `invalid plan settings: ${result.reason}`);
+        break;
+      }
+      if (result.status === 'stale') {
+        console.log(`⏸️ Skipping user ${userId} (Investment: ${investmentId}) - plan changed before payout for ${payoutDate} could be committed.`);
+        report.addSkip(userId, investmentId, `plan changed before payout for ${payoutDate}`);
+        break;
+      }
+      simulatedDocData = result.nextInvestmentDocData || applyPlannedPayout(simulatedDocData, result, payoutDate);
+
+      totals.paidCount++;
+      totals.amountPaid[result.currency] = (totals.amountPaid[result.currency] || 0) + result.roiAmountMinor;
+      changedUsers.add(userId);
+      report.addPayout(userId, investmentId, {
+        date: payoutDate,
+        day: result.newDaysCompleted,
+        amount: result.roiAmount,
+        amountMinor: result.roiAmountMinor,
+        currency: result.currency,
+        roiPercent: result.parsedRoiPercent,
+        planName: plan.planName || null,
+        commissions: result.commissions,
+        commissionNote: result.commissionNote,
+      });
+      console.log(`✅ ${options.dryRun ? 'Would pay' : 'Paid'} ${formatMoney(result.roiAmountMinor, result.currency)} to user ${userId} for ${payoutDate} (Plan: ${plan.planName || 'Unnamed'}). New Days Completed: ${result.newDaysCompleted}.`);
+      for (const commission of result.commissions) {
+        console.log(`🤝 ${options.dryRun ? 'Would pay' : 'Paid'} level ${commission.level} commission of ${formatMoney(commission.amountMinor, commission.currency)} to user ${commission.userId}.`);
+      }
+      if (result.commissionNote) {
+        console.warn(`⚠️ Referral commissions on user ${userId}'s payout cut short: ${result.commissionNote}.`);
+      }
+      if (result.restarted) {
+        console.log(`🔁 Restarted plan for user ${userId} (Investment: ${investmentId}).`);
+        report.addStatusChange(userId, investmentId, { from: 'active', to: 'restarted', date: payoutDate });
+        break; // The new cycle starts on the next run
+      }
+      if (result.completed) {
+        console.log(`🎉 Plan for user ${userId} (Investment: ${investmentId}) completed and marked inactive.`);
+        report.addStatusChange(userId, investmentId, { from: 'active', to: 'completed', date: payoutDate });
+        break;
+      }
+    }
+
+  } else {
+    // 4. Handle plans that are already completed
+    console.log(`🛑 Skipping user ${userId} (Investment: ${investmentId}) - plan already completed ${currentDaysCompletedInPlan} days.`);
+    report.addSkip(userId, investmentId, `plan already completed ${currentDaysCompletedInPlan} days`);
+
+    // If a plan is found that is already completed but still marked active, auto-correct it
+    if (investmentDocData.hasActivePlan || plan.isActive) {
+      report.addStatusChange(userId, investmentId, { from: 'active', to: 'completed' });
+      changedUsers.add(userId);
+      if (!options.dryRun) {
+        await repository.commitWrites([{
+          type: 'update',
+          collection: INVESTMENT_COLLECTION,
+          id: investmentId,
+          data: {
+            'activePlan.isActive': false,
+            'activePlan.status': 'completed',
+            hasActivePlan: false, // Ensure top-level status is also false
+          },
+        }]);
+      }
+      console.log(`⚠️ ${options.dryRun ? 'Would auto-mark' : 'Auto-marked'} user ${userId}'s plan (Investment: ${investmentId}) as completed due to daysCompleted >= ${cycleDays}.`);
+    }
+  }
+}
+
+/**
+ * Splits a page of INVESTMENT documents into one group per user, so a user's investments are
+ * processed one after another while different users run concurrently. Documents without a
+ * userId form groups of their own (processInvestment skips them).
+ */
+function groupByUser(page) {
+  const groups = new Map();
+  for (const investment of page) {
+    const key = investment.data.userId || `no-user:${investment.id}`;
+    if (!groups.has(key)) {
+      groups.set(key, []);
+    }
+    groups.get(key).push(investment);
+  }
+  return [...groups.values()];
+}
+
+/**
+ * Builds the USERS profile update for one user from all of their investments: active count,
+ * total principal, total paid on `today` and the next plan to mature. Returns null when the
+ * user has no USERS document.
+ */
+async function userProfileWrite(repository, userId, today, schedule) {
+  const [profile, investments, paidToday] = await Promise.all([
+    repository.getDocument(USERS_COLLECTION, userId),
+    repository.listDocuments(INVESTMENT_COLLECTION, { where: [['userId', '==', userId]] }),
+    repository.listDocuments(PAYOUT_LEDGER_COLLECTION, { where: [['userId', '==', userId], ['payoutDate', '==', today]] }),
+  ]);
+  if (!profile) {
+    console.warn(`⚠️ No USERS profile for user ${userId}; skipping profile refresh.`);
+    return null;
+  }
+  const summary = summarizeUserInvestments(investments, paidToday.map((entry) => entry.data), schedule);
+  const { nextToMature } = summary;
+
+  const data = {
+    hasActiveInvestments: summary.activeInvestmentCount > 0,
+    activeInvestmentCount: summary.activeInvestmentCount,
+    totalActivePrincipal: summary.totalActivePrincipal, // null when the plans are in more than one currency
+    totalActivePrincipalByCurrency: summary.totalActivePrincipalByCurrency,
+    totalPaidToday: summary.totalPaidToday,
+    totalPaidTodayByCurrency: summary.totalPaidTodayByCurrency,
+    totalPaidTodayDate: today,
+    nextMaturingInvestment: nextToMature
+      ? { investmentId: nextToMature.investmentId, planName: nextToMature.planName, daysRemaining: nextToMature.daysRemaining }
+      : null,
+    profileUpdatedAt: serverTimestamp(),
+  };
+  // The "current plan" fields follow the plan closest to maturing; with no active plan left
+  // they keep describing the last one.
+  if (nextToMature) {
+    data.currentPlanDaysCompleted = nextToMature.daysCompleted;
+    data.currentPlanRoiPercentage = nextToMature.roiPercent;
+  }
+  if (summary.lastRoiPaymentDate) {
+    data.lastRoiPaymentDate = summary.lastRoiPaymentDate;
+  }
+  return { type: 'update', collection: USERS_COLLECTION, id: userId, data };
+}
+
+/**
+ * Rewrites the USERS profile of every user whose investments changed in this run (or in a
+ * reversal, see lib/reversals.js), once each. `schedule` is the job's schedule (see lib/schedule.js).
+ * @returns {Promise<number>} Number of profiles written.
+ */
+async function refreshUserProfiles(repository, userIds, { today, concurrency, schedule = DEFAULT_SCHEDULE }) {
+  const writes = (await mapWithConcurrency([...userIds].sort(), concurrency, (userId) =>
+    userProfileWrite(repository, userId, today, schedule)
+  )).filter(Boolean);
+  await commitInChunks(repository, writes);
+  return writes.length;
+}
+
+/** Throws the signal's reason (see lib/jobLock.js) once it is aborted. */
+function throwIfAborted(signal) {
+  if (signal) {
+    signal.throwIfAborted();
+  }
+}
+
+/**
+ * Users paid on `today` by an earlier, interrupted attempt at this run. A resumed run does not
+ * see their investments again, but their profiles still need the final refresh.
+ */
+async function usersPaidOn(repository, today) {
+  const entries = await repository.listDocuments(PAYOUT_LEDGER_COLLECTION, { where: [['payoutDate', '==', today]] });
+  return entries.map((entry) => entry.data.userId).filter(Boolean);
+}
+
+// --- Main ROI Task Logic ---
+/**
+ * Pays ROI for every active investment.
+ * @param {object} repository - Storage backend (see lib/repositories).
+ * @param {object} [options]
+ * @param {boolean} [options.catchUp] - Also pay days missed while the scheduler was down.
+ * @param {string} [options.since] - Backfill: first payout date to pay ('YYYY-MM-DD').
+ * @param {string} [options.until] - Backfill: last payout date to pay, inclusive. Defaults to today.
+ * @param {boolean} [options.dryRun] - Run every check and calculation but write nothing.
+ * @param {string} [options.asOf] - Treat this date ('YYYY-MM-DD') as today, for every plan.
+ * @param {object} [options.schedule] - Timezone and day boundary from loadScheduleConfig() (see lib/schedule.js)
+ *   that decide today's business date; default UTC midnight.
+ * @param {number} [options.pageSize] - INVESTMENT documents read per page.
+ * @param {number} [options.concurrency] - Investments processed in parallel within a page.
+ * @param {boolean} [options.fromStart] - Ignore an unfinished checkpoint for today and start over.
+ * @param {number[]} [options.referralLevels] - Referral commission percent per level (see lib/referrals.js); none by default.
+ * @param {object} [options.risk] - Risk settings from riskConfigFromEnv() (see lib/riskControls.js); by default only
+ *   frozen accounts and failed KYC are skipped.
+ * @param {'cron'|'manual'|'backfill'} [options.trigger] - Recorded on the run document; defaults to
+ *   'backfill' with `since`, otherwise 'manual'.
+ * @param {AbortSignal} [options.signal] - From withJobLock() (see lib/jobLock.js). Once it is aborted no
+ *   further payout is made and the run is recorded as 'aborted'; the next run resumes from the last checkpoint.
+ * @returns {Promise<object>} The run report (see lib/runReport.js), also stored in roiJobRuns unless dry-run.
+ */
+async function runRoiTaskNow(repository, options = {}) {
+  const now = new Date();
+  const schedule = options.schedule || DEFAULT_SCHEDULE;
+  const today = options.asOf || businessDate(now, schedule); // The business date in the schedule's timezone
+  const dryRunLabel = options.dryRun ? ' [DRY RUN - no writes]' : '';
+  const report = createRunReport({ engine: 'roiTask', asOf: today, dryRun: !!options.dryRun, trigger: defaultTrigger(options) });
+
+  if (options.since) {
+    console.log(`🏁 Running ROI backfill from ${options.since} to ${options.until || today}${dryRunLabel}...`);
+  } else {
+    console.log(`🏁 Running Daily ROI Task for ${today}${options.catchUp ? ' (catch-up mode)' : ''}${dryRunLabel}...`);
+  }
+
+  const pageSize = options.pageSize || DEFAULT_PAGE_SIZE;
+  const concurrency = options.concurrency || DEFAULT_CONCURRENCY;
+  const totals = { investmentsSeen: 0, paidCount: 0, alreadyPaidCount: 0, failedCount: 0, amountPaid: {} }; // amountPaid: minor units per currency
+  const changedUsers = new Set();
+  const profiles = new Map(); // userId -> Promise<USERS document>, read once per run for the account checks
+  const riskConfig = options.risk || defaultRiskConfig();
+  const risk = {
+    config: riskConfig,
+    budget: createPayoutBudget(riskConfig, paidOnLoader(repository)),
+    profileOf(userId) {
+      if (!profiles.has(userId)) {
+        profiles.set(userId, repository.getDocument(USERS_COLLECTION, userId));
+      }
+      return profiles.get(userId);
+    },
+  };
+  const progressId = checkpointId('roiTask', options.since ? `${options.since}_${options.until || today}` : today);
+
+  try {
+    // 1. Work out where to start: after the last finished page if today's run was interrupted.
+    // A dry run never writes checkpoints, so it always reads from the beginning.
+    const { startAfter, resumed } = options.dryRun
+      ? { startAfter: null, resumed: false }
+      : await resumePoint(repository, progressId, { fromStart: options.fromStart });
+    if (resumed) {
+      console.log(`↪️ Resuming interrupted run after investment ${startAfter}.`);
+      for (const userId of await usersPaidOn(repository, today)) {
+        changedUsers.add(userId);
+      }
+    }
+
+    // 2. Read the 'INVESTMENT' collection page by page and process each page with bounded concurrency.
+    // Every payout is its own transaction, so a page only needs its checkpoint written afterwards.
+    // A user's investments within a page run one at a time, so they never contend for the same USERS doc.
+    for await (const page of paginate(repository, INVESTMENT_COLLECTION, { pageSize, startAfter })) {
+      totals.investmentsSeen += page.length;
+      await mapWithConcurrency(groupByUser(page), concurrency, async (investments) => {
+        for (const investment of investments) {
+          throwIfAborted(options.signal); // Outside the try: a lost lock stops the run, not just this investment
+          try {
+            await processInvestment(repository, investment, { today, now, schedule, options, report, totals, changedUsers, risk });
+          } catch (error) {
+            // One bad investment must not stop the others; the run document records it.
+            totals.failedCount++;
+            console.error(`❌ Failed to process investment ${investment.id} (user ${investment.data.userId || 'unknown'}):`, error.message);
+            report.addFailure(investment.data.userId, investment.id, error.message);
+          }
+        }
+      });
+      // An investment may have stopped part-way; the checkpoint must not move past it.
+      throwIfAborted(options.signal);
+
+      if (!options.dryRun) {
+        await repository.commitWrites([checkpointWrite(progressId, {
+          engine: 'roiTask',
+          businessDate: today,
+          lastDocId: page[page.length - 1].id,
+          status: 'running',
+        })]);
+      }
+      console.log(`🔍 Processed ${totals.investmentsSeen} investment documents so far.`);
+    }
+
+    // 3. One profile write per affected user, computed from all of their investments.
+    if (options.dryRun) {
+      console.log(`👤 Would refresh ${changedUsers.size} user profiles.`);
+    } else {
+      const profileCount = await refreshUserProfiles(repository, changedUsers, { today, concurrency, schedule });
+      console.log(`👤 Refreshed ${profileCount} user profiles.`);
+
+      await repository.commitWrites([checkpointWrite(progressId, {
+        engine: 'roiTask',
+        businessDate: today,
+        lastDocId: null,
+        status: 'completed',
+      })]);
+    }
+
+    console.log(`✅ ROI Task Complete${dryRunLabel}. ${options.dryRun ? 'Would make' : 'Made'} ${totals.paidCount} payouts totalling ${formatTotals(totals.amountPaid)}. ${totals.alreadyPaidCount} payouts were already on the ledger. ${totals.failedCount} investments failed.`);
+    report.finish();
+  } catch (err) {
+    console.error('❌ ROI Task failed:', err.message);
+    console.error('❌ Full error details:', err);
+    report.finish({ error: err, aborted: !!(options.signal && options.signal.aborted) });
+  }
+
+  if (!options.dryRun) {
+    await recordRun(repository, report);
+  }
+  return report;
+}
+
+module.exports = {
+  runRoiTaskNow,
+  payInvestmentForDate,
+  queuePayout,
+  refreshUserProfiles,
+};
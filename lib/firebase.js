@@ -0,0 +1,68 @@
+// lib/firebase.js
+
+const admin = require('firebase-admin');
+
+// --- Firebase Admin SDK Initialization ---
+// Nothing here runs on require: the entry scripts call getFirestore() when they start,
+// so the engines and rules can be loaded (and tested) without touching Firebase.
+
+/**
+ * Reads the service account from the environment.
+ * - SERVICE_ACCOUNT_KEY: the key as raw JSON (used by index.js on Railway).
+ * - FIREBASE_SERVICE_ACCOUNT_KEY_BASE64: the key as Base64-encoded JSON (used by roiTask.js).
+ * @returns {object|null} The parsed service account, or null if neither variable is set.
+ * @throws {Error} When a variable is set but does not hold valid JSON.
+ */
+function loadServiceAccount(env = process.env) {
+  if (env.SERVICE_ACCOUNT_KEY) {
+    try {
+      return JSON.parse(env.SERVICE_ACCOUNT_KEY);
+    } catch (e) {
+      throw new Error(`Could not parse SERVICE_ACCOUNT_KEY environment variable. Make sure it is valid JSON and not corrupted. (${e.message})`);
+    }
+  }
+  if (env.FIREBASE_SERVICE_ACCOUNT_KEY_BASE64) {
+    try {
+      // Decode the Base64 string and parse it as JSON
+      return JSON.parse(Buffer.from(env.FIREBASE_SERVICE_ACCOUNT_KEY_BASE64, 'base64').toString('utf8'));
+    } catch (e) {
+      throw new Error(`Could not decode FIREBASE_SERVICE_ACCOUNT_KEY_BASE64 environment variable. (${e.message})`);
+    }
+  }
+  return null;
+}
+
+/**
+ * Initialises the Firebase Admin SDK once and returns the Firestore instance.
+ * @param {object} [options]
+ * @param {string} [options.projectId] - Firebase project ID to pass to initializeApp.
+ * @param {boolean} [options.requireServiceAccount] - Throw instead of falling back to default credentials.
+ * @returns {FirebaseFirestore.Firestore}
+ * @throws {Error} When the service account is malformed, or missing while required.
+ */
+function getFirestore({ projectId, requireServiceAccount = false } = {}) {
+  if (admin.apps.length === 0) {
+    const serviceAccount = loadServiceAccount();
+    if (serviceAccount) {
+      admin.initializeApp({
+        credential: admin.credential.cert(serviceAccount),
+        ...(projectId ? { projectId } : {}),
+      });
+      console.log('✅ Firebase Admin SDK initialized using the service account key from the environment.');
+    } else if (requireServiceAccount) {
+      throw new Error('Neither SERVICE_ACCOUNT_KEY nor FIREBASE_SERVICE_ACCOUNT_KEY_BASE64 environment variable is set.');
+    } else {
+      // This fallback is primarily for Firebase Cloud Functions environments
+      // or local testing where Google Application Credentials might be set up.
+      // For Railway, you MUST set SERVICE_ACCOUNT_KEY.
+      console.warn('WARNING: No service account key found in the environment. Assuming Firebase Cloud Function or local development with default credentials.');
+      admin.initializeApp(projectId ? { projectId } : undefined);
+    }
+  }
+  return admin.firestore();
+}
+
+module.exports = {
+  loadServiceAccount,
+  getFirestore,
+};
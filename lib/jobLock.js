@@ -0,0 +1,201 @@
+// lib/jobLock.js
+
+const os = require('os');
+const { randomUUID } = require('crypto');
+const { toJsDate } = require('./roiRules');
+
+// --- Job lock ---
+// A lease stored in Firestore that a run must hold before it pays anyone, so two replicas of
+// index.js (or a manual roiTask.js next to the scheduled job) never pay the same users at once.
+// The holder renews the lease on a heartbeat; if it crashes, the lease simply expires and the
+// next run takes over. Both engines share one lock because they pay the same people.
+// A holder that loses its lease (a renewal finds another owner, or fails until the lease runs
+// out) is told through an AbortSignal and must stop paying: the next holder may already be running.
+const LOCK_COLLECTION = 'roiJobLocks';
+const DEFAULT_LOCK_NAME = 'roiPayouts';
+const DEFAULT_LEASE_MS = 5 * 60 * 1000; // 5 minutes
+const DEFAULT_HEARTBEAT_MS = 60 * 1000; // renew every minute, well inside the lease
+const LOCK_LOST = 'lock-lost'; // `code` of the error a lost lease aborts the job with
+
+/** Identifies this process as a lock owner: host, pid and a random suffix. */
+function newOwnerId() {
+  return `${os.hostname()}:${process.pid}:${randomUUID().slice(0, 8)}`;
+}
+
+/** True when the lock document describes a lease that is still valid at `now`. */
+function isLeaseActive(lock, now = new Date()) {
+  const expiresAt = lock && lock.ownerId ? toJsDate(lock.expiresAt) : null;
+  return !!expiresAt && expiresAt > now;
+}
+
+/**
+ * Takes the lock unless someone else holds an unexpired lease on it.
+ * @param {object} repository - Storage backend (see lib/repositories).
+ * @param {object} params
+ * @param {string} params.ownerId - This process's owner ID (see newOwnerId()).
+ * @param {string} [params.name] - Lock name.
+ * @param {string} [params.purpose] - What the holder is running, shown by the admin command.
+ * @param {number} [params.leaseMs] - How long the lease lasts without a heartbeat.
+ * @returns {Promise<{ acquired: true } | { acquired: false, holder: object }>}
+ */
+function acquireLock(repository, { ownerId, name = DEFAULT_LOCK_NAME, purpose = null, leaseMs = DEFAULT_LEASE_MS }) {
+  return repository.runTransaction(async (transaction) => {
+    const lock = await transaction.get(LOCK_COLLECTION, name);
+    const now = new Date();
+    if (isLeaseActive(lock, now) && lock.ownerId !== ownerId) {
+      return { acquired: false, holder: lock };
+    }
+    transaction.set(LOCK_COLLECTION, name, {
+      name,
+      ownerId,
+      purpose,
+      host: os.hostname(),
+      pid: process.pid,
+      acquiredAt: now,
+      heartbeatAt: now,
+      expiresAt: new Date(now.getTime() + leaseMs),
+      // Kept for the admin command: who held the lock before, and whether we took over their
+      // expired lease (a holder that crashed without releasing).
+      previousOwnerId: lock ? lock.ownerId || lock.previousOwnerId || null : null,
+      tookOverExpiredLease: !!(lock && lock.ownerId && lock.ownerId !== ownerId),
+    });
+    return { acquired: true };
+  });
+}
+
+/**
+ * Extends the lease. Returns false when the lock is no longer ours (it expired and was taken,
+ * or was force-released).
+ * @returns {Promise<boolean>}
+ */
+function renewLock(repository, { ownerId, name = DEFAULT_LOCK_NAME, leaseMs = DEFAULT_LEASE_MS }) {
+  return repository.runTransaction(async (transaction) => {
+    const lock = await transaction.get(LOCK_COLLECTION, name);
+    if (!lock || lock.ownerId !== ownerId) {
+      return false;
+    }
+    const now = new Date();
+    transaction.update(LOCK_COLLECTION, name, { heartbeatAt: now, expiresAt: new Date(now.getTime() + leaseMs) });
+    return true;
+  });
+}
+
+/**
+ * Releases the lock. Only the owner can release it unless `force` is set (admin use).
+ * The document is kept, with no owner, so the last holder stays visible.
+ * @param {object} params
+ * @param {string|null} params.ownerId - Owner releasing the lock; ignored with `force`.
+ * @param {boolean} [params.force] - Release whoever holds it.
+ * @param {string} [params.releasedBy] - Recorded on the document (defaults to ownerId).
+ * @returns {Promise<{ released: boolean, holder: object|null }>}
+ */
+function releaseLock(repository, { ownerId = null, name = DEFAULT_LOCK_NAME, force = false, releasedBy = null }) {
+  return repository.runTransaction(async (transaction) => {
+    const lock = await transaction.get(LOCK_COLLECTION, name);
+    if (!lock || !lock.ownerId || (!force && lock.ownerId !== ownerId)) {
+      return { released: false, holder: lock };
+    }
+    transaction.update(LOCK_COLLECTION, name, {
+      ownerId: null,
+      previousOwnerId: lock.ownerId,
+      releasedAt: new Date(),
+      releasedBy: releasedBy || ownerId,
+      forced: force,
+      expiresAt: new Date(),
+    });
+    return { released: true, holder: lock };
+  });
+}
+
+/** The error a job's AbortSignal carries once its lease on `name` is lost. */
+function lockLostError(name) {
+  return Object.assign(new Error(`Lost lock "${name}"; stopped so that another instance does not pay the same users.`), { code: LOCK_LOST });
+}
+
+/** Reads the lock document with an `active` flag, or null if it was never taken. */
+async function inspectLock(repository, { name = DEFAULT_LOCK_NAME } = {}) {
+  const lock = await repository.getDocument(LOCK_COLLECTION, name);
+  return lock ? { ...lock, active: isLeaseActive(lock) } : null;
+}
+
+/**
+ * Runs `fn` while holding the lock, renewing the lease on a heartbeat and releasing it afterwards.
+ * When another owner holds the lock, `fn` is not called. `fn` gets an AbortSignal that is aborted
+ * (with lockLostError()) when the lease is lost; a job that pays must check it and stop.
+ *
+ * @param {object} repository - Storage backend (see lib/repositories).
+ * @param {object} params
+ * @param {string} [params.purpose] - What is being run, e.g. 'roiTask'.
+ * @param {string} [params.name] - Lock name.
+ * @param {number} [params.leaseMs]
+ * @param {number} [params.heartbeatMs]
+ * @param {string} [params.ownerId] - Defaults to a fresh newOwnerId().
+ * @param {(signal: AbortSignal) => Promise<T>} fn
+ * @returns {Promise<{ ran: true, result: T } | { ran: false, holder: object }>}
+ * @template T
+ */
+async function withJobLock(repository, { purpose = null, name = DEFAULT_LOCK_NAME, leaseMs = DEFAULT_LEASE_MS, heartbeatMs = DEFAULT_HEARTBEAT_MS, ownerId = newOwnerId() } = {}, fn) {
+  const attempt = await acquireLock(repository, { ownerId, name, purpose, leaseMs });
+  if (!attempt.acquired) {
+    const { holder } = attempt;
+    console.log(`🔒 Lock "${name}" is held by ${holder.ownerId} (${holder.purpose || 'unknown job'}) until ${toJsDate(holder.expiresAt).toISOString()}. Not running.`);
+    return { ran: false, holder };
+  }
+  console.log(`🔓 Acquired lock "${name}" as ${ownerId}.`);
+
+  const lease = new AbortController();
+  let renewedAt = Date.now();
+  const lose = () => {
+    if (!lease.signal.aborted) {
+      console.error(`❌ Lost lock "${name}" while running ${purpose || 'the job'}; stopping it, another instance may take over.`);
+      lease.abort(lockLostError(name));
+    }
+  };
+  const heartbeat = setInterval(() => {
+    const attemptedAt = Date.now();
+    renewLock(repository, { ownerId, name, leaseMs })
+      .then((stillOwned) => {
+        if (stillOwned) {
+          renewedAt = attemptedAt;
+        } else {
+          lose();
+        }
+      })
+      .catch((error) => {
+        console.error(`⚠️ Could not renew lock "${name}":`, error.message);
+        if (Date.now() - renewedAt >= leaseMs) {
+          lose(); // The lease has run out; another instance can take it now
+        }
+      });
+  }, heartbeatMs);
+  heartbeat.unref(); // Never keep the process alive just to renew the lease
+
+  try {
+    return { ran: true, result: await fn(lease.signal) };
+  } finally {
+    clearInterval(heartbeat);
+    try {
+      await releaseLock(repository, { ownerId, name });
+      console.log(`🔓 Released lock "${name}".`);
+    } catch (error) {
+      // The lease runs out on its own; the next run can take over then.
+      console.error(`⚠️ Could not release lock "${name}"; it will expire at the end of its lease:`, error.message);
+    }
+  }
+}
+
+module.exports = {
+  LOCK_COLLECTION,
+  DEFAULT_LOCK_NAME,
+  DEFAULT_LEASE_MS,
+  DEFAULT_HEARTBEAT_MS,
+  LOCK_LOST,
+  newOwnerId,
+  isLeaseActive,
+  acquireLock,
+  renewLock,
+  releaseLock,
+  lockLostError,
+  inspectLock,
+  withJobLock,
+};
@@ -0,0 +1,224 @@
+// lib/money.js
+
+// --- Money and rates ---
+// Amounts are calculated in integer minor units (cents for USD) and only converted back to
+// major units for the fields the app reads (walletBalance, payout log `amount`). Each plan
+// names its currency; the currency decides how many minor units there are and how a
+// fractional minor unit is rounded (a plan may override the rounding with `rounding`).
+// A wallet holds a single currency, `walletCurrency` on the USERS profile (default USD); there
+// are no exchange rates, so only amounts in that currency are ever credited to or taken from it.
+// Amounts in different currencies are never added together: totals are kept per currency.
+//
+// Rates are daily growth as a fraction of the principal (0.02 = 2% a day) once parsed. Plans
+// say which format they store with `rateFormat: 'percent' | 'fraction'`; without it each engine
+// assumes its historical format (percent for dailyROI, fraction for roiPercent) and rejects
+// values that could mean either, or that would pay an implausible rate.
+
+const DEFAULT_CURRENCY = 'USD';
+const ROUNDING_MODES = ['half-up', 'half-even', 'down'];
+const RATE_FORMATS = ['percent', 'fraction'];
+const MAX_DAILY_RATE = 0.25; // 25% of the principal per day; anything above is a data error
+
+const CURRENCIES = {
+  USD: { exponent: 2, rounding: 'half-up', symbol: '$' },
+  EUR: { exponent: 2, rounding: 'half-up', symbol: '€' },
+  GBP: { exponent: 2, rounding: 'half-up', symbol: '£' },
+  NGN: { exponent: 2, rounding: 'half-up', symbol: '₦' },
+  USDT: { exponent: 2, rounding: 'down', symbol: null },
+  JPY: { exponent: 0, rounding: 'half-up', symbol: '¥' },
+  KWD: { exponent: 3, rounding: 'half-up', symbol: null },
+};
+
+/** The currency's rules, or null when it is not supported. */
+function currencyInfo(code = DEFAULT_CURRENCY) {
+  const info = CURRENCIES[code];
+  return info ? { code, ...info } : null;
+}
+
+// Binary floating point turns 1.005 * 100 into 100.49999999999999; twelve significant digits
+// are far more than any amount needs and remove that noise before rounding.
+function clean(value) {
+  return Number(value.toPrecision(12));
+}
+
+/**
+ * Rounds a (possibly fractional) number of minor units to an integer.
+ * @param {number} value - Minor units.
+ * @param {'half-up'|'half-even'|'down'} [mode] - 'half-up' rounds halves away from zero,
+ *   'half-even' to the even neighbour, 'down' truncates toward zero.
+ */
+function roundMinor(value, mode = 'half-up') {
+  const exact = clean(value);
+  const sign = Math.sign(exact);
+  const magnitude = Math.abs(exact);
+  if (mode === 'down') {
+    return sign * Math.floor(magnitude) || 0;
+  }
+  const floor = Math.floor(magnitude);
+  const remainder = clean(magnitude - floor);
+  let rounded;
+  if (remainder > 0.5) {
+    rounded = floor + 1;
+  } else if (remainder < 0.5) {
+    rounded = floor;
+  } else {
+    rounded = mode === 'half-even' && floor % 2 === 0 ? floor : floor + 1;
+  }
+  return sign * rounded || 0;
+}
+
+/** Converts a major-unit amount (number or numeric string) to integer minor units. */
+function toMinorUnits(amount, currency = DEFAULT_CURRENCY, mode = null) {
+  const info = currencyInfo(currency) || currencyInfo(DEFAULT_CURRENCY);
+  return roundMinor(Number(amount) * 10 ** info.exponent, mode || info.rounding);
+}
+
+/** Converts integer minor units back to a major-unit number (exact to the currency's precision). */
+function fromMinorUnits(minor, currency = DEFAULT_CURRENCY) {
+  const info = currencyInfo(currency) || currencyInfo(DEFAULT_CURRENCY);
+  return Number((minor / 10 ** info.exponent).toFixed(info.exponent));
+}
+
+/** Minor units of an amount that may carry `amountMinor` (newer records) or only `amount` (older ones). */
+function minorOf({ amountMinor, amount, currency = DEFAULT_CURRENCY }) {
+  return Number.isInteger(amountMinor) ? amountMinor : toMinorUnits(Number(amount) || 0, currency);
+}
+
+/** The currency a USERS profile's walletBalance is kept in. */
+function walletCurrencyOf(profile) {
+  return (profile && profile.walletCurrency) || DEFAULT_CURRENCY;
+}
+
+/** Why an amount in `currency` cannot move the profile's wallet, or null when it can. */
+function walletMismatch(profile, currency = DEFAULT_CURRENCY) {
+  const walletCurrency = walletCurrencyOf(profile);
+  return currency === walletCurrency ? null : `${currency} payouts cannot be credited to a ${walletCurrency} wallet`;
+}
+
+/**
+ * Minor units an amount moves a wallet in `walletCurrency` by.
+ * @throws {Error} When the amount is in another currency; check walletMismatch() first.
+ */
+function walletMinorOf(item, walletCurrency = DEFAULT_CURRENCY) {
+  const currency = item.currency || DEFAULT_CURRENCY;
+  if (currency !== walletCurrency) {
+    throw new Error(`Cannot count ${currency} against a ${walletCurrency} wallet.`);
+  }
+  return minorOf(item);
+}
+
+/**
+ * Adds amounts that may be in different currencies.
+ * @param {Array<{ amountMinor?: number, amount?: number, currency?: string }>} items
+ * @returns {Object<string, number>} Minor units per currency code.
+ */
+function sumByCurrency(items) {
+  const totals = {};
+  for (const item of items) {
+    const currency = item.currency || DEFAULT_CURRENCY;
+    totals[currency] = (totals[currency] || 0) + minorOf(item);
+  }
+  return totals;
+}
+
+/** Per-currency totals in major units, e.g. { USD: 12.34, JPY: 500 }. */
+function majorByCurrency(items) {
+  const totals = {};
+  for (const [currency, minor] of Object.entries(sumByCurrency(items))) {
+    totals[currency] = fromMinorUnits(minor, currency);
+  }
+  return totals;
+}
+
+/**
+ * Adds amounts that share a currency and returns the total in major units (0 for none).
+ * Returns null when they are in different currencies; use sumByCurrency() for those.
+ */
+function sumMajor(items) {
+  const totals = Object.entries(sumByCurrency(items));
+  if (totals.length > 1) {
+    return null;
+  }
+  return totals.length === 0 ? 0 : fromMinorUnits(totals[0][1], totals[0][0]);
+}
+
+/** Formats minor units for logs and reports, e.g. '$12.34' or '12.345 KWD'. */
+function formatMoney(minor, currency = DEFAULT_CURRENCY) {
+  const info = currencyInfo(currency) || currencyInfo(DEFAULT_CURRENCY);
+  const major = (minor / 10 ** info.exponent).toFixed(info.exponent);
+  return info.symbol ? `${minor < 0 ? '-' : ''}${info.symbol}${major.replace('-', '')}` : `${major} ${currency}`;
+}
+
+/** Formats per-currency totals from sumByCurrency(), e.g. '$12.34 + ₦5000.00'. */
+function formatTotals(byCurrency) {
+  const parts = Object.entries(byCurrency).map(([currency, minor]) => formatMoney(minor, currency));
+  return parts.length > 0 ? parts.join(' + ') : formatMoney(0);
+}
+
+/** Formats per-currency totals in major units from majorByCurrency(), e.g. '$12.34 + ¥500'. */
+function formatMajorTotals(byCurrency = {}) {
+  const minorByCurrency = {};
+  for (const [currency, amount] of Object.entries(byCurrency)) {
+    minorByCurrency[currency] = toMinorUnits(amount, currency);
+  }
+  return formatTotals(minorByCurrency);
+}
+
+/**
+ * Parses a stored daily rate into a fraction of the principal.
+ * @param {*} value - The stored rate.
+ * @param {object} params
+ * @param {'percent'|'fraction'} params.format - How the value is written.
+ * @param {boolean} params.explicit - True when the plan set rateFormat itself.
+ * @param {string} params.field - Field name for the skip reason.
+ * @returns {{ ok: true, fraction: number } | { ok: false, reason: string }}
+ */
+function parseRate(value, { format, explicit, field }) {
+  const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+  if (typeof number !== 'number' || !Number.isFinite(number)) {
+    return { ok: false, reason: `${field} "${value}" is not a number` };
+  }
+  const fraction = clean(format === 'percent' ? number / 100 : number);
+  const asPercent = clean(fraction * 100);
+  if (fraction <= 0) {
+    return { ok: false, reason: `${field} ${number} must be above zero` };
+  }
+  if (fraction > MAX_DAILY_RATE) {
+    return explicit
+      ? { ok: false, reason: `${field} ${number} (${asPercent}% a day) is above the ${MAX_DAILY_RATE * 100}% daily limit` }
+      : { ok: false, reason: `${field} ${number} would pay ${asPercent}% a day as a ${format}; set rateFormat if that is really meant` };
+  }
+  if (!explicit && format === 'percent' && number < 1) {
+    // 0.5 could be half a percent or a fraction meaning 50%; only the plan can say which.
+    return { ok: false, reason: `${field} ${number} is ambiguous (${number}% or ${clean(number * 100)}% a day); set rateFormat to "percent" or "fraction"` };
+  }
+  return { ok: true, fraction };
+}
+
+/** Converts a fraction back to the plan's own rate format, for fields that store the rate as written. */
+function rateInFormat(fraction, format) {
+  return clean(format === 'percent' ? fraction * 100 : fraction);
+}
+
+module.exports = {
+  DEFAULT_CURRENCY,
+  ROUNDING_MODES,
+  RATE_FORMATS,
+  MAX_DAILY_RATE,
+  currencyInfo,
+  roundMinor,
+  toMinorUnits,
+  fromMinorUnits,
+  minorOf,
+  walletCurrencyOf,
+  walletMismatch,
+  walletMinorOf,
+  sumByCurrency,
+  majorByCurrency,
+  sumMajor,
+  formatMoney,
+  formatTotals,
+  formatMajorTotals,
+  parseRate,
+  rateInFormat,
+};
@@ -0,0 +1,228 @@
+// lib/notifier.js
+
+const { formatMajorTotals } = require('./money');
+
+// --- Operator alerts ---
+// Posts run alerts to a webhook: a Slack incoming webhook (or anything Slack-compatible) or a
+// generic endpoint that takes JSON. Alerts go out on a fatal error, when no plans are found,
+// when too many records were skipped or failed, and with a summary after every run.
+// Sending is retried with backoff, and nothing here ever throws: an alert that cannot be
+// delivered is logged and the payout run carries on.
+//
+// Configuration (environment):
+//   ALERT_WEBHOOK_URL              where to post; alerts are off when unset
+//   ALERT_WEBHOOK_FORMAT           'slack' or 'json' (default: 'slack' for hooks.slack.com URLs, else 'json')
+//   ALERT_SKIP_RATIO_THRESHOLD     alert when skipped / records exceeds this (default 0.5)
+//   ALERT_FAILURE_RATIO_THRESHOLD  alert when failed / records exceeds this (default 0.05)
+
+const DEFAULT_SKIP_RATIO_THRESHOLD = 0.5;
+const DEFAULT_FAILURE_RATIO_THRESHOLD = 0.05;
+const DEFAULT_RETRIES = 3;
+const DEFAULT_BASE_DELAY_MS = 1000;
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+
+function parseRatio(name, value, fallback) {
+  if (value === undefined || value === '') {
+    return fallback;
+  }
+  const parsed = Number(value);
+  if (!Number.isFinite(parsed) || parsed < 0 || parsed > 1) {
+    throw new Error(`${name} must be a number between 0 and 1, got "${value}".`);
+  }
+  return parsed;
+}
+
+/**
+ * Reads the notifier settings from the environment.
+ * @returns {{ url: string|null, format: 'slack'|'json', skipRatioThreshold: number, failureRatioThreshold: number }}
+ * @throws {Error} When a setting is malformed.
+ */
+function notifierConfigFromEnv(env = process.env) {
+  const url = env.ALERT_WEBHOOK_URL || null;
+  const format = env.ALERT_WEBHOOK_FORMAT || (url && new URL(url).hostname === 'hooks.slack.com' ? 'slack' : 'json');
+  if (format !== 'slack' && format !== 'json') {
+    throw new Error(`ALERT_WEBHOOK_FORMAT must be "slack" or "json", got "${format}".`);
+  }
+  return {
+    url,
+    format,
+    skipRatioThreshold: parseRatio('ALERT_SKIP_RATIO_THRESHOLD', env.ALERT_SKIP_RATIO_THRESHOLD, DEFAULT_SKIP_RATIO_THRESHOLD),
+    failureRatioThreshold: parseRatio('ALERT_FAILURE_RATIO_THRESHOLD', env.ALERT_FAILURE_RATIO_THRESHOLD, DEFAULT_FAILURE_RATIO_THRESHOLD),
+  };
+}
+
+/**
+ * Builds the notifier the entry scripts use. A bad setting turns alerts off (with an error in
+ * the log) instead of stopping the payout run.
+ */
+function loadNotifier(env = process.env) {
+  try {
+    return createNotifier(notifierConfigFromEnv(env));
+  } catch (error) {
+    console.error(`❌ Alerts are disabled: ${error.message}`);
+    return createNotifier();
+  }
+}
+
+/** Request body for one alert in the configured format. */
+function webhookPayload(format, alert) {
+  if (format === 'slack') {
+    const icon = { critical: '🚨', warning: '⚠️', info: 'ℹ️' }[alert.severity] || '';
+    return { text: `${icon} *${alert.title}*\n${alert.text}` };
+  }
+  return { source: 'roi-cron-job', sentAt: new Date().toISOString(), ...alert };
+}
+
+function isRetryable(status) {
+  return status === 429 || status >= 500;
+}
+
+/**
+ * Creates a notifier.
+ * @param {object} [config] - As returned by notifierConfigFromEnv().
+ * @param {object} [deps] - Injection points for tests.
+ * @param {typeof fetch} [deps.fetch]
+ * @param {(ms: number) => Promise<void>} [deps.sleep]
+ * @param {number} [deps.retries] - Attempts after the first one.
+ * @param {number} [deps.baseDelayMs] - First retry delay; doubles on each retry.
+ */
+function createNotifier(config = {}, deps = {}) {
+  const {
+    url = null,
+    format = 'json',
+    skipRatioThreshold = DEFAULT_SKIP_RATIO_THRESHOLD,
+    failureRatioThreshold = DEFAULT_FAILURE_RATIO_THRESHOLD,
+  } = config;
+  const {
+    fetch: fetchImpl = globalThis.fetch,
+    sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms)),
+    retries = DEFAULT_RETRIES,
+    baseDelayMs = DEFAULT_BASE_DELAY_MS,
+  } = deps;
+
+  /**
+   * Sends one alert. Resolves to true when the webhook accepted it; never rejects.
+   * @param {{ type: string, severity: 'critical'|'warning'|'info', title: string, text: string, details?: object }} alert
+   */
+  async function send(alert) {
+    if (!url) {
+      return false;
+    }
+    const body = JSON.stringify(webhookPayload(format, alert));
+    for (let attempt = 0; attempt <= retries; attempt++) {
+      if (attempt > 0) {
+        await sleep(baseDelayMs * 2 ** (attempt - 1));
+      }
+      try {
+        const res = await fetchImpl(url, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body,
+          signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+        });
+        if (res.ok) {
+          return true;
+        }
+        console.warn(`⚠️ Alert webhook answered ${res.status} for "${alert.title}" (attempt ${attempt + 1}).`);
+        if (!isRetryable(res.status)) {
+          break;
+        }
+      } catch (error) {
+        console.warn(`⚠️ Alert webhook failed for "${alert.title}" (attempt ${attempt + 1}): ${error.message}`);
+      }
+    }
+    console.error(`❌ Could not deliver alert "${alert.title}". Continuing without it.`);
+    return false;
+  }
+
+  /** Sends every alert a finished run calls for. Never rejects. */
+  async function notifyRun(report) {
+    const alerts = runAlerts(report.toJSON(), { skipRatioThreshold, failureRatioThreshold });
+    for (const alert of alerts) {
+      await send(alert);
+    }
+    return alerts;
+  }
+
+  /** Alerts about an error that stopped a run before it produced a report. Never rejects. */
+  function notifyFatal(context, error) {
+    return send({
+      type: 'fatal',
+      severity: 'critical',
+      title: `ROI job failed: ${context}`,
+      text: error.message,
+      details: { context, error: error.message },
+    });
+  }
+
+  return { enabled: !!url, send, notifyRun, notifyFatal };
+}
+
+/**
+ * Works out which alerts a finished run calls for.
+ * @param {object} json - report.toJSON() of the finished run.
+ * @param {{ skipRatioThreshold: number, failureRatioThreshold: number }} thresholds
+ * @returns {Array<{ type: 'fatal'|'noPlans'|'aborted'|'skipRatio'|'failureRatio'|'summary', severity: string, title: string, text: string, details: object }>}
+ */
+function runAlerts(json, { skipRatioThreshold = DEFAULT_SKIP_RATIO_THRESHOLD, failureRatioThreshold = DEFAULT_FAILURE_RATIO_THRESHOLD } = {}) {
+  const { totals } = json;
+  const label = `${json.engine} run ${json.runId} (as of ${json.asOf})`;
+  const details = { runId: json.runId, engine: json.engine, asOf: json.asOf, trigger: json.trigger, totals };
+  const alerts = [];
+
+  if (json.errorCode === 'no-plans') {
+    alerts.push({ type: 'noPlans', severity: 'critical', title: 'ROI job found no investment plans', text: `${label} stopped: ${json.error}`, details });
+  } else if (json.status === 'failed') {
+    alerts.push({ type: 'fatal', severity: 'critical', title: 'ROI job failed', text: `${label} stopped: ${json.error}`, details });
+  } else if (json.status === 'aborted') {
+    alerts.push({ type: 'aborted', severity: 'critical', title: 'ROI job aborted', text: `${label} stopped part-way: ${json.error}`, details });
+  }
+
+  // A record is one user (dailyRoiIncrease) or investment (roiTask). It counts as skipped when
+  // nothing was paid or changed for it, and as failed when processing it threw.
+  const entries = json.users.flatMap((user) => user.investments);
+  const records = entries.length;
+  const failedRecords = entries.filter((entry) => entry.failures.length > 0).length;
+  const skippedRecords = entries.filter((entry) => entry.failures.length === 0 && entry.skips.length > 0
+    && entry.payouts.length === 0 && entry.statusChanges.length === 0 && entry.holds.length === 0).length;
+  if (records > 0) {
+    const skipRatio = skippedRecords / records;
+    const failureRatio = failedRecords / records;
+    if (skipRatio > skipRatioThreshold) {
+      alerts.push({
+        type: 'skipRatio',
+        severity: 'warning',
+        title: 'ROI job skipped an unusual share of records',
+        text: `${label}: ${skippedRecords} of ${records} records skipped (${(skipRatio * 100).toFixed(1)}%, threshold ${(skipRatioThreshold * 100).toFixed(1)}%).`,
+        details: { ...details, skipRatio },
+      });
+    }
+    if (failureRatio > failureRatioThreshold) {
+      alerts.push({
+        type: 'failureRatio',
+        severity: 'critical',
+        title: 'ROI job failed on an unusual share of records',
+        text: `${label}: ${failedRecords} of ${records} records failed (${(failureRatio * 100).toFixed(1)}%, threshold ${(failureRatioThreshold * 100).toFixed(1)}%).`,
+        details: { ...details, failureRatio },
+      });
+    }
+  }
+
+  const plansCompleted = entries.filter((entry) => entry.statusChanges.some((change) => change.to === 'completed')).length;
+  alerts.push({
+    type: 'summary',
+    severity: 'info',
+    title: 'ROI job summary',
+    text: `${label}: paid ${formatMajorTotals(totals.amountByCurrency)} in ${totals.payouts} payouts. ` +
+      `${plansCompleted} plans completed, ${totals.held} payouts held for approval, ${skippedRecords} records skipped, ${failedRecords} failed.`,
+    details: { ...details, amountPaid: totals.amount, plansCompleted },
+  });
+  return alerts;
+}
+
+module.exports = {
+  notifierConfigFromEnv,
+  createNotifier,
+  loadNotifier,
+  runAlerts,
+};
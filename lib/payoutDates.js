@@ -0,0 +1,123 @@
+// lib/payoutDates.js
+
+const dayjs = require('dayjs');
+const utc = require('dayjs/plugin/utc');
+const timezone = require('dayjs/plugin/timezone');
+
+dayjs.extend(utc);
+dayjs.extend(timezone);
+
+// Payout dates are plain 'YYYY-MM-DD' strings everywhere (ledger keys, payoutLogs, lastRoiPaymentDate).
+const PAYOUT_DATE_FORMAT = 'YYYY-MM-DD';
+
+// Business dates are taken in this zone unless the schedule (lib/schedule.js) or the plan sets another.
+const DEFAULT_TIMEZONE = 'UTC';
+
+/** True for an IANA zone name the runtime knows, e.g. 'Africa/Lagos'. */
+function isValidTimezone(value) {
+  if (typeof value !== 'string' || value === '') {
+    return false;
+  }
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: value });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * The payout date an instant belongs to in a timezone.
+ * Business days start at `dayStartHour` local time; earlier hours still count as the day before.
+ * @param {Date} instant
+ * @param {{ timezone?: string, dayStartHour?: number }} [boundary]
+ * @returns {string} 'YYYY-MM-DD'
+ */
+function businessDate(instant, { timezone: zone = DEFAULT_TIMEZONE, dayStartHour = 0 } = {}) {
+  return dayjs(instant).tz(zone).subtract(dayStartHour, 'hour').format(PAYOUT_DATE_FORMAT);
+}
+
+/**
+ * The instant a run for `payoutDate` would see: `hoursIn` hours after the business day starts.
+ * Used for --as-of runs.
+ */
+function businessDateInstant(payoutDate, { timezone: zone = DEFAULT_TIMEZONE, dayStartHour = 0 } = {}, hoursIn = 0) {
+  return dayjs.tz(payoutDate, zone).add(dayStartHour + hoursIn, 'hour').toDate();
+}
+
+/**
+ * Normalises a stored date value to a 'YYYY-MM-DD' payout date.
+ * Accepts 'YYYY-MM-DD' strings, which are kept as they are, and instants: JavaScript Dates,
+ * Firestore Timestamps (anything with toDate()) and timestamp strings. An instant is dated with
+ * businessDate() on `boundary`, never in the server's own timezone.
+ * @param {*} value
+ * @param {{ timezone?: string, dayStartHour?: number }} [boundary] - The schedule's or plan's calendar (default UTC midnight).
+ * @returns {string|null} The payout date, or null if the value is missing or unparseable.
+ */
+function toPayoutDate(value, boundary = {}) {
+  if (!value) {
+    return null;
+  }
+  if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return dayjs(value).format(PAYOUT_DATE_FORMAT) === value ? value : null; // Rejects '2024-02-30'
+  }
+  const instant = dayjs(typeof value.toDate === 'function' ? value.toDate() : value);
+  return instant.isValid() ? businessDate(instant.toDate(), boundary) : null;
+}
+
+/**
+ * Lists every payout date from `since` to `until`, both inclusive.
+ * @returns {string[]} Dates in ascending order (empty if `since` is after `until`).
+ */
+function listPayoutDates(since, until) {
+  const dates = [];
+  const end = dayjs(until);
+  for (let day = dayjs(since); !day.isAfter(end, 'day'); day = day.add(1, 'day')) {
+    dates.push(day.format(PAYOUT_DATE_FORMAT));
+  }
+  return dates;
+}
+
+/**
+ * Works out which payout dates an investment is owed after scheduler downtime.
+ * Every day after `lastPaidDate` up to and including `asOfDate` is owed,
+ * but never more than `remainingDays` (what is left of the plan's cycle).
+ *
+ * @param {object} params
+ * @param {string|null} params.lastPaidDate - Last day that was paid, or the day before the plan started.
+ * @param {string} params.asOfDate - The business date of this run.
+ * @param {number} params.remainingDays - Days left before the plan's cycle is complete.
+ * @param {function(string): boolean} [params.isPayoutDay] - Calendar filter (e.g. business days only).
+ * @returns {string[]} Owed payout dates in ascending order.
+ */
+function owedPayoutDates({ lastPaidDate, asOfDate, remainingDays, isPayoutDay = () => true }) {
+  if (remainingDays <= 0) {
+    return [];
+  }
+  if (!lastPaidDate) {
+    // Nothing to count from: behave like a normal daily run.
+    return isPayoutDay(asOfDate) ? [asOfDate] : [];
+  }
+  const firstOwed = dayjs(lastPaidDate).add(1, 'day');
+  return listPayoutDates(firstOwed, asOfDate).filter(isPayoutDay).slice(0, remainingDays);
+}
+
+/**
+ * Number of whole days between two JavaScript Dates, allowing `bufferMs` of schedule drift.
+ */
+function elapsedWholeDays(fromDate, toDate, bufferMs = 0) {
+  const ONE_DAY_IN_MS = 24 * 60 * 60 * 1000;
+  return Math.floor((toDate.getTime() - fromDate.getTime() + bufferMs) / ONE_DAY_IN_MS);
+}
+
+module.exports = {
+  PAYOUT_DATE_FORMAT,
+  DEFAULT_TIMEZONE,
+  isValidTimezone,
+  businessDate,
+  businessDateInstant,
+  toPayoutDate,
+  listPayoutDates,
+  owedPayoutDates,
+  elapsedWholeDays,
+};
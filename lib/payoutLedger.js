@@ -0,0 +1,22 @@
+// lib/payoutLedger.js
+
+// --- ROI Payout Ledger ---
+// Every ROI credit is recorded as one document in this collection, keyed by
+// (investmentId, payout date). Because the key is deterministic, a second run
+// on the same day finds the existing entry and knows the payout already happened.
+const PAYOUT_LEDGER_COLLECTION = 'roiPayoutLedger';
+
+/**
+ * Builds the ledger document ID for a payout.
+ * @param {string} investmentId - ID of the INVESTMENT document being paid.
+ * @param {string} payoutDate - Payout date formatted as 'YYYY-MM-DD'.
+ * @returns {string} Deterministic ledger document ID.
+ */
+function payoutLedgerId(investmentId, payoutDate) {
+  return `${investmentId}_${payoutDate}`;
+}
+
+module.exports = {
+  PAYOUT_LEDGER_COLLECTION,
+  payoutLedgerId,
+};
@@ -0,0 +1,190 @@
+// lib/pendingPayouts.js
+
+const { PENDING_PAYOUTS_COLLECTION, INVESTMENT_COLLECTION, USERS_COLLECTION, LEGACY_USERS_COLLECTION } = require('./collections');
+const { payInvestmentForDate } = require('./engines/roiTask');
+const { defaultRiskConfig, accountBlock } = require('./riskControls');
+const { DEFAULT_SCHEDULE } = require('./schedule');
+const { arrayUnion, deleteField, serverTimestamp } = require('./repositories/fieldOps');
+const { sumByCurrency, sumMajor } = require('./money');
+
+// --- Payout approval queue ---
+// Payouts the risk controls hold back (see lib/riskControls.js) wait in `pendingPayouts`, keyed
+// by the ledger ID they would get, and their investment is held until an admin decides:
+//   approve  pays the day through payInvestmentForDate(), the normal ledger path, which also
+//            releases the hold; the daily caps do not apply to an approved payout;
+//   reject   releases the hold without paying. Later runs do not queue that day again.
+// The amount is recalculated when the payout is approved, from the plan as it is then.
+//
+// The daily ROI increase engine queues a user's whole increase instead (engine
+// 'dailyRoiIncrease', keyed by user and first day) and holds the legacy users document:
+//   approve  applies the increase exactly as the run worked it out, if the user has not changed since;
+//   reject   releases the hold and moves lastROIUpdateDate past the rejected days, so they are not
+//            credited (or queued) again.
+
+const LEGACY_ENGINE = 'dailyRoiIncrease';
+
+/** Queue ID of a held daily ROI increase: the user and the first day it would credit. */
+function legacyPendingPayoutId(userId, firstDate) {
+  return `${LEGACY_ENGINE}_${userId}_${firstDate}`;
+}
+
+/**
+ * The writes that queue a daily ROI increase instead of applying it, and hold the user.
+ * @param {object} params
+ * @param {string} params.userId - The legacy users document.
+ * @param {object} params.userData - Its data as the run read it.
+ * @param {object[]} params.logs - The roiIncreaseLogs entries the increase would add.
+ * @param {object} params.fields - The rest of the users update (currentROI, lastROIUpdateDate, ...).
+ * @param {string[]} params.reasons - Why it needs approval (see lib/riskControls.js).
+ * @param {string} params.runId - The run that queued it.
+ * @returns {{ pendingPayoutId: string, writes: object[] }}
+ */
+function legacyQueueWrites({ userId, userData, logs, fields, reasons, runId }) {
+  const pendingPayoutId = legacyPendingPayoutId(userId, logs[0].date);
+  const [currency] = Object.keys(sumByCurrency(logs));
+  const item = {
+    status: 'pending',
+    engine: LEGACY_ENGINE,
+    userId,
+    investmentPlanId: userData.investmentPlanId || null,
+    payoutDate: logs[0].date,
+    payoutDates: logs.map((log) => log.date),
+    amount: sumMajor(logs),
+    amountMinor: sumByCurrency(logs)[currency],
+    currency,
+    reasons,
+    runId,
+    logs,
+    fields,
+    // Approval only applies the increase to the user as it was when it was worked out.
+    expectedDayCount: userData.roiIncreaseDayCount || 0,
+    createdAt: serverTimestamp(),
+  };
+  return {
+    pendingPayoutId,
+    writes: [
+      { type: 'create', collection: PENDING_PAYOUTS_COLLECTION, id: pendingPayoutId, data: item },
+      { type: 'update', collection: LEGACY_USERS_COLLECTION, id: userId, data: { pendingPayoutId } },
+    ],
+  };
+}
+
+/**
+ * Lists queue items, oldest first.
+ * @param {{ status?: 'pending'|'approved'|'rejected'|null }} [filters] - Default 'pending'; null for every item.
+ * @returns {Promise<Array<{ id: string, data: object }>>}
+ */
+async function listPendingPayouts(repository, { status = 'pending' } = {}) {
+  const items = await repository.listDocuments(PENDING_PAYOUTS_COLLECTION, status ? { where: [['status', '==', status]] } : {});
+  return items.sort((a, b) => (a.data.payoutDate < b.data.payoutDate ? -1 : a.data.payoutDate > b.data.payoutDate ? 1 : 0));
+}
+
+async function pendingItem(repository, pendingPayoutId) {
+  const item = await repository.getDocument(PENDING_PAYOUTS_COLLECTION, pendingPayoutId);
+  if (!item) {
+    throw new Error(`No queued payout "${pendingPayoutId}".`);
+  }
+  if (item.status !== 'pending') {
+    throw new Error(`Queued payout "${pendingPayoutId}" was already ${item.status} by ${item.decidedBy || 'someone'}.`);
+  }
+  return item;
+}
+
+/**
+ * Approves a queued payout and credits it through the ledger.
+ * An earlier approval that paid but stopped before recording the decision is completed, not paid twice.
+ * @param {object} repository - Storage backend (see lib/repositories).
+ * @param {string} pendingPayoutId
+ * @param {object} params
+ * @param {string} params.actor - Who approved it. Required.
+ * @param {number[]} [params.referralLevels] - Referral commissions to pay with it (see lib/referrals.js).
+ * @param {object} [params.risk] - Risk settings; a frozen or KYC-failed account (payee or referrer) is still not paid.
+ * @param {object} [params.schedule] - The job's schedule (see lib/schedule.js), as for the payout run.
+ * @returns {Promise<{ pendingPayoutId: string, paid: boolean, amount: number|null }>}
+ *   `paid` is false when the ledger already held the payout.
+ * @throws {Error} When the item is not pending, the account is blocked, or the plan can no longer be paid.
+ */
+async function approvePendingPayout(repository, pendingPayoutId, { actor, referralLevels = [], risk = defaultRiskConfig(), schedule = DEFAULT_SCHEDULE }) {
+  if (!actor) {
+    throw new Error('An approval must record who made it (actor).');
+  }
+  const item = await pendingItem(repository, pendingPayoutId);
+  const usersCollection = item.engine === LEGACY_ENGINE ? LEGACY_USERS_COLLECTION : USERS_COLLECTION;
+  const blocked = accountBlock(await repository.getDocument(usersCollection, item.userId), risk);
+  if (blocked) {
+    throw new Error(`Cannot pay user ${item.userId}: ${blocked}. Reject the payout or resolve the account first.`);
+  }
+  if (item.engine === LEGACY_ENGINE) {
+    return approveLegacyIncrease(repository, pendingPayoutId, item, actor);
+  }
+
+  // A day held during a backfill can be older than the investment's last payment.
+  const result = await payInvestmentForDate(repository, item.investmentId, item.userId, item.payoutDate, { backfill: true, referralLevels, risk, schedule });
+  if (result.status !== 'paid' && result.status !== 'duplicate') {
+    throw new Error(`Cannot pay "${pendingPayoutId}": ${result.reason || 'the plan is no longer active or has no days left'}. It stays queued; reject it if it should not be paid.`);
+  }
+  const amount = result.status === 'paid' ? result.roiAmount : null;
+  await repository.commitWrites([{
+    type: 'update',
+    collection: PENDING_PAYOUTS_COLLECTION,
+    id: pendingPayoutId,
+    data: { status: 'approved', decidedBy: actor, decidedAt: serverTimestamp(), ledgerId: pendingPayoutId, paidAmount: amount },
+  }]);
+  return { pendingPayoutId, paid: result.status === 'paid', amount };
+}
+
+/** Applies a queued daily ROI increase and records the approval, in one transaction. */
+async function approveLegacyIncrease(repository, pendingPayoutId, item, actor) {
+  await repository.runTransaction(async (transaction) => {
+    const [current, user] = await transaction.getAll([
+      { collection: PENDING_PAYOUTS_COLLECTION, id: pendingPayoutId },
+      { collection: LEGACY_USERS_COLLECTION, id: item.userId },
+    ]);
+    if (!current || current.status !== 'pending') {
+      throw new Error(`Queued payout "${pendingPayoutId}" was decided while it was being approved.`);
+    }
+    if (!user || user.pendingPayoutId !== pendingPayoutId || (user.roiIncreaseDayCount || 0) !== item.expectedDayCount) {
+      throw new Error(`Cannot pay "${pendingPayoutId}": user ${item.userId} changed since it was queued. It stays queued; reject it if it should not be paid.`);
+    }
+    transaction.update(LEGACY_USERS_COLLECTION, item.userId, { ...item.fields, roiIncreaseLogs: arrayUnion(...item.logs), pendingPayoutId: deleteField() });
+    transaction.update(PENDING_PAYOUTS_COLLECTION, pendingPayoutId, { status: 'approved', decidedBy: actor, decidedAt: serverTimestamp(), paidAmount: item.amount });
+  });
+  return { pendingPayoutId, paid: true, amount: item.amount };
+}
+
+/**
+ * Rejects a queued payout: the day is not paid and the investment (or legacy user) is released.
+ * @param {{ actor: string, reason: string }} audit - Who rejected it, and why. Both required.
+ * @returns {Promise<{ pendingPayoutId: string }>}
+ */
+async function rejectPendingPayout(repository, pendingPayoutId, { actor, reason }) {
+  if (!actor || !reason) {
+    throw new Error('A rejection must record who made it (actor) and why (reason).');
+  }
+  const item = await pendingItem(repository, pendingPayoutId);
+  const legacy = item.engine === LEGACY_ENGINE;
+  const held = legacy
+    ? { collection: LEGACY_USERS_COLLECTION, id: item.userId }
+    : { collection: INVESTMENT_COLLECTION, id: item.investmentId };
+  await repository.runTransaction(async (transaction) => {
+    const [current, holder] = await transaction.getAll([{ collection: PENDING_PAYOUTS_COLLECTION, id: pendingPayoutId }, held]);
+    if (!current || current.status !== 'pending') {
+      throw new Error(`Queued payout "${pendingPayoutId}" was decided while it was being rejected.`);
+    }
+    transaction.update(PENDING_PAYOUTS_COLLECTION, pendingPayoutId, { status: 'rejected', decidedBy: actor, decidedAt: serverTimestamp(), decisionReason: reason });
+    if (holder && holder.pendingPayoutId === pendingPayoutId) {
+      // A legacy user's next increase starts after the rejected days, as if they had been credited.
+      const moveOn = legacy ? { lastROIUpdateDate: item.fields.lastROIUpdateDate } : {};
+      transaction.update(held.collection, held.id, { pendingPayoutId: deleteField(), ...moveOn });
+    }
+  });
+  return { pendingPayoutId };
+}
+
+module.exports = {
+  legacyPendingPayoutId,
+  legacyQueueWrites,
+  listPendingPayouts,
+  approvePendingPayout,
+  rejectPendingPayout,
+};
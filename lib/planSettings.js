@@ -0,0 +1,177 @@
+// lib/planSettings.js
+
+const dayjs = require('dayjs');
+const { PAYOUT_DATE_FORMAT, isValidTimezone } = require('./payoutDates');
+const { DEFAULT_CURRENCY, ROUNDING_MODES, RATE_FORMATS, currencyInfo, parseRate } = require('./money');
+
+// --- Per-plan payout settings ---
+// Plans (investmentPlans documents for index.js, activePlan maps for roiTask.js) may define:
+//   durationDays     Length of the cycle in payout days. Default 7.
+//   interestType     'simple' (default) pays the rate on the principal every day;
+//                    'compound' pays it on the principal plus everything earned so far in the cycle.
+//   rateSchedule     Tiered rates, e.g. [{ fromDay: 1, toDay: 3, rate: 2 }, { fromDay: 4, toDay: 10, rate: 3 }].
+//                    `toDay` may be omitted on the last tier. Days not covered use the plan's flat rate.
+//   businessDaysOnly When true, weekends and `holidays` are not payout days.
+//   holidays         Payout dates ('YYYY-MM-DD') that are skipped when businessDaysOnly is set.
+//   rateFormat       'percent' or 'fraction': how the flat rate and the schedule rates are written.
+//                    Defaults to the engine's historical format (percent for dailyROI, fraction
+//                    for roiPercent), with extra checks for values that could mean either.
+//   currency         Currency code of the plan's amounts (see lib/money.js). Default 'USD'.
+//   rounding         'half-up', 'half-even' or 'down'; defaults to the currency's own rule.
+//   payoutTimezone   IANA zone (e.g. 'Africa/Lagos') whose calendar decides the plan's payout dates.
+//                    Defaults to the schedule's timezone (see lib/schedule.js).
+// Resolved settings hold every rate as a fraction of the principal, whatever the plan's format.
+// A plan without any of these fields behaves exactly like the original 7-day flat plan.
+
+const DEFAULT_CYCLE_DAYS = 7;
+const INTEREST_TYPES = ['simple', 'compound'];
+
+function isPositiveInteger(value) {
+  return Number.isInteger(value) && value > 0;
+}
+
+/**
+ * Reads and validates a plan's payout settings.
+ * @param {object} plan - Plan data (investmentPlans document or activePlan map).
+ * @param {*} flatRate - The plan's flat daily rate as stored, used for days the schedule does not cover.
+ * @param {object} rateOptions
+ * @param {string} rateOptions.rateField - Name of the flat rate field, for skip reasons.
+ * @param {'percent'|'fraction'} rateOptions.defaultRateFormat - Format assumed when the plan has no rateFormat.
+ * @returns {{ ok: true, settings: object } | { ok: false, reason: string }}
+ */
+function resolvePlanSettings(plan, flatRate, { rateField, defaultRateFormat }) {
+  const cycleDays = plan.durationDays === undefined || plan.durationDays === null ? DEFAULT_CYCLE_DAYS : Number(plan.durationDays);
+  if (!isPositiveInteger(cycleDays)) {
+    return { ok: false, reason: `invalid durationDays "${plan.durationDays}"` };
+  }
+
+  const interestType = plan.interestType || 'simple';
+  if (!INTEREST_TYPES.includes(interestType)) {
+    return { ok: false, reason: `invalid interestType "${plan.interestType}"` };
+  }
+
+  const currency = plan.currency || DEFAULT_CURRENCY;
+  const currencyRules = currencyInfo(currency);
+  if (!currencyRules) {
+    return { ok: false, reason: `unsupported currency "${plan.currency}"` };
+  }
+  const rounding = plan.rounding || currencyRules.rounding;
+  if (!ROUNDING_MODES.includes(rounding)) {
+    return { ok: false, reason: `invalid rounding "${plan.rounding}"` };
+  }
+
+  const explicitFormat = plan.rateFormat !== undefined && plan.rateFormat !== null;
+  if (explicitFormat && !RATE_FORMATS.includes(plan.rateFormat)) {
+    return { ok: false, reason: `invalid rateFormat "${plan.rateFormat}"` };
+  }
+  const rateFormat = explicitFormat ? plan.rateFormat : defaultRateFormat;
+  const readRate = (value, field) => parseRate(value, { format: rateFormat, explicit: explicitFormat, field });
+
+  let rateSchedule = [];
+  if (plan.rateSchedule !== undefined && plan.rateSchedule !== null) {
+    if (!Array.isArray(plan.rateSchedule)) {
+      return { ok: false, reason: 'rateSchedule must be an array' };
+    }
+    for (const tier of plan.rateSchedule) {
+      const fromDay = Number(tier && tier.fromDay);
+      const toDay = tier && tier.toDay !== undefined && tier.toDay !== null ? Number(tier.toDay) : Infinity;
+      if (!isPositiveInteger(fromDay) || !(toDay >= fromDay)) {
+        return { ok: false, reason: `invalid rateSchedule tier ${JSON.stringify(tier)}` };
+      }
+      const rate = readRate(tier.rate, `rateSchedule rate for day ${fromDay}${toDay === Infinity ? '+' : `-${toDay}`}`);
+      if (!rate.ok) {
+        return { ok: false, reason: rate.reason };
+      }
+      rateSchedule.push({ fromDay, toDay, rate: rate.fraction });
+    }
+    rateSchedule = rateSchedule.sort((a, b) => a.fromDay - b.fromDay);
+    for (let i = 1; i < rateSchedule.length; i++) {
+      if (rateSchedule[i].fromDay <= rateSchedule[i - 1].toDay) {
+        return { ok: false, reason: 'rateSchedule tiers overlap' };
+      }
+    }
+  }
+
+  // The flat rate only matters if some day of the cycle falls outside the schedule.
+  let flatFraction = null;
+  const scheduleCoversCycle = Array.from({ length: cycleDays }, (_, i) => i + 1)
+    .every((day) => rateSchedule.some((tier) => day >= tier.fromDay && day <= tier.toDay));
+  if (!scheduleCoversCycle) {
+    const rate = readRate(flatRate, rateField);
+    if (!rate.ok) {
+      return { ok: false, reason: rate.reason };
+    }
+    flatFraction = rate.fraction;
+  }
+
+  const payoutTimezone = plan.payoutTimezone === undefined || plan.payoutTimezone === null ? null : plan.payoutTimezone;
+  if (payoutTimezone !== null && !isValidTimezone(payoutTimezone)) {
+    return { ok: false, reason: `invalid payoutTimezone "${plan.payoutTimezone}"` };
+  }
+
+  const holidays = Array.isArray(plan.holidays) ? plan.holidays.map(String) : [];
+
+  return {
+    ok: true,
+    settings: {
+      cycleDays,
+      interestType,
+      rateSchedule,
+      flatRate: flatFraction,
+      rateFormat,
+      currency,
+      rounding,
+      payoutTimezone,
+      businessDaysOnly: plan.businessDaysOnly === true,
+      holidays: new Set(holidays),
+    },
+  };
+}
+
+/** The rate for a 1-based cycle day, as a fraction: the matching schedule tier, else the flat rate. */
+function rateForDay(settings, day) {
+  const tier = settings.rateSchedule.find((candidate) => day >= candidate.fromDay && day <= candidate.toDay);
+  return tier ? tier.rate : settings.flatRate;
+}
+
+/** Total growth of the principal after `days` cycle days, as a fraction (0.1 = 10%). */
+function cumulativeGrowth(settings, days) {
+  if (settings.interestType === 'compound') {
+    let factor = 1;
+    for (let day = 1; day <= days; day++) {
+      factor *= 1 + rateForDay(settings, day);
+    }
+    return factor - 1;
+  }
+  let total = 0;
+  for (let day = 1; day <= days; day++) {
+    total += rateForDay(settings, day);
+  }
+  return total;
+}
+
+/** Growth earned on cycle day `day` alone, as a fraction of the principal. */
+function dayGrowth(settings, day) {
+  if (settings.interestType === 'simple') {
+    return rateForDay(settings, day);
+  }
+  return cumulativeGrowth(settings, day) - cumulativeGrowth(settings, day - 1);
+}
+
+/** Whether `payoutDate` ('YYYY-MM-DD') is a payout day on the plan's calendar. */
+function isPayoutDay(settings, payoutDate) {
+  if (!settings.businessDaysOnly) {
+    return true;
+  }
+  const weekday = dayjs(payoutDate).day(); // 0 = Sunday, 6 = Saturday
+  return weekday !== 0 && weekday !== 6 && !settings.holidays.has(dayjs(payoutDate).format(PAYOUT_DATE_FORMAT));
+}
+
+module.exports = {
+  DEFAULT_CYCLE_DAYS,
+  resolvePlanSettings,
+  rateForDay,
+  cumulativeGrowth,
+  dayGrowth,
+  isPayoutDay,
+};
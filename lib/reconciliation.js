@@ -0,0 +1,377 @@
+// lib/reconciliation.js
+
+const { PAYOUT_LEDGER_COLLECTION } = require('./payoutLedger');
+const { INVESTMENT_COLLECTION, USERS_COLLECTION } = require('./collections');
+const { toPayoutDate } = require('./payoutDates');
+const { parseDaysCompleted } = require('./roiRules');
+const { newRunId } = require('./runReport');
+const { DEFAULT_PAGE_SIZE, paginate } = require('./batching');
+const { increment, arrayUnion, serverTimestamp } = require('./repositories/fieldOps');
+const { DEFAULT_CURRENCY, toMinorUnits, fromMinorUnits, walletCurrencyOf, walletMinorOf, majorByCurrency, sumMajor, formatMoney } = require('./money');
+
+// --- Wallet reconciliation ---
+// Recomputes what each user's walletBalance should be from the payout history and reports
+// every place where the two disagree. The expected balance is:
+//   one credit per (investment, payout date), from the paid payoutLogs and the ROI ledger,
+//   plus every other ledger entry that moved the wallet (reversals, commissions, ...).
+// Deposits, withdrawals and opening balances are not in that history, so a mismatch is only
+// corrected when the logs explain it: a wallet above the expected balance by no more than the
+// extra credits of duplicate dates. Any other drift is reported and left alone unless the
+// operator asks for it to be corrected too (`repairUnexplained`, --repair-unexplained).
+// Corrections written by --repair are ledger entries of type 'reconciliation', tagged with the
+// reconciliation run ID and listing the duplicate credits they took back. They are left out of
+// the expected balance, and a duplicate credit is only ever taken back once.
+// All sums are in integer minor units of the wallet's own currency (see lib/money.js), so a
+// balance either matches to the cent or it does not; amounts in the report are major units.
+// A payout log or ledger entry in another currency cannot have been a valid credit: it is
+// reported as 'currency_mismatch' and left out of the expected balance.
+
+const RECONCILIATION_ENTRY_TYPE = 'reconciliation';
+
+function walletMinor(profile) {
+  return toMinorUnits(Number(profile.walletBalance) || 0, walletCurrencyOf(profile));
+}
+
+function currencyOf(item) {
+  return item.currency || DEFAULT_CURRENCY;
+}
+
+/** Key of one (investment, payout date) pair in a correction's `duplicatesTakenBack`. */
+function duplicateKey(issue) {
+  return `${issue.investmentId}_${issue.date}`;
+}
+
+/** Minor units of duplicate credits already taken back by earlier corrections, by duplicateKey(). */
+function duplicatesTakenBack(ledgerEntries) {
+  const takenBack = new Map();
+  for (const { data } of ledgerEntries) {
+    if (data.type === RECONCILIATION_ENTRY_TYPE && data.duplicatesTakenBack) {
+      for (const [key, minor] of Object.entries(data.duplicatesTakenBack)) {
+        takenBack.set(key, (takenBack.get(key) || 0) + minor);
+      }
+    }
+  }
+  return takenBack;
+}
+
+/**
+ * Compares one INVESTMENT document's payoutLogs with its ROI ledger entries.
+ * @param {{ id: string, data: object }} investment
+ * @param {Array<{ id: string, data: object }>} ledgerEntries - The investment's ledger entries of type 'roi'.
+ * @param {string} [walletCurrency] - The currency of the wallet the payouts were credited to.
+ * @returns {{ investmentId: string, expectedRoi: number, expectedRoiMinor: number, issues: object[] }}
+ *   Issue types: 'duplicate_date', 'credit_without_log', 'log_without_credit', 'missing_logs', 'currency_mismatch'.
+ */
+function reconcileInvestment({ id: investmentId, data }, ledgerEntries, walletCurrency = DEFAULT_CURRENCY) {
+  const issues = [];
+  const toMajor = (minor) => fromMinorUnits(minor, walletCurrency);
+  const logsByDate = new Map();
+  for (const log of Array.isArray(data.payoutLogs) ? data.payoutLogs : []) {
+    const date = log && log.status === 'paid' ? toPayoutDate(log.date) : null;
+    if (!date) {
+      continue;
+    }
+    if (currencyOf(log) !== walletCurrency) {
+      issues.push({ type: 'currency_mismatch', investmentId, date, amount: log.amount, currency: currencyOf(log), ledgerId: log.ledgerId || null });
+      continue;
+    }
+    if (!logsByDate.has(date)) {
+      logsByDate.set(date, []);
+    }
+    logsByDate.get(date).push(log);
+  }
+
+  let expectedRoiMinor = 0;
+  for (const [date, logs] of logsByDate) {
+    // The same day paid twice is one credit too many; only the first counts.
+    expectedRoiMinor += walletMinorOf(logs[0], walletCurrency);
+    if (logs.length > 1) {
+      issues.push({
+        type: 'duplicate_date',
+        investmentId,
+        date,
+        count: logs.length,
+        amount: toMajor(logs.slice(1).reduce((sum, log) => sum + walletMinorOf(log, walletCurrency), 0)),
+      });
+    }
+  }
+
+  const ledgerIds = new Set(ledgerEntries.map((entry) => entry.id));
+  for (const { id: ledgerId, data: entry } of ledgerEntries) {
+    if (currencyOf(entry) !== walletCurrency) {
+      if (!issues.some((issue) => issue.type === 'currency_mismatch' && issue.date === entry.payoutDate)) {
+        issues.push({ type: 'currency_mismatch', investmentId, date: entry.payoutDate, amount: entry.amount, currency: currencyOf(entry), ledgerId });
+      }
+    } else if (!logsByDate.has(entry.payoutDate)) {
+      // The wallet was credited (the ledger entry and the credit commit together) but the log is gone.
+      expectedRoiMinor += walletMinorOf(entry, walletCurrency);
+      issues.push({ type: 'credit_without_log', investmentId, date: entry.payoutDate, amount: toMajor(walletMinorOf(entry, walletCurrency)), currency: walletCurrency, ledgerId });
+    }
+  }
+  for (const [date, logs] of logsByDate) {
+    const log = logs[0];
+    // Logs from before the ledger existed have no ledgerId and cannot be checked this way.
+    if (log.ledgerId && !ledgerIds.has(log.ledgerId)) {
+      issues.push({ type: 'log_without_credit', investmentId, date, amount: toMajor(walletMinorOf(log, walletCurrency)), ledgerId: log.ledgerId });
+    }
+  }
+
+  // Every completed day needs a log; restarts only ever add more logs than daysCompleted.
+  const paidDays = new Set([...logsByDate.keys(), ...issues.filter((issue) => issue.type === 'credit_without_log' || issue.type === 'currency_mismatch').map((issue) => issue.date)]).size;
+  const daysCompleted = data.activePlan && typeof data.activePlan === 'object' ? parseDaysCompleted(data.activePlan) : 0;
+  if (paidDays < daysCompleted) {
+    issues.push({ type: 'missing_logs', investmentId, expected: daysCompleted, actual: paidDays });
+  }
+
+  return { investmentId, expectedRoi: toMajor(expectedRoiMinor), expectedRoiMinor, issues };
+}
+
+/**
+ * Reconciles one user: every investment, then the wallet against the expected balance.
+ * @param {object} params
+ * @param {string} params.userId
+ * @param {object} params.profile - The USERS document.
+ * @param {Array<{ id: string, data: object }>} params.investments - The user's INVESTMENT documents.
+ * @param {Array<{ id: string, data: object }>} params.ledgerEntries - All of the user's ledger entries.
+ * @returns {{ userId: string, walletCurrency: string, walletBalance: number, expectedBalance: number, drift: number, driftMinor: number, explainedDriftMinor: number, duplicatesToTakeBack: Object<string, number>, issues: object[] }}
+ *   Amounts are in the wallet's currency. `explainedDriftMinor` is the part of the drift the
+ *   duplicate dates account for, and `duplicatesToTakeBack` splits it by duplicateKey().
+ */
+function reconcileUser({ userId, profile, investments, ledgerEntries }) {
+  const walletCurrency = walletCurrencyOf(profile);
+  const toMajor = (minor) => fromMinorUnits(minor, walletCurrency);
+  const issues = [];
+  const roiEntriesByInvestment = new Map();
+  let otherMovementsMinor = 0;
+  for (const entry of ledgerEntries) {
+    if (entry.data.type === 'roi') {
+      if (!roiEntriesByInvestment.has(entry.data.investmentId)) {
+        roiEntriesByInvestment.set(entry.data.investmentId, []);
+      }
+      roiEntriesByInvestment.get(entry.data.investmentId).push(entry);
+    } else if (entry.data.type === RECONCILIATION_ENTRY_TYPE) {
+      continue;
+    } else if (currencyOf(entry.data) !== walletCurrency) {
+      issues.push({ type: 'currency_mismatch', investmentId: entry.data.investmentId || null, date: entry.data.payoutDate || null, amount: entry.data.amount, currency: currencyOf(entry.data), ledgerId: entry.id });
+    } else {
+      otherMovementsMinor += walletMinorOf(entry.data, walletCurrency);
+    }
+  }
+
+  let expectedRoiMinor = 0;
+  const takenBack = duplicatesTakenBack(ledgerEntries);
+  const duplicatesMinor = new Map();
+  for (const investment of investments) {
+    const result = reconcileInvestment(investment, roiEntriesByInvestment.get(investment.id) || [], walletCurrency);
+    expectedRoiMinor += result.expectedRoiMinor;
+    for (const issue of result.issues) {
+      if (issue.type === 'duplicate_date') {
+        // A duplicate whose extra credit an earlier correction took back is settled.
+        const leftMinor = toMinorUnits(issue.amount, walletCurrency) - (takenBack.get(duplicateKey(issue)) || 0);
+        if (leftMinor <= 0) {
+          continue;
+        }
+        duplicatesMinor.set(duplicateKey(issue), leftMinor);
+      }
+      issues.push(issue);
+    }
+  }
+
+  const balanceMinor = walletMinor(profile);
+  const expectedMinor = expectedRoiMinor + otherMovementsMinor;
+  const driftMinor = balanceMinor - expectedMinor;
+  const walletBalance = toMajor(balanceMinor);
+  const expectedBalance = toMajor(expectedMinor);
+  const drift = toMajor(driftMinor);
+
+  // The duplicate credits explain a wallet that is too high, up to their total.
+  const duplicatesToTakeBack = {};
+  let explainedDriftMinor = 0;
+  for (const [key, minor] of duplicatesMinor) {
+    const share = Math.min(minor, Math.max(driftMinor - explainedDriftMinor, 0));
+    if (share > 0) {
+      duplicatesToTakeBack[key] = share;
+      explainedDriftMinor += share;
+    }
+  }
+  if (driftMinor !== 0) {
+    issues.push({ type: 'wallet_mismatch', investmentId: null, expected: expectedBalance, actual: walletBalance, amount: drift, explained: toMajor(explainedDriftMinor) });
+  }
+  return { userId, walletCurrency, walletBalance, expectedBalance, drift, driftMinor, explainedDriftMinor, duplicatesToTakeBack, issues };
+}
+
+/**
+ * Writes the corrections for one reconciled user in a single transaction:
+ * - the missing payoutLogs for credits that have a ledger entry but no log;
+ * - a 'reconciliation' ledger entry and a walletBalance correction taking back the extra credits
+ *   of duplicate dates (the explained drift), or all of the drift with `unexplained`.
+ * The duplicate logs themselves, missing logs, logs without credits and any drift left over are
+ * left for a person to review. Nothing is written if walletBalance changed since it was reconciled.
+ *
+ * @param {{ unexplained?: boolean }} [options] - Also correct drift the payout logs do not explain.
+ * @returns {Promise<{ repaired: boolean, reason?: string, actions: string[], unrepairedDrift: number }>}
+ *   `unrepairedDrift` is the drift left in the wallet, in major units.
+ */
+function repairUser(repository, result, runId, { unexplained = false } = {}) {
+  const logRepairs = result.issues.filter((issue) => issue.type === 'credit_without_log');
+  const correctionMinor = unexplained ? result.driftMinor : result.explainedDriftMinor;
+  const unrepairedDrift = fromMinorUnits(result.driftMinor - correctionMinor, result.walletCurrency);
+  if (logRepairs.length === 0 && correctionMinor === 0) {
+    const reason = result.driftMinor !== 0 ? 'the payout logs do not explain the drift; use --repair-unexplained to correct it' : 'nothing to repair';
+    return Promise.resolve({ repaired: false, reason, actions: [], unrepairedDrift });
+  }
+
+  return repository.runTransaction(async (transaction) => {
+    const profile = await transaction.get(USERS_COLLECTION, result.userId);
+    if (!profile || walletCurrencyOf(profile) !== result.walletCurrency || walletMinor(profile) !== toMinorUnits(result.walletBalance, result.walletCurrency)) {
+      return { repaired: false, reason: 'walletBalance changed during reconciliation; re-run it', actions: [], unrepairedDrift: result.drift };
+    }
+
+    const actions = [];
+    for (const issue of logRepairs) {
+      transaction.update(INVESTMENT_COLLECTION, issue.investmentId, {
+        payoutLogs: arrayUnion({
+          date: issue.date,
+          amount: issue.amount,
+          amountMinor: toMinorUnits(issue.amount, issue.currency),
+          currency: issue.currency,
+          status: 'paid',
+          ledgerId: issue.ledgerId,
+          timestamp: new Date(),
+          reconciliationRunId: runId,
+        }),
+      });
+      actions.push(`restored payout log ${issue.investmentId} ${issue.date}`);
+    }
+
+    if (correctionMinor !== 0) {
+      const correction = fromMinorUnits(correctionMinor, result.walletCurrency);
+      transaction.create(PAYOUT_LEDGER_COLLECTION, `${RECONCILIATION_ENTRY_TYPE}_${runId}_${result.userId}`, {
+        type: RECONCILIATION_ENTRY_TYPE,
+        userId: result.userId,
+        amount: -correction,
+        amountMinor: -correctionMinor,
+        currency: result.walletCurrency,
+        walletBalanceBefore: result.walletBalance,
+        expectedBalance: result.expectedBalance,
+        duplicatesTakenBack: result.duplicatesToTakeBack,
+        unexplainedAmount: fromMinorUnits(correctionMinor - result.explainedDriftMinor, result.walletCurrency),
+        reconciliationRunId: runId,
+        createdAt: serverTimestamp(),
+      });
+      transaction.update(USERS_COLLECTION, result.userId, {
+        walletBalance: increment(-correction),
+        lastReconciliationRunId: runId,
+        lastReconciledAt: new Date(),
+      });
+      actions.push(`corrected walletBalance by ${formatMoney(-correctionMinor, result.walletCurrency)}`);
+    }
+    return { repaired: true, actions, unrepairedDrift };
+  });
+}
+
+/**
+ * Reconciles every user (or one user) and, with `repair`, writes the corrections.
+ * @param {object} repository - Storage backend (see lib/repositories).
+ * @param {object} [options]
+ * @param {boolean} [options.repair] - Write corrections tagged with the run ID.
+ * @param {boolean} [options.repairUnexplained] - With `repair`, also correct drift the payout logs do not explain.
+ * @param {string} [options.userId] - Only reconcile this user.
+ * @param {number} [options.pageSize] - USERS documents read per page.
+ * @returns {Promise<{ runId: string, repair: boolean, startedAt: string, finishedAt: string, totals: object, users: object[] }>}
+ *   `users` lists only the users with at least one issue. `totals.driftByCurrency` is the net drift
+ *   per wallet currency; `totals.drift` is null when wallets in more than one currency drifted.
+ */
+async function runReconciliation(repository, { repair = false, repairUnexplained = false, userId = null, pageSize = DEFAULT_PAGE_SIZE } = {}) {
+  if (repairUnexplained && !repair) {
+    throw new Error('repairUnexplained only applies to a repair run.');
+  }
+  const startedAt = new Date();
+  const runId = newRunId('reconcile', startedAt);
+  const totals = { usersChecked: 0, usersWithIssues: 0, issues: 0, drift: 0, driftByCurrency: {}, usersRepaired: 0 };
+  const drifts = []; // { amountMinor, currency } per user with issues
+  const users = [];
+
+  const pages = userId
+    ? [[{ id: userId, data: await repository.getDocument(USERS_COLLECTION, userId) }].filter((user) => user.data)]
+    : paginate(repository, USERS_COLLECTION, { pageSize });
+
+  for await (const page of pages) {
+    for (const { id, data: profile } of page) {
+      const [investments, ledgerEntries] = await Promise.all([
+        repository.listDocuments(INVESTMENT_COLLECTION, { where: [['userId', '==', id]] }),
+        repository.listDocuments(PAYOUT_LEDGER_COLLECTION, { where: [['userId', '==', id]] }),
+      ]);
+      const result = reconcileUser({ userId: id, profile, investments, ledgerEntries });
+      totals.usersChecked++;
+      if (result.issues.length === 0) {
+        continue;
+      }
+      totals.usersWithIssues++;
+      totals.issues += result.issues.length;
+      drifts.push({ amountMinor: result.driftMinor, currency: result.walletCurrency });
+      totals.drift = sumMajor(drifts);
+      totals.driftByCurrency = majorByCurrency(drifts);
+
+      if (repair) {
+        result.repair = await repairUser(repository, result, runId, { unexplained: repairUnexplained });
+        if (result.repair.repaired) {
+          totals.usersRepaired++;
+        }
+      }
+      users.push(result);
+    }
+  }
+
+  return { runId, repair, startedAt: startedAt.toISOString(), finishedAt: new Date().toISOString(), totals, users };
+}
+
+function csvField(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/** Whether the repair of `user` settled `issue`. */
+function issueRepaired(user, issue) {
+  if (!user.repair.repaired) {
+    return false;
+  }
+  if (issue.type === 'credit_without_log') {
+    return true;
+  }
+  if (issue.type === 'duplicate_date') {
+    return duplicateKey(issue) in user.duplicatesToTakeBack;
+  }
+  return issue.type === 'wallet_mismatch' && user.repair.unrepairedDrift === 0;
+}
+
+/** One CSV row per issue, for spreadsheets. */
+function reconciliationToCsv(report) {
+  const header = ['runId', 'userId', 'investmentId', 'issue', 'date', 'expected', 'actual', 'amount', 'repaired'];
+  const rows = [header];
+  for (const user of report.users) {
+    for (const issue of user.issues) {
+      rows.push([
+        report.runId,
+        user.userId,
+        issue.investmentId,
+        issue.type,
+        issue.date,
+        issue.expected,
+        issue.actual !== undefined ? issue.actual : issue.count,
+        issue.amount,
+        user.repair ? issueRepaired(user, issue) : '',
+      ]);
+    }
+  }
+  return rows.map((row) => row.map(csvField).join(',')).join('\n');
+}
+
+module.exports = {
+  RECONCILIATION_ENTRY_TYPE,
+  reconcileInvestment,
+  reconcileUser,
+  repairUser,
+  runReconciliation,
+  reconciliationToCsv,
+};
@@ -0,0 +1,127 @@
+// lib/referrals.js
+
+const { roundMinor, fromMinorUnits } = require('./money');
+
+// --- Referral commissions ---
+// An ROI payout can also pay commissions up the payee's `referredBy` chain on USERS: level 1
+// is whoever referred the payee, level 2 whoever referred them, and so on, each level with its
+// own percentage of the payout. Commissions are ledger entries of type 'commission' whose IDs
+// derive from the payout's ledger ID, written in the payout's own transaction, so they are
+// committed with the payout or not at all and can never be paid twice.
+// The chain stops at the first missing referrer, at a user who referred themselves and at a
+// user already seen (a cycle); the payout itself is never held back by the chain. A frozen or
+// KYC-blocked referrer (see lib/riskControls.js) is left out, and the levels above still earn.
+//
+// Configuration (environment):
+//   REFERRAL_COMMISSION_LEVELS  percent of the payout per level, e.g. '5,2,1'; commissions are off when unset
+
+const COMMISSION_ENTRY_TYPE = 'commission';
+const MAX_REFERRAL_LEVELS = 10;
+
+/** Ledger ID of the commission paid at `level` for the payout `payoutLedgerId`. */
+function commissionLedgerId(payoutLedgerId, level) {
+  return `${COMMISSION_ENTRY_TYPE}_${payoutLedgerId}_L${level}`;
+}
+
+/**
+ * Validates the per-level percentages.
+ * @param {string|number[]|undefined} value - '5,2,1' or [5, 2, 1].
+ * @returns {number[]} Percent per level; empty when commissions are off.
+ * @throws {Error} When a level is not a positive percentage, there are too many levels, or they add up to more than 100.
+ */
+function parseReferralLevels(value) {
+  if (value === undefined || value === null || value === '') {
+    return [];
+  }
+  const parts = Array.isArray(value) ? value : String(value).split(',').map((part) => part.trim());
+  const levels = parts.map(Number);
+  if (levels.some((percent) => !Number.isFinite(percent) || percent <= 0 || percent > 100)) {
+    throw new Error(`Referral levels must be percentages above 0 and at most 100, got "${parts.join(',')}".`);
+  }
+  if (levels.length > MAX_REFERRAL_LEVELS) {
+    throw new Error(`At most ${MAX_REFERRAL_LEVELS} referral levels are supported, got ${levels.length}.`);
+  }
+  if (levels.reduce((sum, percent) => sum + percent, 0) > 100) {
+    throw new Error(`Referral levels add up to more than 100% of the payout: "${parts.join(',')}".`);
+  }
+  return levels;
+}
+
+/**
+ * Reads the referral settings from the environment.
+ * @returns {{ levels: number[] }}
+ * @throws {Error} When REFERRAL_COMMISSION_LEVELS is malformed.
+ */
+function referralConfigFromEnv(env = process.env) {
+  return { levels: parseReferralLevels(env.REFERRAL_COMMISSION_LEVELS) };
+}
+
+/**
+ * Follows the referredBy chain from `userId`.
+ * @param {(userId: string) => Promise<object|null>} getUser - Reads a USERS document
+ *   (transaction.get inside a payout, repository.getDocument in a dry run).
+ * @param {string} userId - The payee.
+ * @param {number} maxLevels
+ * @returns {Promise<{ referrers: Array<{ level: number, userId: string }>, stoppedBecause: string|null }>}
+ *   `stoppedBecause` explains a chain cut short by bad data; null when it simply ended.
+ */
+async function resolveReferrers(getUser, userId, maxLevels) {
+  const referrers = [];
+  const seen = new Set([userId]);
+  let currentId = userId;
+  let current = await getUser(userId);
+
+  while (referrers.length < maxLevels) {
+    const referrerId = current ? current.referredBy : null;
+    if (!referrerId) {
+      return { referrers, stoppedBecause: null };
+    }
+    if (typeof referrerId !== 'string') {
+      return { referrers, stoppedBecause: `user ${currentId} has an invalid referredBy` };
+    }
+    if (referrerId === currentId) {
+      return { referrers, stoppedBecause: `user ${currentId} referred themselves` };
+    }
+    if (seen.has(referrerId)) {
+      return { referrers, stoppedBecause: `referral cycle at user ${referrerId}` };
+    }
+    const referrer = await getUser(referrerId);
+    if (!referrer) {
+      return { referrers, stoppedBecause: `referrer ${referrerId} of user ${currentId} not found` };
+    }
+    referrers.push({ level: referrers.length + 1, userId: referrerId });
+    seen.add(referrerId);
+    currentId = referrerId;
+    current = referrer;
+  }
+  return { referrers, stoppedBecause: null };
+}
+
+/**
+ * Works out each referrer's commission on one payout. Commissions round down, so together they
+ * never exceed the configured share; a level whose share rounds to nothing is left out.
+ * @param {Array<{ level: number, userId: string }>} referrers - From resolveReferrers().
+ * @param {number[]} levels - Percent per level.
+ * @param {number} payoutMinor - The payout in minor units.
+ * @param {string} currency
+ * @returns {Array<{ level: number, userId: string, percent: number, amountMinor: number, amount: number, currency: string }>}
+ */
+function planCommissions(referrers, levels, payoutMinor, currency) {
+  return referrers
+    .map(({ level, userId }) => {
+      const percent = levels[level - 1];
+      const amountMinor = roundMinor(payoutMinor * (percent / 100), 'down');
+      return { level, userId, percent, amountMinor, amount: fromMinorUnits(amountMinor, currency), currency };
+    })
+    .filter((commission) => commission.amountMinor > 0);
+}
+
+module.exports = {
+  COMMISSION_ENTRY_TYPE,
+  MAX_REFERRAL_LEVELS,
+  commissionLedgerId,
+  parseReferralLevels,
+  referralConfigFromEnv,
+  resolveReferrers,
+  planCommissions,
+};
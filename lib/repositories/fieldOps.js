@@ -0,0 +1,39 @@
+// lib/repositories/fieldOps.js
+
+// --- Backend-neutral field operations ---
+// Engine code builds its updates with these instead of admin.firestore.FieldValue, so the same
+// update object can be committed by the Firestore repository or applied by the in-memory one.
+const FIELD_OP = Symbol('roiFieldOp');
+
+/** Adds `amount` to the current numeric value (missing counts as 0). */
+function increment(amount) {
+  return { [FIELD_OP]: 'increment', amount };
+}
+
+/** Appends items to an array field, skipping items that are already present. */
+function arrayUnion(...items) {
+  return { [FIELD_OP]: 'arrayUnion', items };
+}
+
+/** The commit time, as decided by the backend. */
+function serverTimestamp() {
+  return { [FIELD_OP]: 'serverTimestamp' };
+}
+
+/** Removes the field from the document. */
+function deleteField() {
+  return { [FIELD_OP]: 'delete' };
+}
+
+/** Returns the operation name for a field-op value, or null for a plain value. */
+function fieldOpType(value) {
+  return value && typeof value === 'object' && value[FIELD_OP] ? value[FIELD_OP] : null;
+}
+
+module.exports = {
+  increment,
+  arrayUnion,
+  serverTimestamp,
+  deleteField,
+  fieldOpType,
+};
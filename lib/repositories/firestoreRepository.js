@@ -0,0 +1,133 @@
+// lib/repositories/firestoreRepository.js
+
+const admin = require('firebase-admin');
+const { fieldOpType } = require('./fieldOps');
+
+// --- Firestore repository ---
+// Implements the repository interface used by the ROI engines on top of a Firestore instance.
+// See memoryRepository.js for the in-memory implementation used by the tests.
+//
+// Interface:
+//   listDocuments(collection, { where, orderBy, limit, startAfter }) -> [{ id, data }]
+//   getDocument(collection, id)                            -> data | null
+//   commitWrites([{ type, collection, id, data }])         -> commits atomically
+//   runTransaction(async (tx) => ...)                      -> tx.get / tx.getAll / tx.create / tx.set / tx.update
+//
+// `type` is 'create', 'set' or 'update'. Update keys may be dotted paths ('activePlan.daysCompleted')
+// and values may be field ops from fieldOps.js. Without `orderBy` ([field, 'asc'|'desc']) a paged
+// listing is in document ID order and `startAfter` is a document ID; `startAfter` cannot be
+// combined with `orderBy`.
+
+function toFirestoreValue(value) {
+  switch (fieldOpType(value)) {
+    case 'increment':
+      return admin.firestore.FieldValue.increment(value.amount);
+    case 'arrayUnion':
+      return admin.firestore.FieldValue.arrayUnion(...value.items);
+    case 'serverTimestamp':
+      return admin.firestore.FieldValue.serverTimestamp();
+    case 'delete':
+      return admin.firestore.FieldValue.delete();
+    default:
+      return value;
+  }
+}
+
+function toFirestoreData(data) {
+  const converted = {};
+  for (const [key, value] of Object.entries(data)) {
+    converted[key] = toFirestoreValue(value);
+  }
+  return converted;
+}
+
+/**
+ * Creates a repository backed by Firestore.
+ * @param {FirebaseFirestore.Firestore} db - Initialised Firestore instance.
+ */
+function createFirestoreRepository(db) {
+  const docRef = (collection, id) => db.collection(collection).doc(id);
+
+  function applyWrite(writer, { type, collection, id, data }) {
+    const ref = docRef(collection, id);
+    const firestoreData = toFirestoreData(data);
+    if (type === 'create') {
+      writer.create(ref, firestoreData);
+    } else if (type === 'set') {
+      writer.set(ref, firestoreData);
+    } else if (type === 'update') {
+      writer.update(ref, firestoreData);
+    } else {
+      throw new Error(`Unknown write type "${type}" for ${collection}/${id}.`);
+    }
+  }
+
+  return {
+    async listDocuments(collection, { where = [], orderBy = null, limit = null, startAfter = null } = {}) {
+      let query = db.collection(collection);
+      for (const [field, op, value] of where) {
+        query = query.where(field, op, value);
+      }
+      if (orderBy && startAfter) {
+        throw new Error('listDocuments: startAfter cannot be combined with orderBy.');
+      }
+      // Paging needs a stable order; document ID order needs no extra index.
+      if (orderBy) {
+        query = query.orderBy(orderBy[0], orderBy[1] || 'asc');
+      } else if (limit || startAfter) {
+        query = query.orderBy(admin.firestore.FieldPath.documentId());
+      }
+      if (startAfter) {
+        query = query.startAfter(startAfter);
+      }
+      if (limit) {
+        query = query.limit(limit);
+      }
+      const snapshot = await query.get();
+      return snapshot.docs.map((doc) => ({ id: doc.id, data: doc.data() }));
+    },
+
+    async getDocument(collection, id) {
+      const snap = await docRef(collection, id).get();
+      return snap.exists ? snap.data() : null;
+    },
+
+    async commitWrites(writes) {
+      if (writes.length === 0) {
+        return;
+      }
+      const batch = db.batch();
+      writes.forEach((write) => applyWrite(batch, write));
+      await batch.commit();
+    },
+
+    runTransaction(fn) {
+      return db.runTransaction((transaction) => fn({
+        async get(collection, id) {
+          const snap = await transaction.get(docRef(collection, id));
+          return snap.exists ? snap.data() : null;
+        },
+        async getAll(refs) {
+          if (refs.length === 0) {
+            return [];
+          }
+          const snaps = await transaction.getAll(...refs.map(({ collection, id }) => docRef(collection, id)));
+          return snaps.map((snap) => (snap.exists ? snap.data() : null));
+        },
+        create(collection, id, data) {
+          applyWrite(transaction, { type: 'create', collection, id, data });
+        },
+        set(collection, id, data) {
+          applyWrite(transaction, { type: 'set', collection, id, data });
+        },
+        update(collection, id, data) {
+          applyWrite(transaction, { type: 'update', collection, id, data });
+        },
+      }));
+    },
+  };
+}
+
+module.exports = {
+  createFirestoreRepository,
+};
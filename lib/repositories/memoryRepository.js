@@ -0,0 +1,226 @@
+// lib/repositories/memoryRepository.js
+
+const { isDeepStrictEqual } = require('util');
+const { fieldOpType } = require('./fieldOps');
+
+// --- In-memory repository ---
+// Same interface as firestoreRepository.js, backed by plain objects. Used by the test suite
+// and anywhere the ROI rules need to run without Firebase. Writes follow Firestore's rules
+// closely enough to catch mistakes: create() fails on an existing document, update() fails
+// on a missing one, a batch may hold at most 500 writes, and a batch or transaction applies
+// all of its writes or none.
+
+const MAX_WRITES_PER_COMMIT = 500;
+
+function repositoryError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+function getPath(data, path) {
+  return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), data);
+}
+
+function toComparable(value) {
+  if (value && typeof value.toDate === 'function') {
+    return value.toDate().getTime();
+  }
+  return value instanceof Date ? value.getTime() : value;
+}
+
+function compareValues(a, b) {
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+function matchesFilter(data, [field, op, expected]) {
+  const actual = toComparable(getPath(data, field));
+  const target = toComparable(expected);
+  switch (op) {
+    case '==': return isDeepStrictEqual(actual, target);
+    case '!=': return actual !== undefined && !isDeepStrictEqual(actual, target);
+    case '<': return actual < target;
+    case '<=': return actual <= target;
+    case '>': return actual > target;
+    case '>=': return actual >= target;
+    case 'in': return target.some((candidate) => isDeepStrictEqual(actual, toComparable(candidate)));
+    case 'array-contains': return Array.isArray(actual) && actual.some((item) => isDeepStrictEqual(item, target));
+    default: throw new Error(`Unsupported filter operator "${op}".`);
+  }
+}
+
+function applyFieldValue(current, value) {
+  switch (fieldOpType(value)) {
+    case 'increment':
+      return (typeof current === 'number' ? current : 0) + value.amount;
+    case 'arrayUnion': {
+      const next = Array.isArray(current) ? [...current] : [];
+      for (const item of value.items) {
+        if (!next.some((existing) => isDeepStrictEqual(existing, item))) {
+          next.push(structuredClone(item));
+        }
+      }
+      return next;
+    }
+    case 'serverTimestamp':
+      return new Date();
+    default:
+      return structuredClone(value);
+  }
+}
+
+/** Applies update() data (dotted paths allowed) to a document in place. */
+function applyUpdate(doc, data) {
+  for (const [path, value] of Object.entries(data)) {
+    const keys = path.split('.');
+    const lastKey = keys.pop();
+    let target = doc;
+    for (const key of keys) {
+      if (!target[key] || typeof target[key] !== 'object') {
+        target[key] = {};
+      }
+      target = target[key];
+    }
+    if (fieldOpType(value) === 'delete') {
+      delete target[lastKey];
+    } else {
+      target[lastKey] = applyFieldValue(target[lastKey], value);
+    }
+  }
+}
+
+/**
+ * Creates an in-memory repository.
+ * @param {Object<string, Object<string, object>>} [initialData] - { collectionName: { docId: data } }
+ */
+function createMemoryRepository(initialData = {}) {
+  const collections = new Map();
+
+  const collectionMap = (name) => {
+    if (!collections.has(name)) {
+      collections.set(name, new Map());
+    }
+    return collections.get(name);
+  };
+
+  for (const [name, docs] of Object.entries(initialData)) {
+    for (const [id, data] of Object.entries(docs)) {
+      collectionMap(name).set(id, structuredClone(data));
+    }
+  }
+
+  const readDocument = (collection, id) => {
+    const doc = collectionMap(collection).get(id);
+    return doc ? structuredClone(doc) : null;
+  };
+
+  // Validates every write against a scratch copy first, so a failing write leaves nothing applied.
+  function commitAll(writes) {
+    if (writes.length > MAX_WRITES_PER_COMMIT) {
+      throw repositoryError('invalid-argument', `A batch can contain at most ${MAX_WRITES_PER_COMMIT} writes, got ${writes.length}.`);
+    }
+    const staged = new Map();
+    const current = (collection, id) => {
+      const key = `${collection}/${id}`;
+      if (staged.has(key)) {
+        return staged.get(key).doc;
+      }
+      return collectionMap(collection).has(id) ? structuredClone(collectionMap(collection).get(id)) : null;
+    };
+
+    for (const { type, collection, id, data } of writes) {
+      const existing = current(collection, id);
+      let next;
+      if (type === 'create') {
+        if (existing) {
+          throw repositoryError('already-exists', `Document ${collection}/${id} already exists.`);
+        }
+        next = {};
+        applyUpdate(next, data);
+      } else if (type === 'set') {
+        next = {};
+        applyUpdate(next, data);
+      } else if (type === 'update') {
+        if (!existing) {
+          throw repositoryError('not-found', `No document to update: ${collection}/${id}.`);
+        }
+        next = existing;
+        applyUpdate(next, data);
+      } else {
+        throw new Error(`Unknown write type "${type}" for ${collection}/${id}.`);
+      }
+      staged.set(`${collection}/${id}`, { collection, id, doc: next });
+    }
+
+    for (const { collection, id, doc } of staged.values()) {
+      collectionMap(collection).set(id, doc);
+    }
+  }
+
+  return {
+    async listDocuments(collection, { where = [], orderBy = null, limit = null, startAfter = null } = {}) {
+      if (orderBy && startAfter) {
+        throw new Error('listDocuments: startAfter cannot be combined with orderBy.');
+      }
+      let entries = [...collectionMap(collection).entries()]
+        .filter(([, data]) => where.every((filter) => matchesFilter(data, filter)))
+        .sort(([a], [b]) => compareValues(a, b));
+      if (orderBy) {
+        const [field, direction = 'asc'] = orderBy;
+        // Like Firestore, ordering by a field leaves out documents that do not have it.
+        entries = entries
+          .filter(([, data]) => getPath(data, field) !== undefined)
+          .sort(([, a], [, b]) => compareValues(toComparable(getPath(a, field)), toComparable(getPath(b, field))) * (direction === 'desc' ? -1 : 1));
+      }
+      if (startAfter) {
+        entries = entries.filter(([id]) => id > startAfter);
+      }
+      if (limit) {
+        entries = entries.slice(0, limit);
+      }
+      return entries.map(([id, data]) => ({ id, data: structuredClone(data) }));
+    },
+
+    async getDocument(collection, id) {
+      return readDocument(collection, id);
+    },
+
+    async commitWrites(writes) {
+      commitAll(writes);
+    },
+
+    async runTransaction(fn) {
+      const writes = [];
+      const result = await fn({
+        async get(collection, id) {
+          return readDocument(collection, id);
+        },
+        async getAll(refs) {
+          return refs.map(({ collection, id }) => readDocument(collection, id));
+        },
+        create(collection, id, data) {
+          writes.push({ type: 'create', collection, id, data });
+        },
+        set(collection, id, data) {
+          writes.push({ type: 'set', collection, id, data });
+        },
+        update(collection, id, data) {
+          writes.push({ type: 'update', collection, id, data });
+        },
+      });
+      commitAll(writes);
+      return result;
+    },
+
+    /** Test helper: a copy of every document in a collection, keyed by ID. */
+    dump(collection) {
+      return Object.fromEntries(
+        [...collectionMap(collection).entries()].map(([id, data]) => [id, structuredClone(data)])
+      );
+    },
+  };
+}
+
+module.exports = {
+  createMemoryRepository,
+};
@@ -0,0 +1,320 @@
+// lib/reversals.js
+
+const { randomUUID } = require('crypto');
+const { PAYOUT_LEDGER_COLLECTION } = require('./payoutLedger');
+const { INVESTMENT_COLLECTION, USERS_COLLECTION } = require('./collections');
+const { parseDaysCompleted } = require('./roiRules');
+const { businessDate } = require('./payoutDates');
+const { DEFAULT_SCHEDULE } = require('./schedule');
+const { refreshUserProfiles } = require('./engines/roiTask');
+const { COMMISSION_ENTRY_TYPE } = require('./referrals');
+const { increment, arrayUnion, serverTimestamp } = require('./repositories/fieldOps');
+const { DEFAULT_CURRENCY, fromMinorUnits, minorOf, toMinorUnits, walletCurrencyOf, walletMinorOf, majorByCurrency, sumMajor } = require('./money');
+
+// --- Payout reversals (clawbacks) ---
+// Reverses ROI payouts that should not have been made. Nothing is deleted: each reversed ledger
+// entry gets a compensating negative entry ('reversal_<ledgerId>'), the investment gets a
+// 'reversed' payout log, and walletBalance and activePlan.daysCompleted are adjusted in the same
+// transaction. Only days paid in the plan's current cycle come off daysCompleted: a completed
+// plan, or days paid before the plan last restarted, leave the counter as it is. Referral commissions paid with a payout (its `commissionLedgerIds`, see
+// lib/referrals.js) are reversed with it and taken back from the referrers' wallets. Every reversal records who made it and why, and a summary document goes to
+// `roiReversals`; the affected users' USERS profiles are then refreshed like after a payout run.
+// A wallet is only debited in its own currency (see lib/money.js); an entry in another currency
+// is refused rather than converted, and totals are kept per currency.
+// previewReversal() shows the effect without writing anything.
+const REVERSALS_COLLECTION = 'roiReversals';
+const REVERSAL_ENTRY_TYPE = 'reversal';
+
+/** Ledger ID of the entry that compensates `ledgerId`. One per original entry, so a payout is never reversed twice. */
+function reversalLedgerId(ledgerId) {
+  return `${REVERSAL_ENTRY_TYPE}_${ledgerId}`;
+}
+
+/**
+ * Finds the ROI ledger entries a reversal would cover.
+ * At least one of investmentId, userId or since is required.
+ * @param {object} repository - Storage backend (see lib/repositories).
+ * @param {{ investmentId?: string, userId?: string, since?: string, until?: string }} filters
+ * @returns {Promise<Array<{ id: string, data: object }>>} Unreversed 'roi' entries, oldest first.
+ */
+async function findReversibleEntries(repository, { investmentId = null, userId = null, since = null, until = null }) {
+  if (!investmentId && !userId && !since) {
+    throw new Error('A reversal needs an investment, a user or a date range.');
+  }
+  // One equality filter (or one range) per query needs no composite index; the rest is filtered here.
+  let where;
+  if (investmentId) {
+    where = [['investmentId', '==', investmentId]];
+  } else if (userId) {
+    where = [['userId', '==', userId]];
+  } else {
+    where = [['payoutDate', '>=', since], ...(until ? [['payoutDate', '<=', until]] : [])];
+  }
+  const entries = await repository.listDocuments(PAYOUT_LEDGER_COLLECTION, { where });
+  return entries
+    .filter(({ data }) => data.type === 'roi' && !data.reversedBy)
+    .filter(({ data }) => (!investmentId || data.investmentId === investmentId) && (!userId || data.userId === userId))
+    .filter(({ data }) => (!since || data.payoutDate >= since) && (!until || data.payoutDate <= until))
+    .sort((a, b) => (a.data.payoutDate < b.data.payoutDate ? -1 : a.data.payoutDate > b.data.payoutDate ? 1 : 0));
+}
+
+/**
+ * The unreversed commission entries paid with `roiEntries`.
+ * @param {(ids: string[]) => Promise<Array<object|null>>} getEntries - Reads ledger entries by ID, in order.
+ * @returns {Promise<Array<{ id: string, data: object }>>}
+ */
+async function linkedCommissions(getEntries, roiEntries) {
+  const ids = roiEntries.flatMap(({ data }) => (Array.isArray(data.commissionLedgerIds) ? data.commissionLedgerIds : []));
+  const entries = await getEntries(ids);
+  return ids
+    .map((id, index) => ({ id, data: entries[index] }))
+    .filter(({ data }) => data && data.type === COMMISSION_ENTRY_TYPE && !data.reversedBy);
+}
+
+/**
+ * The ROI entries paid in the plan's current cycle: those after the day it last restarted
+ * (activePlan.restartedOn) or, for plans restarted before that marker was kept, those whose
+ * daysCompletedAfter is not beyond the days completed now.
+ */
+function currentCycleEntries(plan, entries) {
+  if (plan.restartedOn) {
+    return entries.filter(({ data }) => data.payoutDate > plan.restartedOn);
+  }
+  const daysCompleted = parseDaysCompleted(plan);
+  return entries.filter(({ data }) => typeof data.daysCompletedAfter === 'number' && data.daysCompletedAfter <= daysCompleted);
+}
+
+/**
+ * What reversing `entries` does to an investment's activePlan.daysCompleted.
+ * @returns {{ daysCompletedBefore: number, daysCompletedAfter: number, warning: string|null }}
+ */
+function daysCompletedAdjustment(investmentId, plan, entries) {
+  const daysCompletedBefore = parseDaysCompleted(plan);
+  if (plan.status === 'completed') {
+    return { daysCompletedBefore, daysCompletedAfter: daysCompletedBefore, warning: `Investment ${investmentId} is completed; its status and daysCompleted are left as they are.` };
+  }
+  const current = currentCycleEntries(plan, entries);
+  const earlier = entries.length - current.length;
+  return {
+    daysCompletedBefore,
+    daysCompletedAfter: Math.max(daysCompletedBefore - current.length, 0),
+    warning: earlier > 0 ? `Investment ${investmentId} has restarted since ${earlier} of these days were paid; daysCompleted only drops by the ${current.length} paid in its current cycle.` : null,
+  };
+}
+
+function groupBy(items, key) {
+  const groups = new Map();
+  for (const item of items) {
+    const value = key(item);
+    if (!groups.has(value)) {
+      groups.set(value, []);
+    }
+    groups.get(value).push(item);
+  }
+  return groups;
+}
+
+/**
+ * Shows what a reversal would do, without writing anything.
+ * @returns {Promise<{ filters: object, entries: object[], totalAmount: number|null, totalByCurrency: Object<string, number>, commissions: object[], commissionTotal: number|null, commissionTotalByCurrency: Object<string, number>, users: object[], investments: object[], warnings: string[] }>}
+ *   `commissions` are the referral commissions reversed along with the payouts. The single-number
+ *   totals are null when the entries are in more than one currency.
+ */
+async function previewReversal(repository, { investmentId = null, userId = null, since = null, until = null }) {
+  const filters = { investmentId, userId, since, until };
+  const entries = await findReversibleEntries(repository, filters);
+  const commissions = await linkedCommissions((ids) => Promise.all(ids.map((id) => repository.getDocument(PAYOUT_LEDGER_COLLECTION, id))), entries);
+  const warnings = [];
+
+  const investments = [];
+  for (const [investmentId, group] of groupBy(entries, (entry) => entry.data.investmentId)) {
+    const doc = await repository.getDocument(INVESTMENT_COLLECTION, investmentId);
+    const plan = doc && doc.activePlan && typeof doc.activePlan === 'object' ? doc.activePlan : null;
+    const adjustment = plan ? daysCompletedAdjustment(investmentId, plan, group) : { daysCompletedBefore: null, daysCompletedAfter: null, warning: null };
+    if (!doc) {
+      warnings.push(`Investment ${investmentId} no longer exists; only the ledger and wallet will be adjusted.`);
+    } else if (adjustment.warning) {
+      warnings.push(adjustment.warning);
+    }
+    investments.push({
+      investmentId,
+      days: group.length,
+      amount: sumMajor(group.map((entry) => entry.data)),
+      daysCompletedBefore: adjustment.daysCompletedBefore,
+      daysCompletedAfter: adjustment.daysCompletedAfter,
+    });
+  }
+
+  const users = [];
+  // Payees lose their payouts and referrers their commissions.
+  for (const [userId, group] of groupBy([...entries, ...commissions], (entry) => entry.data.userId)) {
+    const profile = await repository.getDocument(USERS_COLLECTION, userId);
+    const walletCurrency = walletCurrencyOf(profile);
+    const payouts = group.filter((entry) => entry.data.type !== COMMISSION_ENTRY_TYPE).length;
+    const amount = sumMajor(group.map((entry) => entry.data));
+    const walletBefore = profile ? Number(profile.walletBalance) || 0 : null;
+    const foreign = group.filter((entry) => (entry.data.currency || DEFAULT_CURRENCY) !== walletCurrency);
+    let walletAfter = null;
+    if (foreign.length > 0) {
+      warnings.push(`User ${userId}'s wallet is in ${walletCurrency} but ${foreign.length} of their entries are not; the reversal will be refused.`);
+    } else if (walletBefore !== null) {
+      const reversedMinor = group.reduce((sum, entry) => sum + walletMinorOf(entry.data, walletCurrency), 0);
+      walletAfter = fromMinorUnits(toMinorUnits(walletBefore, walletCurrency) - reversedMinor, walletCurrency);
+      if (walletAfter < 0) {
+        warnings.push(`User ${userId}'s walletBalance would go negative (${walletAfter}).`);
+      }
+    }
+    users.push({ userId, payouts, commissions: group.length - payouts, amount, walletCurrency, walletBalanceBefore: walletBefore, walletBalanceAfter: walletAfter });
+  }
+
+  return {
+    filters,
+    entries: entries.map(({ id, data }) => ({ ledgerId: id, investmentId: data.investmentId, userId: data.userId, payoutDate: data.payoutDate, amount: data.amount, currency: data.currency || DEFAULT_CURRENCY })),
+    totalAmount: sumMajor(entries.map((entry) => entry.data)),
+    totalByCurrency: majorByCurrency(entries.map((entry) => entry.data)),
+    commissions: commissions.map(({ id, data }) => ({ ledgerId: id, sourceLedgerId: data.sourceLedgerId, userId: data.userId, level: data.level, payoutDate: data.payoutDate, amount: data.amount, currency: data.currency || DEFAULT_CURRENCY })),
+    commissionTotal: sumMajor(commissions.map((entry) => entry.data)),
+    commissionTotalByCurrency: majorByCurrency(commissions.map((entry) => entry.data)),
+    users,
+    investments,
+    warnings,
+  };
+}
+
+/** Writes the compensating entry for one ledger entry and marks the original as reversed. */
+function compensate(transaction, ledgerId, entry, { reversalId, actor, reason, now }) {
+  const amountMinor = minorOf(entry);
+  const currency = entry.currency || DEFAULT_CURRENCY;
+  transaction.create(PAYOUT_LEDGER_COLLECTION, reversalLedgerId(ledgerId), {
+    type: REVERSAL_ENTRY_TYPE,
+    reversesLedgerId: ledgerId,
+    reversesType: entry.type,
+    investmentId: entry.investmentId,
+    userId: entry.userId,
+    payoutDate: entry.payoutDate,
+    amount: -entry.amount,
+    amountMinor: -amountMinor,
+    currency,
+    reversalId,
+    actor,
+    reason,
+    createdAt: serverTimestamp(),
+  });
+  transaction.update(PAYOUT_LEDGER_COLLECTION, ledgerId, { reversedBy: reversalLedgerId(ledgerId), reversedAt: now });
+  return { amountMinor, currency };
+}
+
+/**
+ * Reverses one investment's entries, and the commissions paid with them, in a single
+ * transaction. Entries reversed since the preview are left alone.
+ * @throws {Error} When an entry is in another currency than the wallet it would be taken from.
+ * @returns {Promise<{ reversed: Array<{ ledgerId: string, amount: number, amountMinor: number, currency: string }>, commissions: Array<{ ledgerId: string, userId: string, amount: number, amountMinor: number, currency: string }> }>}
+ */
+function reverseInvestmentEntries(repository, investmentId, userId, ledgerIds, { reversalId, actor, reason }) {
+  return repository.runTransaction(async (transaction) => {
+    // All reads must happen before any writes in a Firestore transaction.
+    const [investment, ...entries] = await transaction.getAll([
+      { collection: INVESTMENT_COLLECTION, id: investmentId },
+      ...ledgerIds.map((id) => ({ collection: PAYOUT_LEDGER_COLLECTION, id })),
+    ]);
+    const toReverse = ledgerIds
+      .map((ledgerId, index) => ({ id: ledgerId, data: entries[index] }))
+      .filter(({ data }) => data && data.type === 'roi' && !data.reversedBy);
+    if (toReverse.length === 0) {
+      return { reversed: [], commissions: [] };
+    }
+    const commissions = await linkedCommissions((ids) => transaction.getAll(ids.map((id) => ({ collection: PAYOUT_LEDGER_COLLECTION, id }))), toReverse);
+    const walletUserIds = [...new Set([userId, ...commissions.map(({ data }) => data.userId)])];
+    const profiles = await transaction.getAll(walletUserIds.map((id) => ({ collection: USERS_COLLECTION, id })));
+
+    const audit = { reversalId, actor, reason, now: new Date() };
+    const logs = [];
+    for (const { id: ledgerId, data: entry } of toReverse) {
+      const { amountMinor, currency } = compensate(transaction, ledgerId, entry, audit);
+      logs.push({
+        date: entry.payoutDate,
+        amount: -entry.amount,
+        amountMinor: -amountMinor,
+        currency,
+        status: 'reversed',
+        ledgerId: reversalLedgerId(ledgerId),
+        reversalId,
+        timestamp: audit.now,
+      });
+    }
+    for (const { id: ledgerId, data: entry } of commissions) {
+      compensate(transaction, ledgerId, entry, audit);
+    }
+
+    if (investment) {
+      const plan = investment.activePlan && typeof investment.activePlan === 'object' ? investment.activePlan : {};
+      const { daysCompletedBefore, daysCompletedAfter } = daysCompletedAdjustment(investmentId, plan, toReverse);
+      transaction.update(INVESTMENT_COLLECTION, investmentId, {
+        ...(daysCompletedAfter !== daysCompletedBefore ? { 'activePlan.daysCompleted': daysCompletedAfter } : {}),
+        payoutLogs: arrayUnion(...logs),
+      });
+    }
+    const takenBack = groupBy([...toReverse, ...commissions], (entry) => entry.data.userId);
+    walletUserIds.forEach((walletUserId, index) => {
+      if (profiles[index]) {
+        const walletCurrency = walletCurrencyOf(profiles[index]);
+        const minor = takenBack.get(walletUserId).reduce((sum, entry) => sum + walletMinorOf(entry.data, walletCurrency), 0);
+        transaction.update(USERS_COLLECTION, walletUserId, { walletBalance: increment(-fromMinorUnits(minor, walletCurrency)) });
+      }
+    });
+    return {
+      reversed: toReverse.map(({ id, data }) => ({ ledgerId: id, amount: data.amount, amountMinor: minorOf(data), currency: data.currency || DEFAULT_CURRENCY })),
+      commissions: commissions.map(({ id, data }) => ({ ledgerId: id, userId: data.userId, amount: data.amount, amountMinor: minorOf(data), currency: data.currency || DEFAULT_CURRENCY })),
+    };
+  });
+}
+
+/**
+ * Reverses every payout in a preview, with its commissions. One transaction per investment, then
+ * a summary document in `roiReversals` with the actor, the reason and every entry reversed.
+ * @param {object} repository - Storage backend (see lib/repositories).
+ * @param {object} preview - From previewReversal().
+ * @param {{ actor: string, reason: string, today?: string, schedule?: object }} audit - Who is reversing, and why. Both required.
+ *   `today` is the business date the refreshed profiles' totalPaidToday describes (default: today in UTC);
+ *   `schedule` is the job's schedule (see lib/schedule.js) the profiles' dates are read on.
+ * @returns {Promise<{ reversalId: string, reversed: number, totalAmount: number|null, totalByCurrency: Object<string, number>, commissions: number, commissionTotal: number|null, commissionTotalByCurrency: Object<string, number> }>}
+ */
+async function applyReversal(repository, preview, { actor, reason, today = businessDate(new Date()), schedule = DEFAULT_SCHEDULE }) {
+  if (!actor || !reason) {
+    throw new Error('A reversal must record who made it (actor) and why (reason).');
+  }
+  const reversalId = `rev_${new Date().toISOString().slice(0, 10)}_${randomUUID().slice(0, 8)}`;
+  const reversed = [];
+  const commissions = [];
+
+  for (const [investmentId, group] of groupBy(preview.entries, (entry) => entry.investmentId)) {
+    const result = await reverseInvestmentEntries(repository, investmentId, group[0].userId, group.map((entry) => entry.ledgerId), { reversalId, actor, reason });
+    reversed.push(...result.reversed.map((item) => ({ ...item, investmentId, userId: group[0].userId })));
+    commissions.push(...result.commissions.map((item) => ({ ...item, investmentId })));
+  }
+
+  const totals = {
+    totalAmount: sumMajor(reversed),
+    totalByCurrency: majorByCurrency(reversed),
+    commissionTotal: sumMajor(commissions),
+    commissionTotalByCurrency: majorByCurrency(commissions),
+  };
+  await repository.commitWrites([{
+    type: 'set',
+    collection: REVERSALS_COLLECTION,
+    id: reversalId,
+    data: { reversalId, actor, reason, filters: preview.filters, entries: reversed, commissions, ...totals, createdAt: serverTimestamp() },
+  }]);
+  // Days completed, today's total and the next plan to mature no longer include the reversed days.
+  await refreshUserProfiles(repository, new Set([...reversed, ...commissions].map((item) => item.userId)), { today, concurrency: 1, schedule });
+  return { reversalId, reversed: reversed.length, commissions: commissions.length, ...totals };
+}
+
+module.exports = {
+  REVERSALS_COLLECTION,
+  REVERSAL_ENTRY_TYPE,
+  reversalLedgerId,
+  findReversibleEntries,
+  previewReversal,
+  applyReversal,
+};
@@ -0,0 +1,235 @@
+// lib/riskControls.js
+
+const { PAYOUT_LEDGER_COLLECTION } = require('./payoutLedger');
+const { LEGACY_USERS_COLLECTION } = require('./collections');
+const { DEFAULT_CURRENCY, currencyInfo, toMinorUnits, minorOf, formatMoney } = require('./money');
+
+// --- Payout risk controls ---
+// Safeguards applied before anything is credited:
+//   - accounts flagged `frozen`, or whose `kycStatus` is one of the blocked statuses, are skipped;
+//   - a per-user and a platform-wide cap on what is paid for one payout date. Both engines count
+//     what either of them already paid for the date (see paidOnLoader()), so the caps hold across
+//     runs, resumed runs and engines;
+//   - a payout above the approval threshold, or more than `jumpFactor` times the largest payout
+//     the investment (or legacy user) has had so far, goes to the pendingPayouts queue instead of
+//     being credited. An admin approves or rejects it (see lib/pendingPayouts.js).
+// There are no exchange rates here, so caps and the threshold are set per currency and each
+// only applies to payouts in its own currency: '50' is 50 in the default currency, and
+// 'USD:50,JPY:7500' sets both. A currency that is not listed is not capped.
+//
+// Configuration (environment):
+//   RISK_USER_DAILY_CAP          most paid to one user for one payout date, per currency (default: no cap)
+//   RISK_PLATFORM_DAILY_CAP      most paid to everyone for one payout date, per currency (default: no cap)
+//   RISK_APPROVAL_THRESHOLD      queue any single payout above this, per currency (default: none)
+//   RISK_JUMP_FACTOR             queue a payout above this multiple of the investment's largest so far, > 1 (default: none)
+//   RISK_BLOCKED_KYC_STATUSES    comma-separated kycStatus values that block payouts (default 'failed,rejected')
+
+const KYC_STATUS_FIELD = 'kycStatus';
+const DEFAULT_BLOCKED_KYC_STATUSES = ['failed', 'rejected'];
+
+/** Reads '50' or 'USD:50,JPY:7500' into minor units per currency code. */
+function parseAmounts(name, value) {
+  const amounts = {};
+  if (value === undefined || value === '') {
+    return amounts;
+  }
+  for (const part of String(value).split(',').map((item) => item.trim()).filter(Boolean)) {
+    const [currency, amount] = part.includes(':') ? part.split(':').map((item) => item.trim()) : [DEFAULT_CURRENCY, part];
+    if (!currencyInfo(currency)) {
+      throw new Error(`${name} names an unsupported currency "${currency}".`);
+    }
+    const parsed = Number(amount);
+    if (!Number.isFinite(parsed) || parsed <= 0) {
+      throw new Error(`${name} must be a positive amount, got "${value}".`);
+    }
+    amounts[currency] = toMinorUnits(parsed, currency);
+  }
+  return amounts;
+}
+
+/** The limit for `currency` from parseAmounts(), or null when that currency has none. */
+function limitFor(amounts, currency = DEFAULT_CURRENCY) {
+  return amounts[currency] !== undefined ? amounts[currency] : null;
+}
+
+/**
+ * Reads the risk settings from the environment.
+ * @returns {{ userDailyCaps: Object<string, number>, platformDailyCaps: Object<string, number>, approvalThresholds: Object<string, number>, jumpFactor: number|null, blockedKycStatuses: string[] }}
+ *   Caps and thresholds are minor units per currency code.
+ * @throws {Error} When a setting is malformed.
+ */
+function riskConfigFromEnv(env = process.env) {
+  let jumpFactor = null;
+  if (env.RISK_JUMP_FACTOR !== undefined && env.RISK_JUMP_FACTOR !== '') {
+    jumpFactor = Number(env.RISK_JUMP_FACTOR);
+    if (!Number.isFinite(jumpFactor) || jumpFactor <= 1) {
+      throw new Error(`RISK_JUMP_FACTOR must be a number above 1, got "${env.RISK_JUMP_FACTOR}".`);
+    }
+  }
+  return {
+    userDailyCaps: parseAmounts('RISK_USER_DAILY_CAP', env.RISK_USER_DAILY_CAP),
+    platformDailyCaps: parseAmounts('RISK_PLATFORM_DAILY_CAP', env.RISK_PLATFORM_DAILY_CAP),
+    approvalThresholds: parseAmounts('RISK_APPROVAL_THRESHOLD', env.RISK_APPROVAL_THRESHOLD),
+    jumpFactor,
+    blockedKycStatuses: env.RISK_BLOCKED_KYC_STATUSES !== undefined
+      ? env.RISK_BLOCKED_KYC_STATUSES.split(',').map((status) => status.trim()).filter(Boolean)
+      : DEFAULT_BLOCKED_KYC_STATUSES,
+  };
+}
+
+/** Settings with every optional control off; frozen accounts and failed KYC are still skipped. */
+function defaultRiskConfig() {
+  return riskConfigFromEnv({});
+}
+
+/**
+ * Why an account must not be paid at all, or null when it may be.
+ * @param {object|null} profile - The USERS (or legacy users) document.
+ */
+function accountBlock(profile, config) {
+  if (!profile) {
+    return null; // The payout path decides what to do with a missing profile
+  }
+  if (profile.frozen === true) {
+    return 'account is frozen';
+  }
+  const kycStatus = profile[KYC_STATUS_FIELD];
+  if (kycStatus && config.blockedKycStatuses.includes(kycStatus)) {
+    return `KYC status is "${kycStatus}"`;
+  }
+  return null;
+}
+
+/**
+ * Why a planned payout needs an admin's approval before it is credited; empty when it does not.
+ * @param {{ roiAmountMinor: number, currency: string }} planned - From planInvestmentPayout().
+ * @param {object} investmentDocData - The INVESTMENT document; its paid payoutLogs are the history.
+ * @returns {string[]}
+ */
+function approvalReasons(planned, investmentDocData, config) {
+  const reasons = [];
+  const threshold = limitFor(config.approvalThresholds, planned.currency);
+  if (threshold !== null && planned.roiAmountMinor > threshold) {
+    reasons.push(`${formatMoney(planned.roiAmountMinor, planned.currency)} is above the approval threshold of ${formatMoney(threshold, planned.currency)}`);
+  }
+  if (config.jumpFactor !== null) {
+    const history = (Array.isArray(investmentDocData.payoutLogs) ? investmentDocData.payoutLogs : [])
+      .filter((log) => log && log.status === 'paid' && (log.currency || DEFAULT_CURRENCY) === planned.currency)
+      .map((log) => minorOf(log));
+    const largest = history.length > 0 ? Math.max(...history) : 0;
+    if (largest > 0 && planned.roiAmountMinor > largest * config.jumpFactor) {
+      reasons.push(`${formatMoney(planned.roiAmountMinor, planned.currency)} is more than ${config.jumpFactor}x the largest earlier payout (${formatMoney(largest, planned.currency)})`);
+    }
+  }
+  return reasons;
+}
+
+// The earliest instant of a date anywhere: timezones run up to UTC+14.
+const EARLIEST_UTC_OFFSET_MS = 14 * 60 * 60 * 1000;
+
+/**
+ * Loads what both engines already paid for a payout date, for createPayoutBudget(): the roiTask's
+ * unreversed ROI ledger entries and the daily ROI increase engine's roiIncreaseLogs. A user is the
+ * same document ID in USERS and in the legacy users collection.
+ * @param {object} repository - Storage backend (see lib/repositories).
+ * @returns {(payoutDate: string) => Promise<Array<{ userId: string, amount: number, amountMinor?: number, currency?: string }>>}
+ */
+function paidOnLoader(repository) {
+  return async (payoutDate) => {
+    const since = new Date(Date.parse(`${payoutDate}T00:00:00Z`) - EARLIEST_UTC_OFFSET_MS);
+    const [ledgerEntries, legacyUsers] = await Promise.all([
+      repository.listDocuments(PAYOUT_LEDGER_COLLECTION, { where: [['payoutDate', '==', payoutDate]] }),
+      // A log dated payoutDate is written on or after that date, with the user's lastROIUpdateDate.
+      repository.listDocuments(LEGACY_USERS_COLLECTION, { where: [['lastROIUpdateDate', '>=', since]] }),
+    ]);
+    return [
+      ...ledgerEntries.map((entry) => entry.data).filter((entry) => entry.type === 'roi' && !entry.reversedBy),
+      ...legacyUsers.flatMap(({ id, data }) => (Array.isArray(data.roiIncreaseLogs) ? data.roiIncreaseLogs : [])
+        .filter((log) => log && log.date === payoutDate)
+        .map((log) => ({ ...log, userId: id }))),
+    ];
+  };
+}
+
+/**
+ * Tracks what has been paid per payout date and currency so the daily caps hold across the whole run.
+ * Amounts already paid for a date are loaded the first time the date comes up.
+ * JavaScript runs the check and the reservation without yielding, so concurrent workers in one
+ * run cannot both squeeze under a cap; the job lock keeps other runs out.
+ *
+ * @param {object} config - From riskConfigFromEnv().
+ * @param {(payoutDate: string) => Promise<Array<{ userId: string, amount?: number, amountMinor?: number, currency?: string }>>} loadPaidOn
+ *   What was already paid for a date before this run.
+ */
+function createPayoutBudget(config, loadPaidOn) {
+  const days = new Map(); // payoutDate -> Promise<Map<currency, { platform: number, users: Map<userId, number> }>>
+  const capped = Object.keys(config.userDailyCaps).length > 0 || Object.keys(config.platformDailyCaps).length > 0;
+
+  function totalsIn(byCurrency, currency) {
+    if (!byCurrency.has(currency)) {
+      byCurrency.set(currency, { platform: 0, users: new Map() });
+    }
+    return byCurrency.get(currency);
+  }
+
+  function day(payoutDate) {
+    if (!days.has(payoutDate)) {
+      days.set(payoutDate, loadPaidOn(payoutDate).then((entries) => {
+        const byCurrency = new Map();
+        for (const entry of entries) {
+          const totals = totalsIn(byCurrency, entry.currency || DEFAULT_CURRENCY);
+          const amount = minorOf(entry);
+          totals.platform += amount;
+          totals.users.set(entry.userId, (totals.users.get(entry.userId) || 0) + amount);
+        }
+        return byCurrency;
+      }));
+    }
+    return days.get(payoutDate);
+  }
+
+  return {
+    /**
+     * Reserves `amountMinor` (in `currency`) for the user on `payoutDate`.
+     * @returns {Promise<string|null>} Why the cap stops it, or null when it was reserved.
+     */
+    async reserve(userId, payoutDate, amountMinor, currency = DEFAULT_CURRENCY) {
+      if (!capped) {
+        return null;
+      }
+      const totals = totalsIn(await day(payoutDate), currency);
+      const userTotal = totals.users.get(userId) || 0;
+      const userCap = limitFor(config.userDailyCaps, currency);
+      const platformCap = limitFor(config.platformDailyCaps, currency);
+      if (userCap !== null && userTotal + amountMinor > userCap) {
+        return `user daily cap of ${formatMoney(userCap, currency)} reached for ${payoutDate} (${formatMoney(userTotal, currency)} already paid)`;
+      }
+      if (platformCap !== null && totals.platform + amountMinor > platformCap) {
+        return `platform daily cap of ${formatMoney(platformCap, currency)} reached for ${payoutDate}`;
+      }
+      totals.users.set(userId, userTotal + amountMinor);
+      totals.platform += amountMinor;
+      return null;
+    },
+
+    /** Gives back (part of) a reservation whose payout was not made in full. */
+    async release(userId, payoutDate, amountMinor, currency = DEFAULT_CURRENCY) {
+      if (!capped || amountMinor === 0) {
+        return;
+      }
+      const totals = totalsIn(await day(payoutDate), currency);
+      totals.users.set(userId, (totals.users.get(userId) || 0) - amountMinor);
+      totals.platform -= amountMinor;
+    },
+  };
+}
+
+module.exports = {
+  KYC_STATUS_FIELD,
+  riskConfigFromEnv,
+  defaultRiskConfig,
+  accountBlock,
+  approvalReasons,
+  paidOnLoader,
+  createPayoutBudget,
+};
@@ -0,0 +1,435 @@
+// lib/roiRules.js
+
+const dayjs = require('dayjs');
+const { PAYOUT_DATE_FORMAT, DEFAULT_TIMEZONE, toPayoutDate, listPayoutDates, owedPayoutDates, elapsedWholeDays, businessDate } = require('./payoutDates');
+const { resolvePlanSettings, rateForDay, cumulativeGrowth, dayGrowth, isPayoutDay } = require('./planSettings');
+const { roundMinor, toMinorUnits, fromMinorUnits, majorByCurrency, sumMajor, rateInFormat } = require('./money');
+
+// --- ROI payout rules ---
+// Pure calculation and state-transition logic shared by both engines. Nothing in this module
+// reads or writes storage, so every rule can be unit-tested with plain objects.
+
+// How far off schedule a run may be and still count as a full day after the last update.
+const SCHEDULE_BUFFER_MS = 5 * 60 * 1000; // 5 minutes buffer
+
+/**
+ * Converts a stored date value (Firestore Timestamp, Date, ISO string or millis) to a JavaScript Date.
+ * @returns {Date|null}
+ */
+function toJsDate(value) {
+  if (!value) {
+    return null;
+  }
+  if (typeof value.toDate === 'function') {
+    return value.toDate();
+  }
+  const date = value instanceof Date ? value : new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Reads activePlan.daysCompleted as a number.
+ * Numeric strings are accepted; anything else (null, undefined, "abc") counts as 0.
+ */
+function parseDaysCompleted(plan) {
+  const rawDaysCompleted = plan.daysCompleted;
+
+  if (typeof rawDaysCompleted === 'number' && !isNaN(rawDaysCompleted)) {
+      return rawDaysCompleted;
+  }
+  if (typeof rawDaysCompleted === 'string') {
+      const parsed = parseFloat(rawDaysCompleted);
+      if (!isNaN(parsed)) {
+          return parsed;
+      }
+  }
+  return 0;
+}
+
+// --- roiTask.js rules (INVESTMENT documents) ---
+
+/**
+ * Payout settings for an activePlan map (see lib/planSettings.js). roiPercent is the flat rate;
+ * despite its name it has always been written as a fraction (0.02 = 2% a day), so that is the
+ * format assumed when the plan does not set rateFormat.
+ */
+function investmentPlanSettings(plan) {
+  return resolvePlanSettings(plan, plan.roiPercent, { rateField: 'roiPercent', defaultRateFormat: 'fraction' });
+}
+
+/**
+ * The calendar a plan's dates are taken on: its own payoutTimezone, else the schedule's timezone,
+ * with the schedule's day boundary.
+ * @param {object} settings - The plan's settings from resolvePlanSettings().
+ * @param {{ timezone?: string, dayStartHour?: number }} [schedule] - See lib/schedule.js.
+ */
+function planCalendar(settings, schedule = {}) {
+  return {
+    timezone: settings.payoutTimezone || schedule.timezone || DEFAULT_TIMEZONE,
+    dayStartHour: schedule.dayStartHour || 0,
+  };
+}
+
+/** The calendar of an investment's plan (see planCalendar()); the schedule's own when the plan has no valid settings. */
+function investmentCalendar(investmentDocData, schedule = {}) {
+  const plan = investmentDocData.activePlan;
+  const planSettings = plan && typeof plan === 'object' ? investmentPlanSettings(plan) : null;
+  return planCalendar(planSettings && planSettings.ok ? planSettings.settings : {}, schedule);
+}
+
+/** The principal of a plan in minor units, or null when `amount` is not a positive number. */
+function principalMinor(amount, settings) {
+  const value = typeof amount === 'string' && amount.trim() !== '' ? Number(amount) : amount;
+  if (typeof value !== 'number' || !Number.isFinite(value) || value <= 0) {
+    return null;
+  }
+  return toMinorUnits(value, settings.currency);
+}
+
+/**
+ * Works out one day's payout for an investment without writing anything.
+ * Both the real transaction and dry-run mode use this, so they always agree.
+ *
+ * A day is already paid when a paid payoutLogs entry has its date, or (outside a backfill) when it
+ * is not after lastRoiPaymentDate: days paid before the payout ledger existed are only recorded there.
+ *
+ * @param {object} investmentDocData - Current INVESTMENT document data.
+ * @param {string} payoutDate - Day being paid ('YYYY-MM-DD').
+ * @param {{ backfill?: boolean, schedule?: object }} [params] - `backfill` allows days older than lastRoiPaymentDate;
+ *   stored dates that are instants are taken on the plan's calendar with `schedule` (see planCalendar()).
+ * @returns {{ status: 'stale' } | { status: 'duplicate', reason: string } | { status: 'invalid', reason: string } | { status: 'payable', roiAmount: number, roiAmountMinor: number, currency: string, parsedRoiPercent: number, newDaysCompleted: number, restarted: boolean, completed: boolean, isLatestPayment: boolean }}
+ *   roiAmount is in major units, rounded to the plan currency; parsedRoiPercent is the day's rate in the plan's own rateFormat.
+ */
+function planInvestmentPayout(investmentDocData, payoutDate, { backfill = false, schedule = {} } = {}) {
+  // Re-check eligibility: the document may have changed since the initial query.
+  const plan = investmentDocData.activePlan;
+  if (!plan || typeof plan !== 'object' || !investmentDocData.hasActivePlan || !plan.isActive) {
+    return { status: 'stale' };
+  }
+  const planSettings = investmentPlanSettings(plan);
+  if (!planSettings.ok) {
+    return { status: 'invalid', reason: planSettings.reason };
+  }
+  const { settings } = planSettings;
+  const calendar = planCalendar(settings, schedule);
+  const previousPaymentDate = toPayoutDate(investmentDocData.lastRoiPaymentDate, calendar);
+  if (paidLogDates(investmentDocData, calendar).includes(payoutDate) || (!backfill && previousPaymentDate && payoutDate <= previousPaymentDate)) {
+    return { status: 'duplicate', reason: 'paid before the payout ledger' };
+  }
+  const principal = principalMinor(plan.amount, settings);
+  if (principal === null) {
+    return { status: 'invalid', reason: `invalid amount "${plan.amount}"` };
+  }
+  const currentDaysCompletedInPlan = parseDaysCompleted(plan);
+  if (currentDaysCompletedInPlan >= settings.cycleDays) {
+    return { status: 'stale' };
+  }
+
+  const newDaysCompleted = currentDaysCompletedInPlan + 1;
+  // The rate for this cycle day (tiered schedules) and, for compounding plans,
+  // the growth on everything earned earlier in the cycle.
+  const parsedRoiPercent = rateInFormat(rateForDay(settings, newDaysCompleted), settings.rateFormat);
+  const roiAmountMinor = roundMinor(principal * dayGrowth(settings, newDaysCompleted), settings.rounding);
+  const roiAmount = fromMinorUnits(roiAmountMinor, settings.currency);
+
+  // Check if the plan is completed (cycle length reached)
+  const reachedEnd = newDaysCompleted >= settings.cycleDays;
+  const restarted = reachedEnd && plan.action === 'restart';
+  const completed = reachedEnd && !restarted;
+
+  // A backfilled day can be older than the last payment; never move lastRoiPaymentDate backwards.
+  const isLatestPayment = !previousPaymentDate || payoutDate >= previousPaymentDate;
+
+  return { status: 'payable', roiAmount, roiAmountMinor, currency: settings.currency, parsedRoiPercent, newDaysCompleted, restarted, completed, isLatestPayment };
+}
+
+/**
+ * Returns a copy of the investment data as it would look after a planned payout.
+ * Used by dry-run mode to simulate several catch-up days in a row.
+ */
+function applyPlannedPayout(investmentDocData, planned, payoutDate) {
+  const activePlan = { ...investmentDocData.activePlan, daysCompleted: planned.newDaysCompleted };
+  const next = { ...investmentDocData, activePlan };
+
+  if (planned.restarted) {
+    activePlan.daysCompleted = 0;
+    activePlan.status = 'active';
+    activePlan.isActive = true;
+    activePlan.action = 'active';
+    activePlan.restartedOn = payoutDate;
+  } else if (planned.completed) {
+    activePlan.isActive = false;
+    activePlan.status = 'completed';
+    next.hasActivePlan = false;
+  }
+  if (planned.isLatestPayment) {
+    next.lastRoiPaymentDate = payoutDate;
+  }
+  return next;
+}
+
+/** Dates of the investment's payoutLogs entries that are still paid, on `calendar`. */
+function paidLogDates(investmentDocData, calendar) {
+  return (Array.isArray(investmentDocData.payoutLogs) ? investmentDocData.payoutLogs : [])
+    .filter((log) => log && log.status === 'paid')
+    .map((log) => toPayoutDate(log.date, calendar))
+    .filter(Boolean);
+}
+
+/** The plan's first payout date, on `calendar`. */
+function startDateFor(investmentDocData, plan, calendar) {
+  return toPayoutDate(plan.roiStartDate || plan.startDate || investmentDocData.roiStartDate, calendar);
+}
+
+/**
+ * Finds the last day this investment was paid for.
+ * Prefers the investment's own lastRoiPaymentDate, then the newest paid payoutLogs entry.
+ * For a plan that has never paid, returns the day before its roiStartDate/startDate so the
+ * start date itself is owed. Returns null when none of these are known.
+ * @param {{ timezone?: string, dayStartHour?: number }} [calendar] - Dates stored as instants
+ *   (Dates, Timestamps) are taken on this calendar (see planCalendar()).
+ */
+function lastPaidDateFor(investmentDocData, plan, calendar = {}) {
+  const recorded = toPayoutDate(investmentDocData.lastRoiPaymentDate, calendar);
+  if (recorded) {
+    return recorded;
+  }
+
+  const paidDates = paidLogDates(investmentDocData, calendar).sort();
+  if (paidDates.length > 0) {
+    return paidDates[paidDates.length - 1];
+  }
+
+  const startDate = startDateFor(investmentDocData, plan, calendar);
+  return startDate ? dayjs(startDate).subtract(1, 'day').format(PAYOUT_DATE_FORMAT) : null;
+}
+
+/**
+ * Decides which dates to pay for one investment in this run.
+ * - Normal run: just `today`.
+ * - Catch-up: every day missed since the last payout, up to `today`.
+ * - Backfill (since/until): the requested window, minus days before the plan started and days
+ *   already paid (a paid payoutLogs entry, including ones written before the ledger existed,
+ *   or a ledger entry).
+ * All modes are capped at the days left in the plan's cycle and skip days that are not
+ * payout days on the plan's calendar (weekends and holidays for business-day plans).
+ * Stored dates that are instants are taken on the plan's calendar (see planCalendar()), using
+ * `options.schedule`.
+ *
+ * @param {object} settings - The plan's settings from resolvePlanSettings().
+ * @param {string[]} [ledgerDates] - Payout dates the ledger already holds for this investment.
+ */
+function resolvePayoutDates(investmentDocData, plan, currentDaysCompletedInPlan, today, options, settings, ledgerDates = []) {
+  const remainingDays = settings.cycleDays - currentDaysCompletedInPlan;
+  const onCalendar = (date) => isPayoutDay(settings, date);
+  const calendar = planCalendar(settings, options.schedule);
+
+  if (options.since) {
+    const startDate = startDateFor(investmentDocData, plan, calendar);
+    const paid = new Set([...paidLogDates(investmentDocData, calendar), ...ledgerDates]);
+    // Paid days are removed before the cycle cap, so they do not take the place of owed days.
+    return listPayoutDates(options.since, options.until || today)
+      .filter((date) => (!startDate || date >= startDate) && onCalendar(date) && !paid.has(date))
+      .slice(0, Math.max(remainingDays, 0));
+  }
+  if (options.catchUp) {
+    return owedPayoutDates({
+      lastPaidDate: lastPaidDateFor(investmentDocData, plan, calendar),
+      asOfDate: today,
+      remainingDays,
+      isPayoutDay: onCalendar,
+    });
+  }
+  return remainingDays > 0 && onCalendar(today) ? [today] : [];
+}
+
+/**
+ * Summarises every INVESTMENT document of one user for their USERS profile.
+ * Only investments that are still active count towards the totals; the next plan to mature
+ * is the active one with the fewest days left in its cycle. Totals are also kept per currency:
+ * the single-number totals are null when the user's plans are in more than one.
+ *
+ * @param {Array<{ id: string, data: object }>} investments - All of the user's INVESTMENT documents.
+ * @param {Array<{ amount: number, amountMinor?: number, currency?: string }>} paidToday - The user's ledger entries for the run's business date.
+ * @param {{ timezone?: string, dayStartHour?: number }} [schedule] - Stored dates that are instants are taken on each plan's calendar (see planCalendar()).
+ * @returns {{ activeInvestmentCount: number, totalActivePrincipal: number|null, totalActivePrincipalByCurrency: Object<string, number>, totalPaidToday: number|null, totalPaidTodayByCurrency: Object<string, number>, lastRoiPaymentDate: string|null, nextToMature: { investmentId: string, planName: string|null, daysCompleted: number, daysRemaining: number, roiPercent: number }|null }}
+ */
+function summarizeUserInvestments(investments, paidToday = [], schedule = {}) {
+  let activeInvestmentCount = 0;
+  const principals = [];
+  let lastRoiPaymentDate = null;
+  let nextToMature = null;
+
+  for (const { id, data } of investments) {
+    const paidDate = toPayoutDate(data.lastRoiPaymentDate, investmentCalendar(data, schedule));
+    if (paidDate && (!lastRoiPaymentDate || paidDate > lastRoiPaymentDate)) {
+      lastRoiPaymentDate = paidDate;
+    }
+
+    const plan = data.activePlan;
+    if (!plan || typeof plan !== 'object' || !data.hasActivePlan || !plan.isActive) {
+      continue;
+    }
+    activeInvestmentCount++;
+    const amount = Number(plan.amount);
+    if (Number.isFinite(amount)) {
+      principals.push({ amount, currency: plan.currency });
+    }
+
+    const planSettings = investmentPlanSettings(plan);
+    if (!planSettings.ok) {
+      continue; // Still active, but we cannot tell when it matures
+    }
+    const daysCompleted = parseDaysCompleted(plan);
+    const daysRemaining = Math.max(planSettings.settings.cycleDays - daysCompleted, 0);
+    if (!nextToMature || daysRemaining < nextToMature.daysRemaining
+      || (daysRemaining === nextToMature.daysRemaining && id < nextToMature.investmentId)) {
+      nextToMature = {
+        investmentId: id,
+        planName: plan.planName || null,
+        daysCompleted,
+        daysRemaining,
+        // The rate of the last paid day, as the profile has always shown
+        roiPercent: rateInFormat(rateForDay(planSettings.settings, Math.max(daysCompleted, 1)), planSettings.settings.rateFormat),
+      };
+    }
+  }
+
+  return {
+    activeInvestmentCount,
+    totalActivePrincipal: sumMajor(principals),
+    totalActivePrincipalByCurrency: majorByCurrency(principals),
+    totalPaidToday: sumMajor(paidToday),
+    totalPaidTodayByCurrency: majorByCurrency(paidToday),
+    lastRoiPaymentDate,
+    nextToMature,
+  };
+}
+
+// --- index.js rules (users documents) ---
+
+/**
+ * Decides what the daily ROI increase should do for one user.
+ *
+ * @param {object} params
+ * @param {object} params.userData - The user's document data.
+ * @param {object|undefined} params.plan - The user's investment plan document data.
+ * @param {Date} params.now - Time of this run.
+ * @param {boolean} [params.catchUp] - Credit every missed day instead of at most one.
+ * @param {{ timezone?: string, dayStartHour?: number }} [params.schedule] - Business date boundary (see lib/schedule.js);
+ *   the plan's payoutTimezone takes precedence over the schedule's timezone.
+ * @returns {{ action: 'skip', reason: string }
+ *   | { action: 'markCompleted' }
+ *   | { action: 'none' }
+ *   | { action: 'credit', logs: object[], currentROI: number, roiIncreaseDayCount: number, cycleDays: number, newROIValue: number, currency: string, completed: boolean }}
+ *   currentROI and the logs' percentages are percent whatever the plan's rateFormat; money is rounded to the plan currency.
+ */
+function evaluateUserRoiIncrease({ userData, plan, now, catchUp = false, schedule = {} }) {
+  const initialInvestmentAmount = userData.initialInvestmentAmount || 0;
+  const investmentPlanId = userData.investmentPlanId; // The ID of the plan the user signed up for
+  let currentROI = userData.currentROI || 0; // Cumulative ROI percentage (e.g., 4, 8, 12...)
+  let roiIncreaseDayCount = userData.roiIncreaseDayCount || 0; // Current day count (1 to 7)
+
+  // --- Validation and Skipping Conditions ---
+  if (initialInvestmentAmount <= 0) {
+    return { action: 'skip', reason: 'initial investment amount is zero or less' };
+  }
+  if (!investmentPlanId) {
+    return { action: 'skip', reason: 'missing investmentPlanId' };
+  }
+  if (!plan || typeof plan.dailyROI !== 'number') {
+    return { action: 'skip', reason: 'plan not found or dailyROI missing/invalid' };
+  }
+  const planSettings = resolvePlanSettings(plan, plan.dailyROI, { rateField: 'dailyROI', defaultRateFormat: 'percent' });
+  if (!planSettings.ok) {
+    return { action: 'skip', reason: `invalid plan settings: ${planSettings.reason}` };
+  }
+  const { settings } = planSettings;
+  const principal = principalMinor(initialInvestmentAmount, settings);
+  if (principal === null) {
+    return { action: 'skip', reason: `invalid initialInvestmentAmount "${initialInvestmentAmount}"` };
+  }
+
+  // Determine if a full day has passed since the last update
+  const lastUpdateCheckDate = toJsDate(userData.lastROIUpdateDate) || toJsDate(userData.roiStartDate); // Prefer last update, fall back to start date
+  if (!lastUpdateCheckDate) {
+    return { action: 'skip', reason: 'missing lastROIUpdateDate and roiStartDate' };
+  }
+  // This prevents multiple updates within a day if the cron job runs slightly off schedule.
+  const elapsedDays = elapsedWholeDays(lastUpdateCheckDate, now, SCHEDULE_BUFFER_MS);
+  if (elapsedDays < 1) {
+    return { action: 'skip', reason: 'less than a full day since last update' };
+  }
+
+  // Check if the cycle is already complete for this user
+  if (roiIncreaseDayCount >= settings.cycleDays) {
+    return userData.earningStatus !== 'completed' ? { action: 'markCompleted' } : { action: 'none' };
+  }
+
+  // The days since the last update, one per elapsed day, minus weekends and holidays
+  // for business-day plans. Dates are taken on the plan's calendar. Only the days being paid
+  // must be business days: a run on a weekend still pays the business days it missed.
+  const calendar = planCalendar(settings, schedule);
+  const candidateDates = [];
+  for (let day = 1; day <= elapsedDays; day++) {
+    candidateDates.push(businessDate(dayjs(lastUpdateCheckDate).add(day, 'day').toDate(), calendar));
+  }
+  const payoutDates = candidateDates.filter((date) => isPayoutDay(settings, date));
+  if (payoutDates.length === 0) {
+    return { action: 'skip', reason: 'not a business day for this plan' };
+  }
+
+  // Normally one day is credited. In catch-up mode every missed day is credited,
+  // but never past the end of the cycle.
+  const daysToCredit = catchUp ? Math.min(payoutDates.length, settings.cycleDays - roiIncreaseDayCount) : 1;
+  const logs = [];
+  for (let i = 0; i < daysToCredit; i++) {
+    roiIncreaseDayCount++; // Increment day count
+    const growth = dayGrowth(settings, roiIncreaseDayCount);
+    const dayPercent = rateInFormat(growth, 'percent');
+    currentROI += dayPercent; // Add this day's ROI percentage
+    const amountMinor = roundMinor(principal * growth, settings.rounding);
+    logs.push({
+      // Catch-up days are dated from the last update, one per missed payout day
+      date: payoutDates[i],
+      day: roiIncreaseDayCount,
+      roiPercent: rateInFormat(rateForDay(settings, roiIncreaseDayCount), 'percent'),
+      valuePercent: dayPercent, // Growth of the principal on this day (differs from roiPercent when compounding)
+      amount: fromMinorUnits(amountMinor, settings.currency),
+      amountMinor,
+      currency: settings.currency,
+      timestamp: now,
+    });
+  }
+
+  // Cap the currentROI to the maximum possible for the cycle.
+  // This prevents it from going over if somehow a calculation error occurred previously.
+  const maxCumulativeROIForPlan = rateInFormat(cumulativeGrowth(settings, settings.cycleDays), 'percent');
+  if (currentROI > maxCumulativeROIForPlan) {
+    currentROI = maxCumulativeROIForPlan;
+  }
+
+  return {
+    action: 'credit',
+    logs,
+    currentROI,
+    roiIncreaseDayCount,
+    cycleDays: settings.cycleDays,
+    newROIValue: fromMinorUnits(roundMinor(principal * (currentROI / 100), settings.rounding), settings.currency), // Monetary value of the cumulative ROI
+    currency: settings.currency,
+    completed: roiIncreaseDayCount >= settings.cycleDays,
+  };
+}
+
+module.exports = {
+  toJsDate,
+  parseDaysCompleted,
+  investmentPlanSettings,
+  planCalendar,
+  planInvestmentPayout,
+  applyPlannedPayout,
+  lastPaidDateFor,
+  resolvePayoutDates,
+  summarizeUserInvestments,
+  evaluateUserRoiIncrease,
+};
@@ -0,0 +1,136 @@
+// lib/runHistory.js
+
+const { sumMajor } = require('./money');
+
+// --- Run history ---
+// Every real (non dry-run) execution of either engine leaves one document in `roiJobRuns`:
+// when it ran, what triggered it, its counts and totals, and one outcome per user/investment
+// with the skip or failure reasons. The status server (lib/statusServer.js) reads them back.
+const RUN_HISTORY_COLLECTION = 'roiJobRuns';
+
+// Firestore documents are capped at 1 MiB; past this many outcomes only the totals are complete.
+const MAX_STORED_OUTCOMES = 2000;
+
+/** Summarises one report entry as 'paid', 'held' (queued for approval), 'updated' (status change only), 'failed' or 'skipped'. */
+function outcomeOf(entry) {
+  if (entry.failures.length > 0) {
+    return 'failed';
+  }
+  if (entry.payouts.length > 0) {
+    return 'paid';
+  }
+  if (entry.holds.length > 0) {
+    return 'held';
+  }
+  return entry.statusChanges.length > 0 ? 'updated' : 'skipped';
+}
+
+/**
+ * Builds the run document for a finished report.
+ * @param {object} report - A run report (see lib/runReport.js) after report.finish().
+ * @returns {object} Document data for `roiJobRuns/<runId>`.
+ */
+function runDocument(report) {
+  const json = report.toJSON();
+  const outcomes = [];
+  for (const user of json.users) {
+    for (const entry of user.investments) {
+      outcomes.push({
+        userId: user.userId,
+        investmentId: entry.investmentId,
+        planName: entry.planName,
+        outcome: outcomeOf(entry),
+        amount: sumMajor(entry.payouts),
+        payoutDates: entry.payouts.map((payout) => payout.date),
+        statusChanges: entry.statusChanges.map((change) => `${change.from} -> ${change.to}`),
+        reasons: [...entry.failures, ...entry.skips].map((item) => item.reason),
+      });
+    }
+  }
+
+  return {
+    runId: json.runId,
+    engine: json.engine,
+    trigger: json.trigger,
+    asOf: json.asOf,
+    status: json.status,
+    error: json.error,
+    errorCode: json.errorCode,
+    startedAt: new Date(json.startedAt),
+    finishedAt: json.finishedAt ? new Date(json.finishedAt) : null,
+    durationMs: json.finishedAt ? Date.parse(json.finishedAt) - Date.parse(json.startedAt) : null,
+    counts: {
+      users: json.totals.users,
+      investments: json.totals.investments,
+      processed: json.totals.processed,
+      skipped: json.totals.skipped,
+      failed: json.totals.failed,
+      payouts: json.totals.payouts,
+      commissions: json.totals.commissions,
+      held: json.totals.held,
+      statusChanges: json.totals.statusChanges,
+    },
+    totalAmountPaid: json.totals.amount,
+    totalAmountPaidByCurrency: json.totals.amountByCurrency,
+    totalCommissionsPaid: json.totals.commissionAmount,
+    totalCommissionsPaidByCurrency: json.totals.commissionAmountByCurrency,
+    outcomes: outcomes.slice(0, MAX_STORED_OUTCOMES),
+    outcomesTruncated: outcomes.length > MAX_STORED_OUTCOMES,
+  };
+}
+
+/**
+ * Stores a finished run. Never throws: a run that did its work must not be reported as failed
+ * because its history could not be written.
+ * @returns {Promise<boolean>} True when the document was written.
+ */
+async function recordRun(repository, report) {
+  try {
+    await repository.commitWrites([{
+      type: 'set',
+      collection: RUN_HISTORY_COLLECTION,
+      id: report.runId,
+      data: runDocument(report),
+    }]);
+    console.log(`📝 Recorded run ${report.runId} in ${RUN_HISTORY_COLLECTION}.`);
+    return true;
+  } catch (error) {
+    console.error(`⚠️ Could not record run ${report.runId} in ${RUN_HISTORY_COLLECTION}:`, error.message);
+    return false;
+  }
+}
+
+/** Reads one run document, or null. */
+function getRun(repository, runId) {
+  return repository.getDocument(RUN_HISTORY_COLLECTION, runId);
+}
+
+/**
+ * Reads the most recently started run, optionally for one engine only.
+ * Filtering on engine while ordering by startedAt needs the composite index in
+ * firestore.indexes.json (`firebase deploy --only firestore:indexes`).
+ * @returns {Promise<object|null>}
+ */
+async function latestRun(repository, { engine = null } = {}) {
+  const runs = await repository.listDocuments(RUN_HISTORY_COLLECTION, {
+    where: engine ? [['engine', '==', engine]] : [],
+    orderBy: ['startedAt', 'desc'],
+    limit: 1,
+  });
+  return runs.length > 0 ? runs[0].data : null;
+}
+
+/** The trigger to record when the caller did not name one: backfills are told apart from manual runs. */
+function defaultTrigger(options) {
+  return options.trigger || (options.since ? 'backfill' : 'manual');
+}
+
+module.exports = {
+  RUN_HISTORY_COLLECTION,
+  MAX_STORED_OUTCOMES,
+  runDocument,
+  recordRun,
+  getRun,
+  latestRun,
+  defaultTrigger,
+};
@@ -0,0 +1,239 @@
+// lib/runReport.js
+
+const { randomUUID } = require('crypto');
+const { DEFAULT_CURRENCY, minorOf, sumByCurrency, majorByCurrency, sumMajor, formatMoney, formatTotals } = require('./money');
+
+// --- Run Report ---
+// Collects what an ROI run did (or, in dry-run mode, would do) for every user and investment:
+// payouts, status changes, skips and failures with their reasons. Both engines feed the same
+// report, so a dry run and a real run describe their work the same way. A finished report is
+// also what lib/runHistory.js stores as the run's document.
+
+/** Unique, roughly time-ordered ID for one run, e.g. 'roiTask_20240501T020000Z_1a2b3c4d'. */
+function newRunId(engine, startedAt) {
+  const stamp = startedAt.toISOString().replace(/[-:]/g, '').replace(/\.\d+Z$/, 'Z');
+  return `${engine}_${stamp}_${randomUUID().slice(0, 8)}`;
+}
+
+/** Every payout in a report's JSON (see toJSON()), across users and investments. */
+function allPayoutsOf(json) {
+  return json.users.flatMap((user) => user.investments.flatMap((entry) => entry.payouts));
+}
+
+/**
+ * Creates an empty run report.
+ * @param {object} params
+ * @param {string} params.engine - Which engine produced the report ('dailyRoiIncrease' or 'roiTask').
+ * @param {string} params.asOf - Business date (or timestamp) the run was evaluated for.
+ * @param {boolean} [params.dryRun] - True when nothing was written.
+ * @param {'cron'|'manual'|'backfill'} [params.trigger] - What started the run.
+ */
+function createRunReport({ engine, asOf, dryRun = false, trigger = 'manual' }) {
+  const users = new Map(); // userId -> { userId, investments: Map<investmentId, entry> }
+  const startedAt = new Date();
+  const runId = newRunId(engine, startedAt);
+  let finishedAt = null;
+  let status = 'running';
+  let error = null;
+  let errorCode = null;
+
+  function investmentEntry(userId, investmentId) {
+    const userKey = userId || '(unknown user)';
+    if (!users.has(userKey)) {
+      users.set(userKey, { userId: userKey, investments: new Map() });
+    }
+    const user = users.get(userKey);
+    const investmentKey = investmentId || '(none)';
+    if (!user.investments.has(investmentKey)) {
+      user.investments.set(investmentKey, {
+        investmentId: investmentKey,
+        planName: null,
+        payouts: [],
+        statusChanges: [],
+        skips: [],
+        failures: [],
+        holds: [],
+      });
+    }
+    return user.investments.get(investmentKey);
+  }
+
+  return {
+    runId,
+    engine,
+    asOf,
+    dryRun,
+    trigger,
+    startedAt,
+
+    /**
+     * Records one planned or committed payout day. `amountMinor` defaults to `amount` in minor units.
+     * `commissions` are the referral commissions paid on it (see lib/referrals.js), and
+     * `commissionNote` why they were cut short (a broken chain, blocked referrers), if they were.
+     */
+    addPayout(userId, investmentId, { date, day, amount, amountMinor = null, currency = DEFAULT_CURRENCY, roiPercent = null, planName = null, commissions = [], commissionNote = null }) {
+      const entry = investmentEntry(userId, investmentId);
+      entry.planName = planName || entry.planName;
+      entry.payouts.push({
+        date,
+        day,
+        amount,
+        amountMinor: minorOf({ amountMinor, amount, currency }),
+        currency,
+        roiPercent,
+        commissions: commissions.map(({ level, userId: referrerId, amount: commissionAmount, amountMinor: commissionMinor }) =>
+          ({ level, userId: referrerId, amount: commissionAmount, amountMinor: commissionMinor, currency })),
+        commissionNote,
+      });
+    },
+
+    /** Records a status transition such as active -> completed or a restart. */
+    addStatusChange(userId, investmentId, { from, to, date = null }) {
+      investmentEntry(userId, investmentId).statusChanges.push({ from, to, date });
+    },
+
+    /** Records a payout put in the pendingPayouts queue for an admin's approval instead of being credited. */
+    addHold(userId, investmentId, { date, amount, amountMinor = null, currency = DEFAULT_CURRENCY, reasons, pendingPayoutId }) {
+      investmentEntry(userId, investmentId).holds.push({
+        date,
+        amount,
+        amountMinor: minorOf({ amountMinor, amount, currency }),
+        currency,
+        reasons,
+        pendingPayoutId,
+      });
+    },
+
+    /** Records why a user or investment was not paid. */
+    addSkip(userId, investmentId, reason) {
+      investmentEntry(userId, investmentId).skips.push({ reason });
+    },
+
+    /** Records a user or investment whose processing threw. */
+    addFailure(userId, investmentId, reason) {
+      investmentEntry(userId, investmentId).failures.push({ reason });
+    },
+
+    /**
+     * Marks the run as over. Pass the error that ended it early, if any, and `aborted` when
+     * the run was stopped on purpose (its job lock was lost, see lib/jobLock.js).
+     * @param {{ error?: Error|null, aborted?: boolean }} [params]
+     */
+    finish({ error: runError = null, aborted = false } = {}) {
+      finishedAt = new Date();
+      status = aborted ? 'aborted' : runError ? 'failed' : 'succeeded';
+      error = runError ? runError.message : null;
+      errorCode = runError ? runError.code || null : null;
+    },
+
+    /** Plain-object form of the report, suitable for JSON output. */
+    toJSON() {
+      // `amount` and `commissionAmount` are null once more than one currency was paid;
+      // the `...ByCurrency` totals keep the currencies apart.
+      const totals = { users: 0, investments: 0, processed: 0, payouts: 0, amount: 0, amountByCurrency: {}, commissions: 0, commissionAmount: 0, commissionAmountByCurrency: {}, held: 0, statusChanges: 0, skipped: 0, failed: 0 };
+      const userList = [];
+      const allPayouts = [];
+
+      for (const user of users.values()) {
+        const investments = [...user.investments.values()];
+        const userPayouts = investments.flatMap((entry) => entry.payouts);
+        allPayouts.push(...userPayouts);
+        userList.push({
+          userId: user.userId,
+          totalAmount: sumMajor(userPayouts),
+          totalsByCurrency: sumByCurrency(userPayouts),
+          investments: investments.map((entry) => ({
+            ...entry,
+            plannedDays: entry.payouts.length,
+          })),
+        });
+
+        totals.users++;
+        for (const entry of investments) {
+          totals.investments++;
+          totals.payouts += entry.payouts.length;
+          totals.statusChanges += entry.statusChanges.length;
+          totals.held += entry.holds.length;
+          totals.skipped += entry.skips.length;
+          totals.failed += entry.failures.length;
+          if (entry.payouts.length > 0 || entry.statusChanges.length > 0) {
+            totals.processed++;
+          }
+        }
+      }
+      totals.amount = sumMajor(allPayouts);
+      const allCommissions = allPayouts.flatMap((payout) => payout.commissions);
+      totals.commissions = allCommissions.length;
+      totals.commissionAmount = sumMajor(allCommissions);
+      totals.amountByCurrency = majorByCurrency(allPayouts);
+      totals.commissionAmountByCurrency = majorByCurrency(allCommissions);
+
+      return {
+        runId,
+        engine,
+        asOf,
+        dryRun,
+        trigger,
+        status,
+        error,
+        errorCode,
+        startedAt: startedAt.toISOString(),
+        finishedAt: finishedAt ? finishedAt.toISOString() : null,
+        generatedAt: new Date().toISOString(),
+        totals,
+        users: userList,
+      };
+    },
+
+    /** Human-readable form of the report. */
+    toText() {
+      const json = this.toJSON();
+      const lines = [
+        `ROI ${dryRun ? 'dry-run ' : ''}report — engine: ${engine}, as of: ${asOf}`,
+        '',
+      ];
+
+      for (const user of json.users) {
+        lines.push(`User ${user.userId} — total ${formatTotals(user.totalsByCurrency)}`);
+        for (const entry of user.investments) {
+          lines.push(`  ${entry.investmentId}${entry.planName ? ` (${entry.planName})` : ''}: ${entry.plannedDays} day(s)`);
+          for (const payout of entry.payouts) {
+            lines.push(`    pay  ${payout.date}  day ${payout.day}  ${formatMoney(payout.amountMinor, payout.currency)}`);
+            for (const commission of payout.commissions) {
+              lines.push(`      commission  level ${commission.level} -> user ${commission.userId}  ${formatMoney(commission.amountMinor, commission.currency)}`);
+            }
+            if (payout.commissionNote) {
+              lines.push(`      referral chain stopped: ${payout.commissionNote}`);
+            }
+          }
+          for (const change of entry.statusChanges) {
+            lines.push(`    status  ${change.from} -> ${change.to}${change.date ? ` on ${change.date}` : ''}`);
+          }
+          for (const hold of entry.holds) {
+            lines.push(`    hold  ${hold.date}  ${formatMoney(hold.amountMinor, hold.currency)}  ${hold.pendingPayoutId}: ${hold.reasons.join('; ')}`);
+          }
+          for (const skip of entry.skips) {
+            lines.push(`    skip  ${skip.reason}`);
+          }
+          for (const failure of entry.failures) {
+            lines.push(`    FAIL  ${failure.reason}`);
+          }
+        }
+      }
+
+      lines.push(
+        '',
+        `Totals: ${json.totals.users} users, ${json.totals.investments} investments, ` +
+          `${json.totals.payouts} payouts, ${formatTotals(sumByCurrency(allPayoutsOf(json)))}, ` +
+          (json.totals.commissions > 0 ? `${json.totals.commissions} referral commissions, ` : '') +
+          `${json.totals.statusChanges} status changes, ${json.totals.held} held for approval, ${json.totals.skipped} skips, ${json.totals.failed} failures.`
+      );
+      return lines.join('\n');
+    },
+  };
+}
+
+module.exports = {
+  newRunId,
+  createRunReport,
+};
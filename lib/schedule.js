@@ -0,0 +1,189 @@
+// lib/schedule.js
+
+const cron = require('node-cron');
+const dayjs = require('dayjs');
+const { PAYOUT_DATE_FORMAT, DEFAULT_TIMEZONE, isValidTimezone } = require('./payoutDates');
+
+// --- Schedule configuration ---
+// When the scheduler fires, and which calendar decides the business date a run pays for.
+// Each setting comes from the environment if set, else from the roiConfig/schedule document,
+// else the default:
+//   ROI_CRON_SCHEDULE    / cron          cron expression, 5 or 6 fields (default '0 2 * * *')
+//   ROI_TIMEZONE         / timezone      IANA zone for the cron and for business dates (default 'UTC')
+//   ROI_DAY_START_HOUR   / dayStartHour  local hour (0-23) a business date starts; a run before it
+//                                        pays for the day before (default 0, midnight)
+//   ROI_SCHEDULE_PREVIEW / previewRuns   upcoming run times printed at startup (default 5)
+// Plans can keep their own calendar with `payoutTimezone` (see lib/planSettings.js).
+
+const SCHEDULE_CONFIG_COLLECTION = 'roiConfig';
+const SCHEDULE_CONFIG_DOC = 'schedule';
+
+const DEFAULT_SCHEDULE = Object.freeze({
+  cron: '0 2 * * *',
+  timezone: DEFAULT_TIMEZONE,
+  dayStartHour: 0,
+  previewRuns: 5,
+});
+
+const ENV_NAMES = {
+  cron: 'ROI_CRON_SCHEDULE',
+  timezone: 'ROI_TIMEZONE',
+  dayStartHour: 'ROI_DAY_START_HOUR',
+  previewRuns: 'ROI_SCHEDULE_PREVIEW',
+};
+
+const MAX_PREVIEW_RUNS = 50;
+const MAX_LOOKAHEAD_DAYS = 4 * 366;
+const LOCAL_TIME_FORMAT = `${PAYOUT_DATE_FORMAT} HH:mm:ss`;
+
+function readInteger(value) {
+  return typeof value === 'number' ? value : Number(String(value).trim());
+}
+
+/**
+ * Validates a full schedule.
+ * @param {object} values - cron, timezone, dayStartHour and previewRuns.
+ * @param {object} [sources] - Where each value came from, named in error messages.
+ * @returns {{ cron: string, timezone: string, dayStartHour: number, previewRuns: number }}
+ * @throws {Error} When a value is invalid.
+ */
+function parseScheduleConfig(values, sources = {}) {
+  const from = (field) => (sources[field] ? ` (from ${sources[field]})` : '');
+
+  const expression = typeof values.cron === 'string' ? values.cron.trim() : values.cron;
+  if (typeof expression !== 'string' || !cron.validate(expression)) {
+    throw new Error(`Invalid cron expression "${values.cron}"${from('cron')}.`);
+  }
+  if (!isValidTimezone(values.timezone)) {
+    throw new Error(`Unknown timezone "${values.timezone}"${from('timezone')}; use an IANA name such as "Africa/Lagos".`);
+  }
+  const dayStartHour = readInteger(values.dayStartHour);
+  if (!Number.isInteger(dayStartHour) || dayStartHour < 0 || dayStartHour > 23) {
+    throw new Error(`dayStartHour must be a whole hour from 0 to 23, got "${values.dayStartHour}"${from('dayStartHour')}.`);
+  }
+  const previewRuns = readInteger(values.previewRuns);
+  if (!Number.isInteger(previewRuns) || previewRuns < 0 || previewRuns > MAX_PREVIEW_RUNS) {
+    throw new Error(`previewRuns must be a whole number from 0 to ${MAX_PREVIEW_RUNS}, got "${values.previewRuns}"${from('previewRuns')}.`);
+  }
+  return { cron: expression, timezone: values.timezone, dayStartHour, previewRuns };
+}
+
+/**
+ * Resolves the schedule from the environment, the config document and the defaults.
+ * @param {object|null} configDoc - The roiConfig/schedule document, if any.
+ * @param {object} [env] - Environment variables (defaults to process.env).
+ * @returns {{ config: object, sources: object }} `sources` names where each setting came from.
+ * @throws {Error} When a setting is invalid.
+ */
+function resolveScheduleConfig(configDoc, env = process.env) {
+  const values = {};
+  const sources = {};
+  for (const [field, envName] of Object.entries(ENV_NAMES)) {
+    if (env[envName] !== undefined && env[envName] !== '') {
+      values[field] = env[envName];
+      sources[field] = envName;
+    } else if (configDoc && configDoc[field] !== undefined && configDoc[field] !== null) {
+      values[field] = configDoc[field];
+      sources[field] = `${SCHEDULE_CONFIG_COLLECTION}/${SCHEDULE_CONFIG_DOC}`;
+    } else {
+      values[field] = DEFAULT_SCHEDULE[field];
+      sources[field] = 'default';
+    }
+  }
+  return { config: parseScheduleConfig(values, sources), sources };
+}
+
+/**
+ * Reads the config document and resolves the schedule (see resolveScheduleConfig()).
+ * @param {object} repository - Storage backend (see lib/repositories).
+ */
+async function loadScheduleConfig(repository, env = process.env) {
+  const configDoc = await repository.getDocument(SCHEDULE_CONFIG_COLLECTION, SCHEDULE_CONFIG_DOC);
+  return resolveScheduleConfig(configDoc, env);
+}
+
+/**
+ * The next `count` times the schedule fires after `from`.
+ * node-cron's own next-run lookup can jump ahead by years when the weekday field does not match,
+ * so this walks the calendar in the schedule's timezone and checks each candidate with node-cron's matcher.
+ * The parsed fields and the matcher are node-cron internals (task.timeMatcher), which is why
+ * package.json pins node-cron to an exact version; check this function before upgrading it.
+ * Looks at most four years ahead (far enough for 29 February); fewer runs are returned past that.
+ * @returns {Date[]}
+ */
+function nextRunTimes(config, count = config.previewRuns, from = new Date()) {
+  // An unstarted task is only used for its parsed fields and matcher; destroying it removes it
+  // from node-cron's registry.
+  const task = cron.createTask(config.cron, () => {}, { timezone: config.timezone });
+  try {
+    const matcher = task.timeMatcher;
+    const [seconds, minutes, hours, daysOfMonth, months, weekdays] = matcher.expressions.map((values) => [...values].sort((x, y) => x - y));
+    const pad = (value) => String(value).padStart(2, '0');
+    const runs = [];
+    // Calendar dates are walked as plain dates; only the candidate times are placed in the timezone.
+    const fromLocal = dayjs(from).tz(config.timezone).format(LOCAL_TIME_FORMAT);
+    let date = dayjs(fromLocal.slice(0, PAYOUT_DATE_FORMAT.length));
+    for (let i = 0; i < MAX_LOOKAHEAD_DAYS && count > 0; i++, date = date.add(1, 'day')) {
+      if (!daysOfMonth.includes(date.date()) || !months.includes(date.month() + 1) || !weekdays.includes(date.day())) {
+        continue;
+      }
+      const day = date.format(PAYOUT_DATE_FORMAT);
+      for (const hour of hours) {
+        for (const minute of minutes) {
+          for (const second of seconds) {
+            const local = `${day} ${pad(hour)}:${pad(minute)}:${pad(second)}`;
+            if (local < fromLocal) {
+              continue; // Earlier on the first day; saves placing it in the timezone
+            }
+            const at = dayjs.tz(local, config.timezone).toDate();
+            // The matcher rejects local times skipped by a daylight saving change.
+            if (at > from && matcher.match(at)) {
+              runs.push(at);
+              if (runs.length === count) {
+                return runs;
+              }
+            }
+          }
+        }
+      }
+    }
+    return runs;
+  } finally {
+    task.destroy();
+  }
+}
+
+/** One line per upcoming run, in the schedule's timezone and in UTC. */
+function describeNextRuns(config, runs) {
+  return runs.map((run) => `${dayjs(run).tz(config.timezone).format('ddd YYYY-MM-DD HH:mm')} ${config.timezone} (${run.toISOString()})`);
+}
+
+/**
+ * A nextRunAt() for the status server (see lib/statusServer.js): the next run time is worked out
+ * once and again only after it has passed, not on every /healthz request.
+ * @param {object} config - A validated schedule.
+ * @param {() => Date} [now] - The clock.
+ * @returns {() => Date|null}
+ */
+function cachedNextRun(config, now = () => new Date()) {
+  let next; // Undefined until first worked out; null when the schedule never fires again
+  return () => {
+    const current = now();
+    if (next === undefined || (next && next <= current)) {
+      next = nextRunTimes(config, 1, current)[0] || null;
+    }
+    return next;
+  };
+}
+
+module.exports = {
+  SCHEDULE_CONFIG_COLLECTION,
+  SCHEDULE_CONFIG_DOC,
+  DEFAULT_SCHEDULE,
+  parseScheduleConfig,
+  resolveScheduleConfig,
+  loadScheduleConfig,
+  nextRunTimes,
+  cachedNextRun,
+  describeNextRuns,
+};
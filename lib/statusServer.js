@@ -0,0 +1,88 @@
+// lib/statusServer.js
+
+const http = require('http');
+const { toJsDate } = require('./roiRules');
+const { getRun, latestRun } = require('./runHistory');
+
+// --- Status server ---
+// A small read-only HTTP server for the long-running scheduler process, so the next scheduled
+// time and the last run's result can be checked without reading the logs.
+//
+//   GET /healthz      -> { status: 'ok', startedAt, uptimeSeconds, nextScheduledRun }
+//   GET /runs/latest  -> the most recent roiJobRuns document (?engine=roiTask to pick one engine)
+//   GET /runs/:id     -> one roiJobRuns document
+
+/** Converts stored values (Firestore Timestamps, Dates) to JSON-friendly ISO strings. */
+function toPlainJson(value) {
+  if (value && (value instanceof Date || typeof value.toDate === 'function')) {
+    return toJsDate(value).toISOString();
+  }
+  if (Array.isArray(value)) {
+    return value.map(toPlainJson);
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, inner]) => [key, toPlainJson(inner)]));
+  }
+  return value;
+}
+
+function sendJson(res, statusCode, body) {
+  res.writeHead(statusCode, { 'Content-Type': 'application/json; charset=utf-8' });
+  res.end(JSON.stringify(toPlainJson(body)));
+}
+
+/**
+ * Creates (but does not start) the status server.
+ * @param {object} params
+ * @param {object} params.repository - Storage backend holding roiJobRuns (see lib/repositories).
+ * @param {() => Date|null} [params.nextRunAt] - Returns the scheduler's next run time.
+ * @returns {http.Server} Call `.listen(port)` to start it.
+ */
+function createStatusServer({ repository, nextRunAt = () => null }) {
+  const startedAt = new Date();
+
+  async function route(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    if (req.method !== 'GET') {
+      return sendJson(res, 405, { error: 'Method not allowed' });
+    }
+
+    if (url.pathname === '/healthz') {
+      return sendJson(res, 200, {
+        status: 'ok',
+        startedAt,
+        uptimeSeconds: Math.round((Date.now() - startedAt.getTime()) / 1000),
+        nextScheduledRun: nextRunAt(),
+      });
+    }
+
+    if (url.pathname === '/runs/latest') {
+      const run = await latestRun(repository, { engine: url.searchParams.get('engine') });
+      return run ? sendJson(res, 200, run) : sendJson(res, 404, { error: 'No runs recorded yet' });
+    }
+
+    const match = url.pathname.match(/^\/runs\/([^/]+)$/);
+    if (match) {
+      const runId = decodeURIComponent(match[1]);
+      const run = await getRun(repository, runId);
+      return run ? sendJson(res, 200, run) : sendJson(res, 404, { error: `Run ${runId} not found` });
+    }
+
+    return sendJson(res, 404, { error: 'Not found' });
+  }
+
+  return http.createServer((req, res) => {
+    route(req, res).catch((error) => {
+      console.error(`Status server error on ${req.method} ${req.url}:`, error.message);
+      if (!res.headersSent) {
+        sendJson(res, 500, { error: 'Internal error' });
+      } else {
+        res.end();
+      }
+    });
+  });
+}
+
+module.exports = {
+  createStatusServer,
+};
@@ -0,0 +1,78 @@
+// test/batching.test.js
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { paginate, commitInChunks, mapWithConcurrency } = require('../lib/batching');
+const { createMemoryRepository } = require('../lib/repositories/memoryRepository');
+
+describe('paginate', () => {
+  it('reads every matching document once, in pages', async () => {
+    const docs = {};
+    for (let i = 0; i < 7; i++) {
+      docs[`doc-${i}`] = { active: i !== 3 };
+    }
+    const repository = createMemoryRepository({ items: docs });
+
+    const pages = [];
+    for await (const page of paginate(repository, 'items', { where: [['active', '==', true]], pageSize: 2 })) {
+      pages.push(page.map((doc) => doc.id));
+    }
+
+    assert.deepEqual(pages, [['doc-0', 'doc-1'], ['doc-2', 'doc-4'], ['doc-5', 'doc-6']]);
+  });
+
+  it('resumes after a cursor', async () => {
+    const repository = createMemoryRepository({ items: { a: {}, b: {}, c: {} } });
+
+    const ids = [];
+    for await (const page of paginate(repository, 'items', { pageSize: 10, startAfter: 'a' })) {
+      ids.push(...page.map((doc) => doc.id));
+    }
+
+    assert.deepEqual(ids, ['b', 'c']);
+  });
+});
+
+describe('commitInChunks', () => {
+  it('splits writes into batches under the Firestore limit', async () => {
+    const docs = {};
+    const writes = [];
+    for (let i = 0; i < 1200; i++) {
+      docs[`doc-${i}`] = { value: 0 };
+      writes.push({ type: 'update', collection: 'items', id: `doc-${i}`, data: { value: 1 } });
+    }
+    const repository = createMemoryRepository({ items: docs });
+
+    assert.equal(await commitInChunks(repository, writes), 3);
+    assert.ok(Object.values(repository.dump('items')).every((doc) => doc.value === 1));
+  });
+});
+
+describe('mapWithConcurrency', () => {
+  it('keeps at most `limit` calls in flight and preserves order', async () => {
+    let inFlight = 0;
+    let maxInFlight = 0;
+    const results = await mapWithConcurrency([1, 2, 3, 4, 5, 6], 2, async (value) => {
+      inFlight++;
+      maxInFlight = Math.max(maxInFlight, inFlight);
+      await new Promise((resolve) => setImmediate(resolve));
+      inFlight--;
+      return value * 10;
+    });
+
+    assert.deepEqual(results, [10, 20, 30, 40, 50, 60]);
+    assert.equal(maxInFlight, 2);
+  });
+
+  it('rethrows the first failure', async () => {
+    await assert.rejects(
+      mapWithConcurrency([1, 2, 3], 2, async (value) => {
+        if (value === 2) {
+          throw new Error('boom');
+        }
+        return value;
+      }),
+      /boom/
+    );
+  });
+});
@@ -0,0 +1,145 @@
+// test/dailyRoiIncreaseEngine.test.js
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { runDailyROIIncrease } = require('../lib/engines/dailyRoiIncrease');
+const { createMemoryRepository } = require('../lib/repositories/memoryRepository');
+const { LOCK_LOST, lockLostError } = require('../lib/jobLock');
+const { silenceConsole } = require('./helpers');
+
+function activeUser(overrides = {}) {
+  return {
+    earningStatus: 'active',
+    initialInvestmentAmount: 500,
+    investmentPlanId: 'basic',
+    currentROI: 0,
+    roiIncreaseDayCount: 0,
+    lastROIUpdateDate: new Date('2024-05-09T02:00:00'),
+    ...overrides,
+  };
+}
+
+describe('runDailyROIIncrease', () => {
+  beforeEach(silenceConsole);
+  afterEach(() => mock.restoreAll());
+
+  it('credits one day to each eligible user', async () => {
+    const repository = createMemoryRepository({
+      investmentPlans: { basic: { dailyROI: 4 } },
+      users: { alice: activeUser(), bob: activeUser({ initialInvestmentAmount: 0 }) },
+    });
+
+    const report = (await runDailyROIIncrease(repository, { asOf: '2024-05-10' })).toJSON();
+
+    const { alice, bob } = repository.dump('users');
+    assert.equal(alice.roiIncreaseDayCount, 1);
+    assert.equal(alice.currentROI, 4);
+    assert.equal(alice.currentROIValue, 20);
+    assert.equal(alice.roiIncreaseLogs.length, 1);
+    assert.equal(bob.roiIncreaseDayCount, 0);
+    assert.equal(report.totals.payouts, 1);
+    assert.equal(report.totals.skipped, 1);
+  });
+
+  it('skips users on a plan with an ambiguous dailyROI', async () => {
+    const repository = createMemoryRepository({
+      investmentPlans: { basic: { dailyROI: 0.04 }, explicit: { dailyROI: 0.04, rateFormat: 'fraction' } },
+      users: { alice: activeUser(), bob: activeUser({ investmentPlanId: 'explicit' }) },
+    });
+
+    const report = (await runDailyROIIncrease(repository, { asOf: '2024-05-10' })).toJSON();
+
+    const { alice, bob } = repository.dump('users');
+    assert.equal(alice.roiIncreaseDayCount, 0);
+    assert.match(report.users.find((user) => user.userId === 'alice').investments[0].skips[0].reason, /dailyROI 0.04 is ambiguous/);
+    assert.equal(bob.currentROI, 4);
+    assert.equal(bob.currentROIValue, 20);
+    assert.equal(bob.roiIncreaseLogs[0].amountMinor, 2000);
+  });
+
+  it('completes the cycle on day 7', async () => {
+    const repository = createMemoryRepository({
+      investmentPlans: { basic: { dailyROI: 4 } },
+      users: { alice: activeUser({ roiIncreaseDayCount: 6, currentROI: 24 }) },
+    });
+
+    await runDailyROIIncrease(repository, { asOf: '2024-05-10' });
+
+    const { alice } = repository.dump('users');
+    assert.equal(alice.earningStatus, 'completed');
+    assert.equal(alice.currentROI, 28);
+  });
+
+  it('writes nothing in dry-run mode', async () => {
+    const repository = createMemoryRepository({
+      investmentPlans: { basic: { dailyROI: 4 } },
+      users: { alice: activeUser() },
+    });
+
+    const report = (await runDailyROIIncrease(repository, { asOf: '2024-05-10', dryRun: true })).toJSON();
+
+    assert.equal(report.totals.payouts, 1);
+    assert.equal(repository.dump('users').alice.roiIncreaseDayCount, 0);
+  });
+
+  it('handles more active users than fit in one Firestore batch', async () => {
+    const users = {};
+    for (let i = 0; i < 1100; i++) {
+      users[`user-${String(i).padStart(4, '0')}`] = activeUser();
+    }
+    const repository = createMemoryRepository({ investmentPlans: { basic: { dailyROI: 4 } }, users });
+
+    const report = (await runDailyROIIncrease(repository, { asOf: '2024-05-10', pageSize: 500 })).toJSON();
+
+    assert.equal(report.totals.payouts, 1100);
+    assert.ok(Object.values(repository.dump('users')).every((user) => user.roiIncreaseDayCount === 1));
+    assert.equal(repository.dump('roiJobCheckpoints')['dailyRoiIncrease_2024-05-10'].status, 'completed');
+  });
+
+  it('resumes an interrupted run after the last committed page', async () => {
+    const repository = createMemoryRepository({
+      investmentPlans: { basic: { dailyROI: 4 } },
+      users: { alice: activeUser(), bob: activeUser(), carol: activeUser() },
+      roiJobCheckpoints: {
+        'dailyRoiIncrease_2024-05-10': { status: 'running', lastDocId: 'bob' },
+      },
+    });
+
+    await runDailyROIIncrease(repository, { asOf: '2024-05-10' });
+
+    const { alice, bob, carol } = repository.dump('users');
+    assert.equal(alice.roiIncreaseDayCount, 0);
+    assert.equal(bob.roiIncreaseDayCount, 0);
+    assert.equal(carol.roiIncreaseDayCount, 1);
+  });
+
+  it('stops after the last committed page once the job lock is lost', async () => {
+    const repository = createMemoryRepository({
+      investmentPlans: { basic: { dailyROI: 4 } },
+      users: { alice: activeUser(), bob: activeUser(), carol: activeUser() },
+    });
+    const lease = new AbortController();
+    const commitWrites = repository.commitWrites;
+    repository.commitWrites = async (writes) => {
+      await commitWrites(writes);
+      lease.abort(lockLostError('roiPayouts')); // Lost right after the first page
+    };
+
+    const report = (await runDailyROIIncrease(repository, { asOf: '2024-05-10', pageSize: 1, signal: lease.signal })).toJSON();
+
+    const { alice, bob, carol } = repository.dump('users');
+    assert.deepEqual([alice, bob, carol].map((user) => user.roiIncreaseDayCount), [1, 0, 0]);
+    assert.equal(repository.dump('roiJobCheckpoints')['dailyRoiIncrease_2024-05-10'].lastDocId, 'alice');
+    assert.equal(report.status, 'aborted');
+    assert.equal(report.errorCode, LOCK_LOST);
+  });
+
+  it('stops when there are no plans', async () => {
+    const repository = createMemoryRepository({ users: { alice: activeUser() } });
+
+    const report = (await runDailyROIIncrease(repository, { asOf: '2024-05-10' })).toJSON();
+
+    assert.equal(report.totals.users, 0);
+    assert.equal(repository.dump('users').alice.roiIncreaseDayCount, 0);
+  });
+});
@@ -0,0 +1,34 @@
+// test/helpers.js
+
+const { mock } = require('node:test');
+
+/** Silences the engines' console output for the duration of a test. */
+function silenceConsole() {
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'warn', () => {});
+  mock.method(console, 'error', () => {});
+}
+
+/** A minimal active INVESTMENT document; `overrides.activePlan` is merged into the plan. */
+function activeInvestment(overrides = {}) {
+  const { activePlan = {}, ...rest } = overrides;
+  return {
+    userId: 'user-1',
+    hasActivePlan: true,
+    activePlan: {
+      planName: 'Starter',
+      amount: 1000,
+      roiPercent: 0.02,
+      daysCompleted: 0,
+      isActive: true,
+      status: 'active',
+      ...activePlan,
+    },
+    ...rest,
+  };
+}
+
+module.exports = {
+  silenceConsole,
+  activeInvestment,
+};
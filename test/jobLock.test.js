@@ -0,0 +1,117 @@
+// test/jobLock.test.js
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  LOCK_COLLECTION,
+  DEFAULT_LOCK_NAME,
+  acquireLock,
+  renewLock,
+  releaseLock,
+  inspectLock,
+  withJobLock,
+  LOCK_LOST,
+} = require('../lib/jobLock');
+const { createMemoryRepository } = require('../lib/repositories/memoryRepository');
+const { silenceConsole } = require('./helpers');
+
+describe('job lock', () => {
+  beforeEach(silenceConsole);
+  afterEach(() => mock.restoreAll());
+
+  it('lets only one owner hold an unexpired lease', async () => {
+    const repository = createMemoryRepository();
+
+    assert.deepEqual(await acquireLock(repository, { ownerId: 'a' }), { acquired: true });
+    const second = await acquireLock(repository, { ownerId: 'b' });
+
+    assert.equal(second.acquired, false);
+    assert.equal(second.holder.ownerId, 'a');
+    assert.equal(await renewLock(repository, { ownerId: 'b' }), false);
+    assert.equal(await renewLock(repository, { ownerId: 'a' }), true);
+  });
+
+  it('lets the next run take over an expired lease', async () => {
+    const repository = createMemoryRepository({
+      [LOCK_COLLECTION]: { [DEFAULT_LOCK_NAME]: { ownerId: 'crashed', expiresAt: new Date(Date.now() - 1000) } },
+    });
+
+    assert.equal((await acquireLock(repository, { ownerId: 'next' })).acquired, true);
+
+    const lock = await inspectLock(repository);
+    assert.equal(lock.ownerId, 'next');
+    assert.equal(lock.previousOwnerId, 'crashed');
+    assert.equal(lock.tookOverExpiredLease, true);
+    assert.equal(await renewLock(repository, { ownerId: 'crashed' }), false);
+  });
+
+  it('releases only for the owner unless forced', async () => {
+    const repository = createMemoryRepository();
+    await acquireLock(repository, { ownerId: 'a' });
+
+    assert.equal((await releaseLock(repository, { ownerId: 'b' })).released, false);
+    assert.equal((await releaseLock(repository, { force: true, releasedBy: 'ops' })).released, true);
+
+    const lock = await inspectLock(repository);
+    assert.equal(lock.active, false);
+    assert.equal(lock.releasedBy, 'ops');
+    assert.equal((await acquireLock(repository, { ownerId: 'b' })).acquired, true);
+  });
+
+  it('runs the job while holding the lock and releases it afterwards', async () => {
+    const repository = createMemoryRepository();
+
+    const outcome = await withJobLock(repository, { ownerId: 'a', purpose: 'roiTask' }, async () => {
+      assert.equal((await inspectLock(repository)).active, true);
+      return 'done';
+    });
+
+    assert.deepEqual(outcome, { ran: true, result: 'done' });
+    assert.equal((await inspectLock(repository)).active, false);
+  });
+
+  it('releases the lock when the job throws', async () => {
+    const repository = createMemoryRepository();
+
+    await assert.rejects(withJobLock(repository, { ownerId: 'a' }, async () => {
+      throw new Error('boom');
+    }), /boom/);
+    assert.equal((await inspectLock(repository)).active, false);
+  });
+
+  it('does not run the job while another owner holds the lock', async () => {
+    const repository = createMemoryRepository();
+    await acquireLock(repository, { ownerId: 'scheduler', purpose: 'dailyRoiIncrease' });
+    const job = mock.fn(async () => {});
+
+    const outcome = await withJobLock(repository, { ownerId: 'manual' }, job);
+
+    assert.equal(outcome.ran, false);
+    assert.equal(outcome.holder.purpose, 'dailyRoiIncrease');
+    assert.equal(job.mock.callCount(), 0);
+    assert.equal((await inspectLock(repository)).ownerId, 'scheduler');
+  });
+
+  it('aborts the job\'s signal when the lease is lost', async () => {
+    const repository = createMemoryRepository();
+
+    const outcome = await withJobLock(repository, { ownerId: 'a', heartbeatMs: 5 }, async (signal) => {
+      assert.equal(signal.aborted, false);
+      await releaseLock(repository, { force: true, releasedBy: 'ops' });
+      await new Promise((resolve) => setTimeout(resolve, 30));
+      return signal.reason;
+    });
+
+    assert.equal(outcome.result.code, LOCK_LOST);
+  });
+
+  it('renews the lease on a heartbeat', async () => {
+    const repository = createMemoryRepository();
+
+    await withJobLock(repository, { ownerId: 'a', leaseMs: 60000, heartbeatMs: 5 }, async () => {
+      const before = (await inspectLock(repository)).heartbeatAt;
+      await new Promise((resolve) => setTimeout(resolve, 30));
+      assert.ok((await inspectLock(repository)).heartbeatAt > before);
+    });
+  });
+});
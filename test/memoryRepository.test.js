@@ -0,0 +1,69 @@
+// test/memoryRepository.test.js
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createMemoryRepository } = require('../lib/repositories/memoryRepository');
+const { increment, arrayUnion, deleteField } = require('../lib/repositories/fieldOps');
+
+describe('memory repository', () => {
+  it('filters and pages documents in ID order', async () => {
+    const repository = createMemoryRepository({
+      users: { c: { status: 'active' }, a: { status: 'active' }, b: { status: 'done' }, d: { status: 'active' } },
+    });
+
+    const firstPage = await repository.listDocuments('users', { where: [['status', '==', 'active']], limit: 2 });
+    const secondPage = await repository.listDocuments('users', { where: [['status', '==', 'active']], limit: 2, startAfter: 'c' });
+
+    assert.deepEqual(firstPage.map((doc) => doc.id), ['a', 'c']);
+    assert.deepEqual(secondPage.map((doc) => doc.id), ['d']);
+  });
+
+  it('orders by a field, leaving out documents without it', async () => {
+    const repository = createMemoryRepository({
+      runs: { a: { startedAt: new Date('2024-05-02') }, b: { startedAt: new Date('2024-05-03') }, c: {}, d: { startedAt: new Date('2024-05-01') } },
+    });
+
+    const latest = await repository.listDocuments('runs', { orderBy: ['startedAt', 'desc'], limit: 2 });
+
+    assert.deepEqual(latest.map((doc) => doc.id), ['b', 'a']);
+  });
+
+  it('applies dotted paths and field ops', async () => {
+    const repository = createMemoryRepository({ docs: { one: { plan: { days: 1 }, logs: [{ n: 1 }], wallet: 5, temp: true } } });
+
+    await repository.commitWrites([{
+      type: 'update',
+      collection: 'docs',
+      id: 'one',
+      data: { 'plan.days': 2, wallet: increment(2.5), logs: arrayUnion({ n: 1 }, { n: 2 }), temp: deleteField() },
+    }]);
+
+    assert.deepEqual(repository.dump('docs').one, { plan: { days: 2 }, logs: [{ n: 1 }, { n: 2 }], wallet: 7.5 });
+  });
+
+  it('applies nothing when any write in a batch fails', async () => {
+    const repository = createMemoryRepository({ docs: { one: { value: 1 } } });
+
+    await assert.rejects(
+      repository.commitWrites([
+        { type: 'update', collection: 'docs', id: 'one', data: { value: 2 } },
+        { type: 'update', collection: 'docs', id: 'missing', data: { value: 2 } },
+      ]),
+      { code: 'not-found' }
+    );
+    assert.equal(repository.dump('docs').one.value, 1);
+  });
+
+  it('rejects create() on an existing document inside a transaction', async () => {
+    const repository = createMemoryRepository({ docs: { one: { value: 1 } } });
+
+    await assert.rejects(
+      repository.runTransaction(async (transaction) => {
+        transaction.update('docs', 'one', { value: 2 });
+        transaction.create('docs', 'one', { value: 3 });
+      }),
+      { code: 'already-exists' }
+    );
+    assert.equal(repository.dump('docs').one.value, 1);
+  });
+});
@@ -0,0 +1,78 @@
+// test/money.test.js
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  roundMinor,
+  toMinorUnits,
+  fromMinorUnits,
+  walletCurrencyOf,
+  walletMismatch,
+  walletMinorOf,
+  majorByCurrency,
+  sumByCurrency,
+  sumMajor,
+  formatMoney,
+  formatTotals,
+  parseRate,
+} = require('../lib/money');
+
+describe('minor units', () => {
+  it('rounds with each mode', () => {
+    assert.equal(roundMinor(2.5), 3);
+    assert.equal(roundMinor(-2.5), -3);
+    assert.equal(roundMinor(2.5, 'half-even'), 2);
+    assert.equal(roundMinor(3.5, 'half-even'), 4);
+    assert.equal(roundMinor(2.99, 'down'), 2);
+    assert.equal(roundMinor(-2.99, 'down'), -2);
+  });
+
+  it('converts without floating-point drift', () => {
+    assert.equal(toMinorUnits(1.005), 101); // 1.005 * 100 is 100.49999999999999 in floating point
+    assert.equal(toMinorUnits('19.99'), 1999);
+    assert.equal(toMinorUnits(1234.5, 'JPY'), 1235);
+    assert.equal(toMinorUnits(1.2345, 'KWD'), 1235);
+    assert.equal(fromMinorUnits(1999), 19.99);
+    assert.equal(fromMinorUnits(1235, 'KWD'), 1.235);
+  });
+
+  it('adds amounts exactly and per currency', () => {
+    const amounts = [{ amount: 0.1 }, { amount: 0.2 }, { amountMinor: 5, currency: 'USD' }, { amount: 100, currency: 'JPY' }];
+    assert.deepEqual(sumByCurrency(amounts), { USD: 35, JPY: 100 });
+    assert.equal(sumMajor(amounts.slice(0, 2)), 0.3);
+    assert.equal(sumMajor(amounts), null); // Dollars and yen do not add up to one number
+    assert.equal(sumMajor([]), 0);
+    assert.deepEqual(majorByCurrency(amounts), { USD: 0.35, JPY: 100 });
+    assert.equal(formatTotals(sumByCurrency(amounts)), '$0.35 + ¥100');
+    assert.equal(formatMoney(-1234), '-$12.34');
+    assert.equal(formatMoney(1235, 'KWD'), '1.235 KWD');
+  });
+
+  it('only moves a wallet by amounts in its own currency', () => {
+    assert.equal(walletMinorOf({ amountMinor: 200, currency: 'JPY' }, 'JPY'), 200);
+    assert.equal(walletMinorOf({ amount: 0.1 }), 10);
+    assert.throws(() => walletMinorOf({ amountMinor: 200, currency: 'JPY' }), /Cannot count JPY against a USD wallet/);
+    assert.equal(walletCurrencyOf({ walletCurrency: 'KWD' }), 'KWD');
+    assert.equal(walletMismatch({}, 'USD'), null);
+    assert.equal(walletMismatch({ walletCurrency: 'NGN' }, 'USD'), 'USD payouts cannot be credited to a NGN wallet');
+  });
+});
+
+describe('parseRate', () => {
+  const percent = { format: 'percent', explicit: false, field: 'dailyROI' };
+  const fraction = { format: 'fraction', explicit: false, field: 'roiPercent' };
+
+  it('parses both formats to a fraction', () => {
+    assert.deepEqual(parseRate(4, percent), { ok: true, fraction: 0.04 });
+    assert.deepEqual(parseRate('0.02', fraction), { ok: true, fraction: 0.02 });
+    assert.deepEqual(parseRate(0.5, { ...percent, explicit: true }), { ok: true, fraction: 0.005 });
+  });
+
+  it('rejects rates that are missing, not positive, ambiguous or too high', () => {
+    assert.equal(parseRate(undefined, fraction).reason, 'roiPercent "undefined" is not a number');
+    assert.equal(parseRate(0, fraction).reason, 'roiPercent 0 must be above zero');
+    assert.match(parseRate(0.5, percent).reason, /ambiguous \(0\.5% or 50% a day\)/);
+    assert.match(parseRate(2, fraction).reason, /would pay 200% a day as a fraction/);
+    assert.match(parseRate(30, { ...percent, explicit: true }).reason, /\(30% a day\) is above the 25% daily limit/);
+  });
+});
@@ -0,0 +1,115 @@
+// test/notifier.test.js
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { notifierConfigFromEnv, createNotifier, runAlerts } = require('../lib/notifier');
+const { createRunReport } = require('../lib/runReport');
+const { silenceConsole } = require('./helpers');
+
+function finishedReport(build, error = null) {
+  const report = createRunReport({ engine: 'roiTask', asOf: '2024-05-01' });
+  build(report);
+  report.finish({ error });
+  return report;
+}
+
+describe('notifierConfigFromEnv', () => {
+  it('picks the Slack format for Slack webhooks', () => {
+    assert.equal(notifierConfigFromEnv({ ALERT_WEBHOOK_URL: 'https://hooks.slack.com/services/x' }).format, 'slack');
+    assert.equal(notifierConfigFromEnv({ ALERT_WEBHOOK_URL: 'https://ops.example.com/hook' }).format, 'json');
+    assert.equal(notifierConfigFromEnv({}).url, null);
+  });
+
+  it('rejects malformed thresholds', () => {
+    assert.throws(() => notifierConfigFromEnv({ ALERT_SKIP_RATIO_THRESHOLD: '2' }), /between 0 and 1/);
+  });
+});
+
+describe('runAlerts', () => {
+  it('sends only a summary for a healthy run', () => {
+    const report = finishedReport((r) => {
+      r.addPayout('u1', 'inv-1', { date: '2024-05-01', day: 7, amount: 20 });
+      r.addStatusChange('u1', 'inv-1', { from: 'active', to: 'completed' });
+    });
+
+    const alerts = runAlerts(report.toJSON());
+
+    assert.deepEqual(alerts.map((alert) => alert.type), ['summary']);
+    assert.match(alerts[0].text, /paid \$20\.00 in 1 payouts\. 1 plans completed/);
+  });
+
+  it('flags fatal errors, aborted runs, missing plans and high skip or failure ratios', () => {
+    const noPlans = finishedReport(() => {}, Object.assign(new Error('No investment plans found.'), { code: 'no-plans' }));
+    const crashed = finishedReport(() => {}, new Error('deadline exceeded'));
+    const partial = finishedReport((r) => {
+      r.addPayout('u1', 'inv-1', { date: '2024-05-01', day: 1, amount: 20 });
+      r.addSkip('u2', 'inv-2', 'plan not active');
+      r.addSkip('u3', 'inv-3', 'plan not active');
+      r.addFailure('u4', 'inv-4', 'aborted');
+    });
+
+    assert.deepEqual(runAlerts(noPlans.toJSON()).map((alert) => alert.type), ['noPlans', 'summary']);
+    assert.deepEqual(runAlerts(crashed.toJSON()).map((alert) => alert.type), ['fatal', 'summary']);
+    const aborted = createRunReport({ engine: 'roiTask', asOf: '2024-05-01' });
+    aborted.finish({ error: new Error('Lost lock "roiPayouts"'), aborted: true });
+    assert.deepEqual(runAlerts(aborted.toJSON()).map((alert) => alert.type), ['aborted', 'summary']);
+    assert.deepEqual(
+      runAlerts(partial.toJSON(), { skipRatioThreshold: 0.4, failureRatioThreshold: 0.2 }).map((alert) => alert.type),
+      ['skipRatio', 'failureRatio', 'summary']
+    );
+  });
+});
+
+describe('createNotifier', () => {
+  beforeEach(silenceConsole);
+  afterEach(() => mock.restoreAll());
+
+  it('does nothing without a webhook URL', async () => {
+    const fetch = mock.fn();
+    const notifier = createNotifier({}, { fetch });
+
+    assert.equal(await notifier.notifyFatal('startup', new Error('boom')), false);
+    assert.equal(fetch.mock.callCount(), 0);
+  });
+
+  it('posts Slack-formatted messages', async () => {
+    const fetch = mock.fn(async () => ({ ok: true, status: 200 }));
+    const notifier = createNotifier({ url: 'https://hooks.slack.com/x', format: 'slack' }, { fetch });
+
+    await notifier.notifyFatal('startup', new Error('boom'));
+
+    const [url, request] = fetch.mock.calls[0].arguments;
+    assert.equal(url, 'https://hooks.slack.com/x');
+    assert.deepEqual(JSON.parse(request.body), { text: '🚨 *ROI job failed: startup*\nboom' });
+  });
+
+  it('retries with exponential backoff, then gives up without throwing', async () => {
+    const delays = [];
+    const fetch = mock.fn(async () => { throw new Error('ECONNRESET'); });
+    const notifier = createNotifier({ url: 'https://ops.example.com/hook' }, {
+      fetch,
+      sleep: async (ms) => { delays.push(ms); },
+      retries: 3,
+      baseDelayMs: 100,
+    });
+
+    assert.equal(await notifier.send({ type: 'summary', severity: 'info', title: 't', text: 'x' }), false);
+    assert.equal(fetch.mock.callCount(), 4);
+    assert.deepEqual(delays, [100, 200, 400]);
+  });
+
+  it('retries server errors but not client errors', async () => {
+    const statuses = [503, 200];
+    const retrying = mock.fn(async () => {
+      const status = statuses.shift();
+      return { ok: status === 200, status };
+    });
+    const rejecting = mock.fn(async () => ({ ok: false, status: 400 }));
+    const sleep = async () => {};
+
+    assert.equal(await createNotifier({ url: 'https://a.example' }, { fetch: retrying, sleep }).send({ title: 't', text: 'x' }), true);
+    assert.equal(retrying.mock.callCount(), 2);
+    assert.equal(await createNotifier({ url: 'https://a.example' }, { fetch: rejecting, sleep }).send({ title: 't', text: 'x' }), false);
+    assert.equal(rejecting.mock.callCount(), 1);
+  });
+});
@@ -0,0 +1,64 @@
+// test/planSettings.test.js
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { resolvePlanSettings, rateForDay, cumulativeGrowth, isPayoutDay } = require('../lib/planSettings');
+
+const percent = { rateField: 'dailyROI', defaultRateFormat: 'percent' };
+
+describe('resolvePlanSettings', () => {
+  it('falls back to a 7-day flat simple plan', () => {
+    const { ok, settings } = resolvePlanSettings({}, 4, percent);
+    assert.equal(ok, true);
+    assert.equal(settings.cycleDays, 7);
+    assert.equal(settings.interestType, 'simple');
+    assert.equal(settings.currency, 'USD');
+    assert.equal(rateForDay(settings, 5), 0.04);
+    assert.equal(Number(cumulativeGrowth(settings, 7).toFixed(10)), 0.28);
+  });
+
+  it('rejects malformed settings', () => {
+    assert.equal(resolvePlanSettings({ durationDays: -1 }, 4, percent).ok, false);
+    assert.equal(resolvePlanSettings({ durationDays: 2.5 }, 4, percent).ok, false);
+    assert.equal(resolvePlanSettings({ interestType: 'weekly' }, 4, percent).ok, false);
+    assert.equal(resolvePlanSettings({ rateSchedule: 'fast' }, 4, percent).ok, false);
+    assert.equal(resolvePlanSettings({ rateSchedule: [{ fromDay: 3, toDay: 1, rate: 2 }] }, 4, percent).ok, false);
+    assert.deepEqual(
+      resolvePlanSettings({ rateSchedule: [{ fromDay: 1, toDay: 3, rate: 2 }, { fromDay: 3, rate: 3 }] }, 4, percent),
+      { ok: false, reason: 'rateSchedule tiers overlap' }
+    );
+  });
+
+  it('uses tier rates and the flat rate outside the tiers', () => {
+    const { settings } = resolvePlanSettings({ durationDays: 11, rateSchedule: [{ fromDay: 4, toDay: 10, rate: 3 }, { fromDay: 1, toDay: 3, rate: 2 }] }, 1, percent);
+    assert.deepEqual([1, 3, 4, 10, 11].map((day) => rateForDay(settings, day)), [0.02, 0.02, 0.03, 0.03, 0.01]);
+  });
+
+  it('checks every rate against the plan\'s rateFormat', () => {
+    assert.equal(resolvePlanSettings({ rateFormat: 'fraction' }, 0.04, percent).settings.flatRate, 0.04);
+    assert.match(resolvePlanSettings({}, 0.5, percent).reason, /dailyROI 0.5 is ambiguous/);
+    assert.equal(resolvePlanSettings({ rateFormat: 'percent' }, 0.5, percent).settings.flatRate, 0.005);
+    assert.match(resolvePlanSettings({ rateFormat: 'percent' }, 40, percent).reason, /above the 25% daily limit/);
+    assert.match(
+      resolvePlanSettings({ rateSchedule: [{ fromDay: 1, toDay: 3, rate: 2 }, { fromDay: 4, rate: 300 }] }, 4, percent).reason,
+      /^rateSchedule rate for day 4\+ 300/
+    );
+    // A schedule that covers the whole cycle does not need a flat rate
+    assert.equal(resolvePlanSettings({ durationDays: 3, rateSchedule: [{ fromDay: 1, rate: 2 }] }, undefined, percent).ok, true);
+  });
+
+  it('validates currency and rounding', () => {
+    assert.equal(resolvePlanSettings({ currency: 'JPY' }, 4, percent).settings.rounding, 'half-up');
+    assert.equal(resolvePlanSettings({ currency: 'USD', rounding: 'half-even' }, 4, percent).settings.rounding, 'half-even');
+    assert.equal(resolvePlanSettings({ currency: 'XYZ' }, 4, percent).reason, 'unsupported currency "XYZ"');
+    assert.equal(resolvePlanSettings({ rounding: 'up' }, 4, percent).reason, 'invalid rounding "up"');
+  });
+
+  it('treats weekends and listed holidays as non-payout days', () => {
+    const { settings } = resolvePlanSettings({ businessDaysOnly: true, holidays: ['2024-12-25'] }, 1, percent);
+    assert.equal(isPayoutDay(settings, '2024-12-24'), true);
+    assert.equal(isPayoutDay(settings, '2024-12-25'), false);
+    assert.equal(isPayoutDay(settings, '2024-12-28'), false); // Saturday
+    assert.equal(isPayoutDay(resolvePlanSettings({}, 1, percent).settings, '2024-12-28'), true);
+  });
+});
@@ -0,0 +1,184 @@
+// test/reconciliation.test.js
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { reconcileInvestment, runReconciliation, reconciliationToCsv } = require('../lib/reconciliation');
+const { runRoiTaskNow } = require('../lib/engines/roiTask');
+const { createMemoryRepository } = require('../lib/repositories/memoryRepository');
+const { PAYOUT_LEDGER_COLLECTION } = require('../lib/payoutLedger');
+const { silenceConsole, activeInvestment } = require('./helpers');
+
+const paidLog = (date, amount, ledgerId) => ({ date, amount, status: 'paid', ...(ledgerId ? { ledgerId } : {}) });
+const roiEntry = (investmentId, payoutDate, amount) => ({
+  id: `${investmentId}_${payoutDate}`,
+  data: { type: 'roi', investmentId, userId: 'user-1', payoutDate, amount },
+});
+
+describe('reconcileInvestment', () => {
+  it('finds duplicate dates, credits without logs, logs without credits and missing logs', () => {
+    const investment = {
+      id: 'inv-1',
+      data: activeInvestment({
+        activePlan: { daysCompleted: 5 },
+        payoutLogs: [
+          paidLog('2024-05-01', 20),
+          paidLog('2024-05-01', 20),
+          paidLog('2024-05-02', 20, 'inv-1_2024-05-02'),
+          paidLog('2024-05-03', 20, 'inv-1_2024-05-03'),
+        ],
+      }),
+    };
+
+    const result = reconcileInvestment(investment, [roiEntry('inv-1', '2024-05-02', 20), roiEntry('inv-1', '2024-05-04', 20)]);
+
+    assert.deepEqual(result.issues.map((issue) => [issue.type, issue.date || null]), [
+      ['duplicate_date', '2024-05-01'],
+      ['credit_without_log', '2024-05-04'],
+      ['log_without_credit', '2024-05-03'],
+      ['missing_logs', null],
+    ]);
+    assert.equal(result.expectedRoi, 80); // one credit per day: May 1-4
+  });
+});
+
+describe('runReconciliation', () => {
+  beforeEach(silenceConsole);
+  afterEach(() => mock.restoreAll());
+
+  it('reports nothing after clean payout runs', async () => {
+    const repository = createMemoryRepository({
+      INVESTMENT: { 'inv-1': activeInvestment() },
+      USERS: { 'user-1': { walletBalance: 0 } },
+    });
+    await runRoiTaskNow(repository, { asOf: '2024-05-01' });
+    await runRoiTaskNow(repository, { asOf: '2024-05-02' });
+
+    const report = await runReconciliation(repository);
+
+    assert.equal(report.totals.usersChecked, 1);
+    assert.deepEqual(report.users, []);
+  });
+
+  it('repairs drift with a tagged ledger entry, after which the user reconciles cleanly', async () => {
+    const repository = createMemoryRepository({
+      INVESTMENT: {
+        'inv-1': activeInvestment({
+          activePlan: { daysCompleted: 2 },
+          payoutLogs: [paidLog('2024-05-01', 20, 'inv-1_2024-05-01')],
+        }),
+      },
+      USERS: { 'user-1': { walletBalance: 55 } },
+      [PAYOUT_LEDGER_COLLECTION]: {
+        'inv-1_2024-05-01': roiEntry('inv-1', '2024-05-01', 20).data,
+        'inv-1_2024-05-02': roiEntry('inv-1', '2024-05-02', 20).data,
+      },
+    });
+
+    const dryReport = await runReconciliation(repository);
+    assert.equal(dryReport.users[0].drift, 15); // 55 in the wallet, 40 expected
+    assert.equal(repository.dump('USERS')['user-1'].walletBalance, 55); // nothing written without --repair
+
+    // The logs do not explain the extra 15 (a deposit, perhaps), so a plain repair only restores the log.
+    const logReport = await runReconciliation(repository, { repair: true });
+    assert.equal(logReport.users[0].repair.unrepairedDrift, 15);
+    assert.equal(repository.dump('USERS')['user-1'].walletBalance, 55);
+    const restoredLog = repository.dump('INVESTMENT')['inv-1'].payoutLogs[1];
+    assert.equal(restoredLog.date, '2024-05-02');
+    assert.equal(restoredLog.reconciliationRunId, logReport.runId);
+
+    const report = await runReconciliation(repository, { repair: true, repairUnexplained: true });
+
+    assert.equal(report.totals.usersRepaired, 1);
+    assert.equal(repository.dump('USERS')['user-1'].walletBalance, 40);
+    const correction = repository.dump(PAYOUT_LEDGER_COLLECTION)[`reconciliation_${report.runId}_user-1`];
+    assert.equal(correction.amount, -15);
+    assert.equal(correction.unexplainedAmount, 15);
+    assert.equal(correction.reconciliationRunId, report.runId);
+
+    assert.deepEqual((await runReconciliation(repository)).users, []);
+  });
+
+  it('takes back the extra credit of a duplicate date once, and leaves the rest of the drift alone', async () => {
+    const repository = createMemoryRepository({
+      INVESTMENT: { 'inv-1': activeInvestment({ activePlan: { daysCompleted: 1 }, payoutLogs: [paidLog('2024-05-01', 20), paidLog('2024-05-01', 20)] }) },
+      USERS: { 'user-1': { walletBalance: 140 } }, // 20 paid twice, plus a deposit of 100
+    });
+
+    const report = await runReconciliation(repository, { repair: true });
+
+    const [user] = report.users;
+    assert.equal(user.drift, 120);
+    assert.equal(user.repair.unrepairedDrift, 100);
+    assert.equal(repository.dump('USERS')['user-1'].walletBalance, 120);
+    const correction = repository.dump(PAYOUT_LEDGER_COLLECTION)[`reconciliation_${report.runId}_user-1`];
+    assert.deepEqual(correction.duplicatesTakenBack, { 'inv-1_2024-05-01': 2000 });
+    assert.match(reconciliationToCsv(report), /duplicate_date,2024-05-01,,2,20,true/);
+
+    const again = await runReconciliation(repository, { repair: true });
+    assert.deepEqual(again.users[0].issues.map((issue) => issue.type), ['wallet_mismatch']);
+    assert.equal(again.users[0].repair.repaired, false);
+    assert.equal(repository.dump('USERS')['user-1'].walletBalance, 120);
+  });
+
+  it('never corrects a wallet below the expected balance without repairUnexplained', async () => {
+    const repository = createMemoryRepository({
+      INVESTMENT: { 'inv-1': activeInvestment({ activePlan: { daysCompleted: 1 }, payoutLogs: [paidLog('2024-05-01', 20), paidLog('2024-05-01', 20)] }) },
+      USERS: { 'user-1': { walletBalance: 5 } }, // the user withdrew
+    });
+
+    const [user] = (await runReconciliation(repository, { repair: true })).users;
+
+    assert.equal(user.repair.repaired, false);
+    assert.match(user.repair.reason, /--repair-unexplained/);
+    assert.equal(repository.dump('USERS')['user-1'].walletBalance, 5);
+    await assert.rejects(runReconciliation(repository, { repairUnexplained: true }), /only applies to a repair run/);
+  });
+
+  it('compares payouts in any currency with the wallet in major units', async () => {
+    const repository = createMemoryRepository({
+      INVESTMENT: {
+        'inv-1': activeInvestment({ activePlan: { amount: 10000, currency: 'JPY' } }),
+        'inv-2': activeInvestment({ userId: 'user-2', activePlan: { amount: 10000, currency: 'KWD' } }),
+      },
+      USERS: { 'user-1': { walletBalance: 0, walletCurrency: 'JPY' }, 'user-2': { walletBalance: 0, walletCurrency: 'KWD' } },
+    });
+    await runRoiTaskNow(repository, { asOf: '2024-05-01' });
+    assert.equal(repository.dump('USERS')['user-1'].walletBalance, 200);
+
+    assert.deepEqual((await runReconciliation(repository)).users, []);
+
+    await repository.commitWrites([{ type: 'update', collection: 'USERS', id: 'user-1', data: { walletBalance: 210 } }]);
+    await repository.commitWrites([{ type: 'update', collection: 'USERS', id: 'user-2', data: { walletBalance: 200.5 } }]);
+    const report = await runReconciliation(repository);
+    assert.equal(report.users[0].drift, 10);
+    assert.deepEqual(report.totals.driftByCurrency, { JPY: 10, KWD: 0.5 });
+    assert.equal(report.totals.drift, null);
+  });
+
+  it('reports payouts in another currency than the wallet without counting them', async () => {
+    const repository = createMemoryRepository({
+      INVESTMENT: { 'inv-1': activeInvestment({ payoutLogs: [{ ...paidLog('2024-05-01', 200), currency: 'JPY' }] }) },
+      USERS: { 'user-1': { walletBalance: 200 } },
+    });
+
+    const [user] = (await runReconciliation(repository)).users;
+
+    assert.equal(user.walletCurrency, 'USD');
+    assert.deepEqual(user.issues.map((issue) => issue.type), ['currency_mismatch', 'wallet_mismatch']);
+    assert.equal(user.issues[0].currency, 'JPY');
+    assert.equal(user.expectedBalance, 0);
+  });
+
+  it('writes one CSV row per issue', async () => {
+    const repository = createMemoryRepository({
+      INVESTMENT: { 'inv-1': activeInvestment({ payoutLogs: [paidLog('2024-05-01', 20)] }) },
+      USERS: { 'user-1': { walletBalance: 0 } },
+    });
+
+    const csv = reconciliationToCsv(await runReconciliation(repository, { userId: 'user-1' })).split('\n');
+
+    assert.equal(csv[0], 'runId,userId,investmentId,issue,date,expected,actual,amount,repaired');
+    assert.match(csv[1], /^reconcile_\S+,user-1,,wallet_mismatch,,20,0,-20,$/);
+    assert.equal(csv.length, 2);
+  });
+});
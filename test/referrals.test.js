@@ -0,0 +1,122 @@
+// test/referrals.test.js
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseReferralLevels, resolveReferrers, planCommissions } = require('../lib/referrals');
+const { runRoiTaskNow } = require('../lib/engines/roiTask');
+const { runReconciliation } = require('../lib/reconciliation');
+const { createMemoryRepository } = require('../lib/repositories/memoryRepository');
+const { PAYOUT_LEDGER_COLLECTION } = require('../lib/payoutLedger');
+const { silenceConsole, activeInvestment } = require('./helpers');
+
+function usersLookup(users) {
+  return async (userId) => users[userId] || null;
+}
+
+describe('parseReferralLevels', () => {
+  it('reads comma-separated percentages', () => {
+    assert.deepEqual(parseReferralLevels('5, 2,1'), [5, 2, 1]);
+    assert.deepEqual(parseReferralLevels(undefined), []);
+    assert.deepEqual(parseReferralLevels([10]), [10]);
+  });
+
+  it('rejects malformed or excessive levels', () => {
+    assert.throws(() => parseReferralLevels('5,abc'), /percentages above 0/);
+    assert.throws(() => parseReferralLevels('0'), /percentages above 0/);
+    assert.throws(() => parseReferralLevels('60,50'), /more than 100%/);
+    assert.throws(() => parseReferralLevels(Array(11).fill(1)), /At most 10/);
+  });
+});
+
+describe('resolveReferrers', () => {
+  it('follows the chain up to the configured depth', async () => {
+    const users = { a: { referredBy: 'b' }, b: { referredBy: 'c' }, c: { referredBy: 'd' }, d: {} };
+    assert.deepEqual(await resolveReferrers(usersLookup(users), 'a', 2), {
+      referrers: [{ level: 1, userId: 'b' }, { level: 2, userId: 'c' }],
+      stoppedBecause: null,
+    });
+  });
+
+  it('stops at self-referral, cycles and missing referrers', async () => {
+    assert.deepEqual(await resolveReferrers(usersLookup({ a: { referredBy: 'a' } }), 'a', 3),
+      { referrers: [], stoppedBecause: 'user a referred themselves' });
+    assert.deepEqual(await resolveReferrers(usersLookup({ a: { referredBy: 'b' }, b: { referredBy: 'a' } }), 'a', 3),
+      { referrers: [{ level: 1, userId: 'b' }], stoppedBecause: 'referral cycle at user a' });
+    assert.deepEqual(await resolveReferrers(usersLookup({ a: { referredBy: 'ghost' } }), 'a', 3),
+      { referrers: [], stoppedBecause: 'referrer ghost of user a not found' });
+  });
+
+  it('rounds commissions down and drops empty ones', () => {
+    const commissions = planCommissions([{ level: 1, userId: 'b' }, { level: 2, userId: 'c' }], [5, 0.1], 333, 'USD');
+    assert.deepEqual(commissions, [{ level: 1, userId: 'b', percent: 5, amountMinor: 16, amount: 0.16, currency: 'USD' }]);
+  });
+});
+
+describe('referral commissions in runRoiTaskNow', () => {
+  beforeEach(silenceConsole);
+  afterEach(() => mock.restoreAll());
+
+  function seed() {
+    return createMemoryRepository({
+      INVESTMENT: { 'inv-1': activeInvestment() },
+      USERS: {
+        'user-1': { walletBalance: 0, referredBy: 'ref-1' },
+        'ref-1': { walletBalance: 0, referredBy: 'ref-2' },
+        'ref-2': { walletBalance: 0, referredBy: 'user-1' }, // cycle back to the payee
+      },
+    });
+  }
+
+  it('credits each level with a linked ledger entry, once', async () => {
+    const repository = seed();
+
+    const report = (await runRoiTaskNow(repository, { asOf: '2024-05-01', referralLevels: [10, 5, 1] })).toJSON();
+    await runRoiTaskNow(repository, { asOf: '2024-05-01', referralLevels: [10, 5, 1] });
+
+    const users = repository.dump('USERS');
+    assert.equal(users['user-1'].walletBalance, 20);
+    assert.equal(users['ref-1'].walletBalance, 2);
+    assert.equal(users['ref-2'].walletBalance, 1);
+    const ledger = repository.dump(PAYOUT_LEDGER_COLLECTION);
+    assert.deepEqual(ledger['inv-1_2024-05-01'].commissionLedgerIds, ['commission_inv-1_2024-05-01_L1', 'commission_inv-1_2024-05-01_L2']);
+    assert.equal(ledger['inv-1_2024-05-01'].commissionNote, 'referral cycle at user user-1');
+    assert.equal(ledger['commission_inv-1_2024-05-01_L2'].sourceLedgerId, 'inv-1_2024-05-01');
+    assert.equal(ledger['commission_inv-1_2024-05-01_L2'].amountMinor, 100);
+    assert.equal(report.totals.commissions, 2);
+    assert.equal(report.totals.commissionAmount, 3);
+
+    // Commissions are ledger movements, so the referrers' wallets reconcile.
+    const reconciliation = await runReconciliation(repository);
+    assert.equal(reconciliation.totals.usersWithIssues, 0);
+  });
+
+  it('leaves out frozen and KYC-blocked referrers', async () => {
+    const repository = createMemoryRepository({
+      INVESTMENT: { 'inv-1': activeInvestment() },
+      USERS: {
+        'user-1': { walletBalance: 0, referredBy: 'ref-1' },
+        'ref-1': { walletBalance: 0, referredBy: 'ref-2', frozen: true },
+        'ref-2': { walletBalance: 0, referredBy: 'ref-3', kycStatus: 'failed' },
+        'ref-3': { walletBalance: 0 },
+      },
+    });
+
+    await runRoiTaskNow(repository, { asOf: '2024-05-01', referralLevels: [10, 5, 1] });
+
+    const users = repository.dump('USERS');
+    assert.deepEqual([users['ref-1'].walletBalance, users['ref-2'].walletBalance, users['ref-3'].walletBalance], [0, 0, 0.2]);
+    const ledger = repository.dump(PAYOUT_LEDGER_COLLECTION);
+    assert.deepEqual(ledger['inv-1_2024-05-01'].commissionLedgerIds, ['commission_inv-1_2024-05-01_L3']);
+    assert.equal(ledger['inv-1_2024-05-01'].commissionNote,
+      'level 1 referrer ref-1 skipped: account is frozen; level 2 referrer ref-2 skipped: KYC status is "failed"');
+  });
+
+  it('writes nothing for commissions in dry-run mode', async () => {
+    const repository = seed();
+
+    const report = (await runRoiTaskNow(repository, { asOf: '2024-05-01', dryRun: true, referralLevels: [10] })).toJSON();
+
+    assert.equal(repository.dump('USERS')['ref-1'].walletBalance, 0);
+    assert.equal(report.totals.commissions, 1);
+  });
+});
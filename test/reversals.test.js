@@ -0,0 +1,192 @@
+// test/reversals.test.js
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { REVERSALS_COLLECTION, previewReversal, applyReversal } = require('../lib/reversals');
+const { runReconciliation } = require('../lib/reconciliation');
+const { runRoiTaskNow } = require('../lib/engines/roiTask');
+const { createMemoryRepository } = require('../lib/repositories/memoryRepository');
+const { PAYOUT_LEDGER_COLLECTION } = require('../lib/payoutLedger');
+const { silenceConsole, activeInvestment } = require('./helpers');
+
+async function paidForThreeDays() {
+  const repository = createMemoryRepository({
+    INVESTMENT: { 'inv-1': activeInvestment(), 'inv-2': activeInvestment({ activePlan: { amount: 500 } }) },
+    USERS: { 'user-1': { walletBalance: 0 } },
+  });
+  for (const asOf of ['2024-05-01', '2024-05-02', '2024-05-03']) {
+    await runRoiTaskNow(repository, { asOf });
+  }
+  return repository; // inv-1 pays 20 a day, inv-2 pays 10 a day
+}
+
+describe('payout reversals', () => {
+  beforeEach(silenceConsole);
+  afterEach(() => mock.restoreAll());
+
+  it('previews the effect without writing anything', async () => {
+    const repository = await paidForThreeDays();
+
+    const preview = await previewReversal(repository, { investmentId: 'inv-1', since: '2024-05-02' });
+
+    assert.deepEqual(preview.entries.map((entry) => entry.payoutDate), ['2024-05-02', '2024-05-03']);
+    assert.equal(preview.totalAmount, 40);
+    assert.deepEqual(preview.users[0], { userId: 'user-1', payouts: 2, commissions: 0, amount: 40, walletCurrency: 'USD', walletBalanceBefore: 90, walletBalanceAfter: 50 });
+    assert.equal(preview.investments[0].daysCompletedAfter, 1);
+    assert.equal(repository.dump('USERS')['user-1'].walletBalance, 90);
+  });
+
+  it('writes compensating entries and adjusts the wallet and plan days', async () => {
+    const repository = await paidForThreeDays();
+    const preview = await previewReversal(repository, { investmentId: 'inv-1', since: '2024-05-02' });
+
+    const result = await applyReversal(repository, preview, { actor: 'support@example.com', reason: 'wrong rate' });
+
+    assert.equal(result.reversed, 2);
+    assert.equal(repository.dump('USERS')['user-1'].walletBalance, 50);
+    const investment = repository.dump('INVESTMENT')['inv-1'];
+    assert.equal(investment.activePlan.daysCompleted, 1);
+    assert.deepEqual(investment.payoutLogs.map((log) => [log.date, log.status]), [
+      ['2024-05-01', 'paid'], ['2024-05-02', 'paid'], ['2024-05-03', 'paid'],
+      ['2024-05-02', 'reversed'], ['2024-05-03', 'reversed'],
+    ]);
+
+    const ledger = repository.dump(PAYOUT_LEDGER_COLLECTION);
+    assert.equal(ledger['inv-1_2024-05-02'].reversedBy, 'reversal_inv-1_2024-05-02'); // the original stays
+    assert.equal(ledger['reversal_inv-1_2024-05-02'].amount, -20);
+    assert.equal(ledger['reversal_inv-1_2024-05-02'].actor, 'support@example.com');
+    assert.equal(ledger['reversal_inv-1_2024-05-02'].reason, 'wrong rate');
+    assert.equal(repository.dump(REVERSALS_COLLECTION)[result.reversalId].totalAmount, 40);
+
+    // A reversed wallet still reconciles, and the same payouts cannot be reversed again.
+    assert.deepEqual((await runReconciliation(repository)).users, []);
+    assert.equal((await previewReversal(repository, { investmentId: 'inv-1', since: '2024-05-02' })).entries.length, 0);
+    assert.equal((await applyReversal(repository, preview, { actor: 'a', reason: 'again' })).reversed, 0);
+    assert.equal(repository.dump('USERS')['user-1'].walletBalance, 50);
+  });
+
+  it('reverses every investment of a user in a date range', async () => {
+    const repository = await paidForThreeDays();
+
+    const preview = await previewReversal(repository, { userId: 'user-1', since: '2024-05-03', until: '2024-05-03' });
+    await applyReversal(repository, preview, { actor: 'ops', reason: 'fraudulent deposit' });
+
+    assert.equal(repository.dump('USERS')['user-1'].walletBalance, 60);
+    assert.equal(repository.dump('INVESTMENT')['inv-2'].activePlan.daysCompleted, 2);
+  });
+
+  it('only takes the days of the current cycle off a restarted plan', async () => {
+    const repository = createMemoryRepository({
+      INVESTMENT: { 'inv-1': activeInvestment({ activePlan: { daysCompleted: 6, action: 'restart' } }) },
+      USERS: { 'user-1': { walletBalance: 0 } },
+    });
+    for (const asOf of ['2024-05-01', '2024-05-02']) {
+      await runRoiTaskNow(repository, { asOf }); // 2024-05-01 ends the cycle, 2024-05-02 starts the next
+    }
+
+    const preview = await previewReversal(repository, { investmentId: 'inv-1' });
+    assert.deepEqual(preview.investments[0], { investmentId: 'inv-1', days: 2, amount: 40, daysCompletedBefore: 1, daysCompletedAfter: 0 });
+    assert.match(preview.warnings.join('\n'), /has restarted since 1 of these days were paid/);
+    await applyReversal(repository, preview, { actor: 'ops', reason: 'wrong rate' });
+
+    assert.equal(repository.dump('INVESTMENT')['inv-1'].activePlan.daysCompleted, 0);
+    assert.equal(repository.dump('USERS')['user-1'].walletBalance, 0);
+  });
+
+  it('leaves the days of a completed plan as they are', async () => {
+    const repository = createMemoryRepository({
+      INVESTMENT: { 'inv-1': activeInvestment({ activePlan: { daysCompleted: 6 } }) },
+      USERS: { 'user-1': { walletBalance: 0 } },
+    });
+    await runRoiTaskNow(repository, { asOf: '2024-05-01' });
+
+    const preview = await previewReversal(repository, { investmentId: 'inv-1' });
+    assert.match(preview.warnings.join('\n'), /is completed; its status and daysCompleted are left as they are/);
+    await applyReversal(repository, preview, { actor: 'ops', reason: 'wrong rate' });
+
+    assert.equal(repository.dump('INVESTMENT')['inv-1'].activePlan.daysCompleted, 7);
+    assert.equal(repository.dump('USERS')['user-1'].walletBalance, 0);
+  });
+
+  it('reverses payouts in their own currency', async () => {
+    const repository = createMemoryRepository({
+      INVESTMENT: { 'inv-1': activeInvestment({ activePlan: { amount: 10000, currency: 'JPY' } }) },
+      USERS: { 'user-1': { walletBalance: 0, walletCurrency: 'JPY' } },
+    });
+    await runRoiTaskNow(repository, { asOf: '2024-05-01' });
+
+    const preview = await previewReversal(repository, { investmentId: 'inv-1' });
+    assert.equal(preview.users[0].walletBalanceAfter, 0);
+    assert.deepEqual(preview.totalByCurrency, { JPY: 200 });
+    await applyReversal(repository, preview, { actor: 'ops', reason: 'wrong rate' });
+
+    assert.equal(repository.dump('USERS')['user-1'].walletBalance, 0);
+    assert.equal(repository.dump(PAYOUT_LEDGER_COLLECTION)['reversal_inv-1_2024-05-01'].amountMinor, -200);
+    assert.deepEqual((await runReconciliation(repository)).users, []);
+  });
+
+  it('refuses to take a payout from a wallet in another currency', async () => {
+    const repository = createMemoryRepository({
+      INVESTMENT: { 'inv-1': activeInvestment() },
+      USERS: { 'user-1': { walletBalance: 0 } },
+    });
+    await runRoiTaskNow(repository, { asOf: '2024-05-01' });
+    await repository.commitWrites([{ type: 'update', collection: 'USERS', id: 'user-1', data: { walletCurrency: 'EUR' } }]);
+
+    const preview = await previewReversal(repository, { investmentId: 'inv-1' });
+    assert.equal(preview.users[0].walletBalanceAfter, null);
+    assert.match(preview.warnings.join('\n'), /refused/);
+
+    await assert.rejects(applyReversal(repository, preview, { actor: 'ops', reason: 'wrong rate' }), /USD against a EUR wallet/);
+    assert.equal(repository.dump('USERS')['user-1'].walletBalance, 20);
+  });
+
+  it('takes back the referral commissions paid with the reversed payouts', async () => {
+    const repository = createMemoryRepository({
+      INVESTMENT: { 'inv-1': activeInvestment() },
+      USERS: { 'user-1': { walletBalance: 0, referredBy: 'ref-1' }, 'ref-1': { walletBalance: 0, referredBy: 'ref-2' }, 'ref-2': { walletBalance: 0 } },
+    });
+    for (const asOf of ['2024-05-01', '2024-05-02']) {
+      await runRoiTaskNow(repository, { asOf, referralLevels: [10, 5] });
+    }
+
+    const preview = await previewReversal(repository, { investmentId: 'inv-1', since: '2024-05-02' });
+    assert.deepEqual(preview.commissions.map((commission) => [commission.ledgerId, commission.amount]), [
+      ['commission_inv-1_2024-05-02_L1', 2],
+      ['commission_inv-1_2024-05-02_L2', 1],
+    ]);
+    assert.deepEqual(preview.users.map((user) => [user.userId, user.walletBalanceAfter]), [['user-1', 20], ['ref-1', 2], ['ref-2', 1]]);
+
+    const result = await applyReversal(repository, preview, { actor: 'ops', reason: 'wrong rate' });
+
+    assert.equal(result.commissions, 2);
+    const users = repository.dump('USERS');
+    assert.deepEqual([users['user-1'].walletBalance, users['ref-1'].walletBalance, users['ref-2'].walletBalance], [20, 2, 1]);
+    const ledger = repository.dump(PAYOUT_LEDGER_COLLECTION);
+    assert.equal(ledger['commission_inv-1_2024-05-02_L1'].reversedBy, 'reversal_commission_inv-1_2024-05-02_L1');
+    assert.equal(ledger['reversal_commission_inv-1_2024-05-02_L1'].userId, 'ref-1');
+    assert.equal(ledger['reversal_commission_inv-1_2024-05-02_L1'].amount, -2);
+    assert.equal(ledger['commission_inv-1_2024-05-01_L1'].reversedBy, undefined);
+    assert.deepEqual((await runReconciliation(repository)).users, []);
+  });
+
+  it('refreshes the USERS profile of the affected users', async () => {
+    const repository = await paidForThreeDays();
+    const preview = await previewReversal(repository, { userId: 'user-1', since: '2024-05-02' });
+
+    await applyReversal(repository, preview, { actor: 'ops', reason: 'wrong rate', today: '2024-05-03' });
+
+    const profile = repository.dump('USERS')['user-1'];
+    assert.equal(profile.totalPaidToday, 0);
+    assert.equal(profile.totalPaidTodayDate, '2024-05-03');
+    assert.equal(profile.currentPlanDaysCompleted, 1);
+  });
+
+  it('requires a filter, an actor and a reason', async () => {
+    const repository = await paidForThreeDays();
+
+    await assert.rejects(previewReversal(repository, {}), /needs an investment, a user or a date range/);
+    const preview = await previewReversal(repository, { investmentId: 'inv-1' });
+    await assert.rejects(applyReversal(repository, preview, { actor: 'ops' }), /actor.*reason/);
+  });
+});
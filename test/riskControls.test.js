@@ -0,0 +1,336 @@
+// test/riskControls.test.js
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { riskConfigFromEnv, defaultRiskConfig, accountBlock, approvalReasons } = require('../lib/riskControls');
+const { listPendingPayouts, approvePendingPayout, rejectPendingPayout } = require('../lib/pendingPayouts');
+const { runRoiTaskNow } = require('../lib/engines/roiTask');
+const { PAYOUT_LEDGER_COLLECTION } = require('../lib/payoutLedger');
+const { runDailyROIIncrease } = require('../lib/engines/dailyRoiIncrease');
+const { createMemoryRepository } = require('../lib/repositories/memoryRepository');
+const { silenceConsole, activeInvestment } = require('./helpers');
+
+function skipsOf(report, investmentId) {
+  return report.users.flatMap((user) => user.investments)
+    .filter((investment) => investment.investmentId === investmentId)
+    .flatMap((investment) => investment.skips.map((skip) => skip.reason));
+}
+
+describe('riskConfigFromEnv', () => {
+  it('reads caps and thresholds in minor units per currency', () => {
+    const config = riskConfigFromEnv({ RISK_USER_DAILY_CAP: '50', RISK_APPROVAL_THRESHOLD: '12.5, JPY:7500', RISK_JUMP_FACTOR: '3', RISK_BLOCKED_KYC_STATUSES: 'failed, pending' });
+
+    assert.deepEqual(config.userDailyCaps, { USD: 5000 });
+    assert.deepEqual(config.platformDailyCaps, {});
+    assert.deepEqual(config.approvalThresholds, { USD: 1250, JPY: 7500 });
+    assert.equal(config.jumpFactor, 3);
+    assert.deepEqual(config.blockedKycStatuses, ['failed', 'pending']);
+  });
+
+  it('rejects malformed settings', () => {
+    assert.throws(() => riskConfigFromEnv({ RISK_USER_DAILY_CAP: 'lots' }), /RISK_USER_DAILY_CAP must be a positive amount/);
+    assert.throws(() => riskConfigFromEnv({ RISK_USER_DAILY_CAP: 'XYZ:50' }), /RISK_USER_DAILY_CAP names an unsupported currency "XYZ"/);
+    assert.throws(() => riskConfigFromEnv({ RISK_JUMP_FACTOR: '1' }), /RISK_JUMP_FACTOR must be a number above 1/);
+  });
+});
+
+describe('accountBlock and approvalReasons', () => {
+  it('blocks frozen accounts and blocked KYC statuses', () => {
+    const config = defaultRiskConfig();
+
+    assert.equal(accountBlock({ frozen: true }, config), 'account is frozen');
+    assert.equal(accountBlock({ kycStatus: 'rejected' }, config), 'KYC status is "rejected"');
+    assert.equal(accountBlock({ kycStatus: 'verified' }, config), null);
+    assert.equal(accountBlock(null, config), null);
+  });
+
+  it('flags payouts above the threshold or far above the investment history', () => {
+    const config = riskConfigFromEnv({ RISK_APPROVAL_THRESHOLD: '100', RISK_JUMP_FACTOR: '2' });
+    const history = { payoutLogs: [{ status: 'paid', amount: 20 }, { status: 'reversed', amount: 500 }] };
+
+    assert.deepEqual(approvalReasons({ roiAmountMinor: 3000, currency: 'USD' }, history, config), []);
+    assert.deepEqual(approvalReasons({ roiAmountMinor: 15000, currency: 'USD' }, history, config), [
+      '$150.00 is above the approval threshold of $100.00',
+      '$150.00 is more than 2x the largest earlier payout ($20.00)',
+    ]);
+    assert.deepEqual(approvalReasons({ roiAmountMinor: 15000, currency: 'USD' }, {}, riskConfigFromEnv({ RISK_JUMP_FACTOR: '2' })), []);
+  });
+
+  it('compares a payout only with the threshold of its own currency', () => {
+    assert.deepEqual(approvalReasons({ roiAmountMinor: 200, currency: 'JPY' }, {}, riskConfigFromEnv({ RISK_APPROVAL_THRESHOLD: '100' })), []);
+    assert.deepEqual(approvalReasons({ roiAmountMinor: 20000, currency: 'JPY' }, {}, riskConfigFromEnv({ RISK_APPROVAL_THRESHOLD: '1, JPY:15000' })), [
+      '¥20000 is above the approval threshold of ¥15000',
+    ]);
+  });
+});
+
+describe('risk controls in runRoiTaskNow', () => {
+  beforeEach(silenceConsole);
+  afterEach(() => mock.restoreAll());
+
+  it('skips frozen and KYC-failed accounts', async () => {
+    const repository = createMemoryRepository({
+      INVESTMENT: { 'inv-1': activeInvestment(), 'inv-2': activeInvestment({ userId: 'user-2' }) },
+      USERS: { 'user-1': { walletBalance: 0, frozen: true }, 'user-2': { walletBalance: 0, kycStatus: 'failed' } },
+    });
+
+    const report = (await runRoiTaskNow(repository, { asOf: '2024-05-01' })).toJSON();
+
+    assert.equal(repository.dump('USERS')['user-1'].walletBalance, 0);
+    assert.deepEqual(skipsOf(report, 'inv-1'), ['risk: account is frozen']);
+    assert.deepEqual(skipsOf(report, 'inv-2'), ['risk: KYC status is "failed"']);
+  });
+
+  it('holds a user at the daily cap across investments and runs', async () => {
+    const repository = createMemoryRepository({
+      INVESTMENT: { 'inv-1': activeInvestment(), 'inv-2': activeInvestment() },
+      USERS: { 'user-1': { walletBalance: 0 } },
+    });
+    const risk = riskConfigFromEnv({ RISK_USER_DAILY_CAP: '30' });
+
+    await runRoiTaskNow(repository, { asOf: '2024-05-01', risk });
+    const again = (await runRoiTaskNow(repository, { asOf: '2024-05-01', risk })).toJSON();
+
+    assert.equal(repository.dump('USERS')['user-1'].walletBalance, 20);
+    assert.equal(Object.keys(repository.dump(PAYOUT_LEDGER_COLLECTION)).length, 1);
+    assert.match(skipsOf(again, 'inv-2')[0], /^risk: user daily cap of \$30\.00 reached for 2024-05-01 \(\$20\.00 already paid\)/);
+  });
+
+  it('caps each currency with its own limit', async () => {
+    const repository = createMemoryRepository({
+      INVESTMENT: {
+        'inv-1': activeInvestment(),
+        'inv-2': activeInvestment({ userId: 'user-2', activePlan: { amount: 10000, currency: 'JPY' } }),
+        'inv-3': activeInvestment({ userId: 'user-2', activePlan: { amount: 20000, currency: 'JPY' } }),
+      },
+      USERS: { 'user-1': { walletBalance: 0 }, 'user-2': { walletBalance: 0, walletCurrency: 'JPY' } },
+    });
+
+    const report = (await runRoiTaskNow(repository, { asOf: '2024-05-01', risk: riskConfigFromEnv({ RISK_USER_DAILY_CAP: '30, JPY:500' }) })).toJSON();
+
+    const users = repository.dump('USERS');
+    assert.equal(users['user-1'].walletBalance, 20);
+    assert.equal(users['user-2'].walletBalance, 200); // ¥400 more would pass ¥500
+    assert.match(skipsOf(report, 'inv-3')[0], /^risk: user daily cap of ¥500 reached for 2024-05-01 \(¥200 already paid\)/);
+  });
+
+  it('stops paying everyone at the platform cap', async () => {
+    const repository = createMemoryRepository({
+      INVESTMENT: { 'inv-1': activeInvestment(), 'inv-2': activeInvestment({ userId: 'user-2' }) },
+      USERS: { 'user-1': { walletBalance: 0 }, 'user-2': { walletBalance: 0 } },
+    });
+
+    await runRoiTaskNow(repository, { asOf: '2024-05-01', risk: riskConfigFromEnv({ RISK_PLATFORM_DAILY_CAP: '25' }) });
+
+    const users = repository.dump('USERS');
+    assert.equal(users['user-1'].walletBalance + users['user-2'].walletBalance, 20);
+  });
+
+  describe('approval queue', () => {
+    const risk = riskConfigFromEnv({ RISK_APPROVAL_THRESHOLD: '15' });
+
+    async function queued() {
+      const repository = createMemoryRepository({
+        INVESTMENT: { 'inv-1': activeInvestment() },
+        USERS: { 'user-1': { walletBalance: 0 } },
+      });
+      const report = (await runRoiTaskNow(repository, { asOf: '2024-05-01', risk })).toJSON();
+      return { repository, report };
+    }
+
+    it('queues a payout above the threshold and holds the investment', async () => {
+      const { repository, report } = await queued();
+
+      assert.equal(repository.dump('USERS')['user-1'].walletBalance, 0);
+      const [item] = await listPendingPayouts(repository);
+      assert.equal(item.id, 'inv-1_2024-05-01');
+      assert.equal(item.data.amountMinor, 2000);
+      assert.deepEqual(item.data.reasons, ['$20.00 is above the approval threshold of $15.00']);
+      assert.equal(repository.dump('INVESTMENT')['inv-1'].pendingPayoutId, 'inv-1_2024-05-01');
+      assert.equal(report.totals.held, 1);
+
+      const next = (await runRoiTaskNow(repository, { asOf: '2024-05-02', risk })).toJSON();
+      assert.deepEqual(skipsOf(next, 'inv-1'), ['payout inv-1_2024-05-01 awaiting approval']);
+      assert.equal((await listPendingPayouts(repository)).length, 1);
+    });
+
+    it('does not queue anything in dry-run mode', async () => {
+      const repository = createMemoryRepository({
+        INVESTMENT: { 'inv-1': activeInvestment() },
+        USERS: { 'user-1': { walletBalance: 0 } },
+      });
+
+      const report = (await runRoiTaskNow(repository, { asOf: '2024-05-01', risk, dryRun: true })).toJSON();
+
+      assert.equal(report.totals.held, 1);
+      assert.deepEqual(repository.dump('pendingPayouts'), {});
+      assert.equal(repository.dump('INVESTMENT')['inv-1'].pendingPayoutId, undefined);
+    });
+
+    it('pays an approved payout through the ledger and releases the investment', async () => {
+      const { repository } = await queued();
+
+      const approved = await approvePendingPayout(repository, 'inv-1_2024-05-01', { actor: 'ops', risk });
+
+      assert.deepEqual(approved, { pendingPayoutId: 'inv-1_2024-05-01', paid: true, amount: 20 });
+      assert.equal(repository.dump('USERS')['user-1'].walletBalance, 20);
+      assert.equal(repository.dump(PAYOUT_LEDGER_COLLECTION)['inv-1_2024-05-01'].type, 'roi');
+      assert.equal(repository.dump('INVESTMENT')['inv-1'].pendingPayoutId, undefined);
+      assert.equal(repository.dump('pendingPayouts')['inv-1_2024-05-01'].status, 'approved');
+      await assert.rejects(approvePendingPayout(repository, 'inv-1_2024-05-01', { actor: 'ops' }), /already approved by ops/);
+    });
+
+    it('will not pay an approved payout to a frozen account', async () => {
+      const { repository } = await queued();
+      await repository.commitWrites([{ type: 'update', collection: 'USERS', id: 'user-1', data: { frozen: true } }]);
+
+      await assert.rejects(approvePendingPayout(repository, 'inv-1_2024-05-01', { actor: 'ops' }), /account is frozen/);
+      assert.equal(repository.dump('pendingPayouts')['inv-1_2024-05-01'].status, 'pending');
+    });
+
+    it('releases a rejected payout without paying or queueing that day again', async () => {
+      const { repository } = await queued();
+
+      await rejectPendingPayout(repository, 'inv-1_2024-05-01', { actor: 'ops', reason: 'suspicious deposit' });
+      const rerun = (await runRoiTaskNow(repository, { asOf: '2024-05-01', risk })).toJSON();
+
+      assert.equal(repository.dump('USERS')['user-1'].walletBalance, 0);
+      assert.equal(repository.dump('INVESTMENT')['inv-1'].pendingPayoutId, undefined);
+      assert.equal(repository.dump('pendingPayouts')['inv-1_2024-05-01'].decisionReason, 'suspicious deposit');
+      assert.equal(rerun.totals.held, 0);
+      assert.equal(rerun.totals.payouts, 0);
+      await assert.rejects(rejectPendingPayout(repository, 'inv-1_2024-05-01', { actor: 'ops' }), /who made it \(actor\) and why/);
+    });
+
+    it('moves past a rejected day when catching up', async () => {
+      const repository = createMemoryRepository({
+        INVESTMENT: { 'inv-1': activeInvestment({ lastRoiPaymentDate: '2024-05-01', activePlan: { daysCompleted: 1 } }) },
+        USERS: { 'user-1': { walletBalance: 0 } },
+      });
+      await runRoiTaskNow(repository, { asOf: '2024-05-03', catchUp: true, risk });
+      await rejectPendingPayout(repository, 'inv-1_2024-05-02', { actor: 'ops', reason: 'suspicious deposit' });
+
+      const rerun = (await runRoiTaskNow(repository, { asOf: '2024-05-03', catchUp: true, risk })).toJSON();
+
+      assert.deepEqual(skipsOf(rerun, 'inv-1'), ['payout for 2024-05-02 already rejected']);
+      assert.equal(repository.dump('INVESTMENT')['inv-1'].pendingPayoutId, 'inv-1_2024-05-03');
+      await approvePendingPayout(repository, 'inv-1_2024-05-03', { actor: 'ops', risk });
+      assert.equal(repository.dump('USERS')['user-1'].walletBalance, 20);
+      assert.equal(repository.dump('INVESTMENT')['inv-1'].lastRoiPaymentDate, '2024-05-03');
+    });
+  });
+});
+
+describe('risk controls in runDailyROIIncrease', () => {
+  beforeEach(silenceConsole);
+  afterEach(() => mock.restoreAll());
+
+  it('skips frozen users and users over the daily cap', async () => {
+    const user = (overrides) => ({
+      earningStatus: 'active',
+      initialInvestmentAmount: 500,
+      investmentPlanId: 'basic',
+      lastROIUpdateDate: new Date('2024-05-09T02:00:00'),
+      ...overrides,
+    });
+    const repository = createMemoryRepository({
+      investmentPlans: { basic: { dailyROI: 4 } },
+      users: { alice: user({ frozen: true }), bob: user(), carol: user() },
+    });
+
+    const report = (await runDailyROIIncrease(repository, { asOf: '2024-05-10', risk: riskConfigFromEnv({ RISK_PLATFORM_DAILY_CAP: '30' }) })).toJSON();
+
+    const users = repository.dump('users');
+    assert.equal(users.alice.currentROIValue, undefined);
+    assert.equal(users.bob.currentROIValue, 20);
+    assert.equal(users.carol.currentROIValue, undefined);
+    assert.deepEqual(report.users.find((entry) => entry.userId === 'alice').investments[0].skips[0].reason, 'risk: account is frozen');
+    assert.match(report.users.find((entry) => entry.userId === 'carol').investments[0].skips[0].reason, /^risk: platform daily cap of \$30\.00/);
+  });
+
+  const legacyUser = (overrides) => ({
+    earningStatus: 'active',
+    initialInvestmentAmount: 500,
+    investmentPlanId: 'basic',
+    lastROIUpdateDate: new Date('2024-05-09T02:00:00Z'),
+    ...overrides,
+  });
+
+  it('counts what earlier runs and the roiTask engine paid for the date against the caps', async () => {
+    const repository = createMemoryRepository({
+      investmentPlans: { basic: { dailyROI: 4 } },
+      users: {
+        bob: legacyUser(),
+        carol: legacyUser(),
+        dave: legacyUser({
+          earningStatus: 'completed',
+          lastROIUpdateDate: new Date('2024-05-10T02:00:00Z'),
+          roiIncreaseLogs: [{ date: '2024-05-10', amount: 5, amountMinor: 500, currency: 'USD' }],
+        }),
+      },
+      [PAYOUT_LEDGER_COLLECTION]: {
+        'inv-1_2024-05-10': { type: 'roi', userId: 'user-1', payoutDate: '2024-05-10', amount: 20, amountMinor: 2000, currency: 'USD' },
+      },
+    });
+
+    const report = (await runDailyROIIncrease(repository, { asOf: '2024-05-10', risk: riskConfigFromEnv({ RISK_PLATFORM_DAILY_CAP: '45' }) })).toJSON();
+
+    const users = repository.dump('users');
+    assert.equal(users.bob.currentROIValue, 20); // $25 already paid, $45 with bob
+    assert.equal(users.carol.currentROIValue, undefined);
+    assert.match(report.users.find((entry) => entry.userId === 'carol').investments[0].skips[0].reason, /^risk: platform daily cap of \$45\.00/);
+  });
+
+  describe('approval queue', () => {
+    const risk = riskConfigFromEnv({ RISK_APPROVAL_THRESHOLD: '15' });
+
+    async function queued() {
+      const repository = createMemoryRepository({ investmentPlans: { basic: { dailyROI: 4 } }, users: { alice: legacyUser() } });
+      const report = (await runDailyROIIncrease(repository, { asOf: '2024-05-10', risk })).toJSON();
+      return { repository, report };
+    }
+
+    it('queues an increase above the threshold and holds the user', async () => {
+      const { repository, report } = await queued();
+
+      const { alice } = repository.dump('users');
+      assert.equal(alice.currentROIValue, undefined);
+      assert.equal(alice.pendingPayoutId, 'dailyRoiIncrease_alice_2024-05-10');
+      const [item] = await listPendingPayouts(repository);
+      assert.equal(item.data.engine, 'dailyRoiIncrease');
+      assert.equal(item.data.amountMinor, 2000);
+      assert.deepEqual(item.data.reasons, ['$20.00 is above the approval threshold of $15.00']);
+      assert.equal(report.totals.held, 1);
+
+      const next = (await runDailyROIIncrease(repository, { asOf: '2024-05-11', risk })).toJSON();
+      assert.equal(next.users[0].investments[0].skips[0].reason, 'payout dailyRoiIncrease_alice_2024-05-10 awaiting approval');
+    });
+
+    it('applies an approved increase as it was worked out', async () => {
+      const { repository } = await queued();
+
+      const approved = await approvePendingPayout(repository, 'dailyRoiIncrease_alice_2024-05-10', { actor: 'ops', risk });
+
+      assert.deepEqual(approved, { pendingPayoutId: 'dailyRoiIncrease_alice_2024-05-10', paid: true, amount: 20 });
+      const { alice } = repository.dump('users');
+      assert.equal(alice.currentROIValue, 20);
+      assert.equal(alice.roiIncreaseDayCount, 1);
+      assert.deepEqual(alice.roiIncreaseLogs.map((log) => log.date), ['2024-05-10']);
+      assert.equal(alice.pendingPayoutId, undefined);
+      assert.equal(repository.dump('pendingPayouts')['dailyRoiIncrease_alice_2024-05-10'].status, 'approved');
+    });
+
+    it('moves a rejected user past the rejected days', async () => {
+      const { repository } = await queued();
+
+      await rejectPendingPayout(repository, 'dailyRoiIncrease_alice_2024-05-10', { actor: 'ops', reason: 'suspicious deposit' });
+      const rerun = (await runDailyROIIncrease(repository, { asOf: '2024-05-10', risk, fromStart: true })).toJSON();
+      await runDailyROIIncrease(repository, { asOf: '2024-05-11', risk });
+
+      const { alice } = repository.dump('users');
+      assert.equal(alice.currentROIValue, undefined);
+      assert.equal(rerun.totals.held, 0);
+      assert.deepEqual((await listPendingPayouts(repository)).map((item) => item.id), ['dailyRoiIncrease_alice_2024-05-11']);
+    });
+  });
+});
@@ -0,0 +1,358 @@
+// test/roiRules.test.js
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  parseDaysCompleted,
+  planInvestmentPayout,
+  applyPlannedPayout,
+  lastPaidDateFor,
+  resolvePayoutDates,
+  summarizeUserInvestments,
+  evaluateUserRoiIncrease,
+  investmentPlanSettings,
+} = require('../lib/roiRules');
+const { owedPayoutDates, listPayoutDates } = require('../lib/payoutDates');
+const { activeInvestment } = require('./helpers');
+
+describe('parseDaysCompleted', () => {
+  it('accepts numbers and numeric strings', () => {
+    assert.equal(parseDaysCompleted({ daysCompleted: 3 }), 3);
+    assert.equal(parseDaysCompleted({ daysCompleted: '4' }), 4);
+  });
+
+  it('treats malformed values as 0', () => {
+    for (const daysCompleted of [undefined, null, 'abc', NaN, {}, true]) {
+      assert.equal(parseDaysCompleted({ daysCompleted }), 0, `daysCompleted: ${String(daysCompleted)}`);
+    }
+  });
+});
+
+describe('investmentPlanSettings', () => {
+  it('reads roiPercent as a fraction unless the plan says otherwise', () => {
+    assert.equal(investmentPlanSettings({ roiPercent: 0.05 }).settings.flatRate, 0.05);
+    assert.equal(investmentPlanSettings({ roiPercent: '0.03' }).settings.flatRate, 0.03);
+    assert.equal(investmentPlanSettings({ roiPercent: 3, rateFormat: 'percent' }).settings.flatRate, 0.03);
+  });
+
+  it('rejects missing, malformed and implausible rates', () => {
+    for (const roiPercent of [undefined, null, '', 'abc', 0, -0.01]) {
+      assert.equal(investmentPlanSettings({ roiPercent }).ok, false, `roiPercent: ${String(roiPercent)}`);
+    }
+    assert.match(investmentPlanSettings({ roiPercent: 2 }).reason, /would pay 200% a day as a fraction; set rateFormat/);
+    assert.equal(investmentPlanSettings({ roiPercent: 0.02, rateFormat: 'ratio' }).reason, 'invalid rateFormat "ratio"');
+  });
+});
+
+describe('day counting', () => {
+  it('lists dates inclusively across month ends', () => {
+    assert.deepEqual(listPayoutDates('2024-02-28', '2024-03-01'), ['2024-02-28', '2024-02-29', '2024-03-01']);
+  });
+
+  it('owes every day after the last payout, capped at the remaining cycle', () => {
+    assert.deepEqual(
+      owedPayoutDates({ lastPaidDate: '2024-05-01', asOfDate: '2024-05-04', remainingDays: 7 }),
+      ['2024-05-02', '2024-05-03', '2024-05-04']
+    );
+    assert.deepEqual(
+      owedPayoutDates({ lastPaidDate: '2024-05-01', asOfDate: '2024-05-10', remainingDays: 2 }),
+      ['2024-05-02', '2024-05-03']
+    );
+  });
+
+  it('owes nothing when already paid today or the cycle is over', () => {
+    assert.deepEqual(owedPayoutDates({ lastPaidDate: '2024-05-04', asOfDate: '2024-05-04', remainingDays: 3 }), []);
+    assert.deepEqual(owedPayoutDates({ lastPaidDate: '2024-05-01', asOfDate: '2024-05-04', remainingDays: 0 }), []);
+  });
+
+  it('finds the last paid date from the investment, its logs or its start date', () => {
+    const plan = { roiStartDate: '2024-05-10' };
+    assert.equal(lastPaidDateFor({ lastRoiPaymentDate: '2024-05-12' }, plan), '2024-05-12');
+    assert.equal(
+      lastPaidDateFor({ payoutLogs: [{ date: '2024-05-11', status: 'paid' }, { date: '2024-05-13', status: 'reversed' }] }, plan),
+      '2024-05-11'
+    );
+    assert.equal(lastPaidDateFor({}, plan), '2024-05-09');
+    assert.equal(lastPaidDateFor({}, {}), null);
+  });
+
+  it('resolves payout dates for normal, catch-up and backfill runs', () => {
+    const investment = activeInvestment({ lastRoiPaymentDate: '2024-05-01' });
+    const { activePlan } = investment;
+    const { settings } = investmentPlanSettings(activePlan);
+    assert.deepEqual(resolvePayoutDates(investment, activePlan, 0, '2024-05-03', {}, settings), ['2024-05-03']);
+    assert.deepEqual(
+      resolvePayoutDates(investment, activePlan, 0, '2024-05-03', { catchUp: true }, settings),
+      ['2024-05-02', '2024-05-03']
+    );
+    assert.deepEqual(
+      resolvePayoutDates(investment, activePlan, 5, '2024-05-20', { since: '2024-05-10', until: '2024-05-15' }, settings),
+      ['2024-05-10', '2024-05-11']
+    );
+    // Days already paid (a paid log or a ledger entry) do not use up the cycle's remaining days
+    const paid = { ...investment, payoutLogs: [{ date: '2024-05-10', status: 'paid' }, { date: '2024-05-12', status: 'reversed' }] };
+    assert.deepEqual(
+      resolvePayoutDates(paid, activePlan, 5, '2024-05-20', { since: '2024-05-10', until: '2024-05-15' }, settings, ['2024-05-11']),
+      ['2024-05-12', '2024-05-13']
+    );
+  });
+
+  it('skips weekends and holidays for business-day plans', () => {
+    const investment = activeInvestment({
+      lastRoiPaymentDate: '2024-05-02', // Thursday
+      activePlan: { businessDaysOnly: true, holidays: ['2024-05-06'] },
+    });
+    const { activePlan } = investment;
+    const { settings } = investmentPlanSettings(activePlan);
+    assert.deepEqual(
+      resolvePayoutDates(investment, activePlan, 0, '2024-05-07', { catchUp: true }, settings),
+      ['2024-05-03', '2024-05-07']
+    );
+    assert.deepEqual(resolvePayoutDates(investment, activePlan, 0, '2024-05-04', {}, settings), []);
+  });
+});
+
+describe('planInvestmentPayout', () => {
+  it('pays amount × roiPercent and advances the day count', () => {
+    const planned = planInvestmentPayout(activeInvestment({ activePlan: { daysCompleted: 2 } }), '2024-05-01');
+    assert.equal(planned.status, 'payable');
+    assert.equal(planned.roiAmount, 20);
+    assert.equal(planned.newDaysCompleted, 3);
+    assert.equal(planned.completed, false);
+    assert.equal(planned.restarted, false);
+  });
+
+  it('completes the plan on the last day of the cycle', () => {
+    const planned = planInvestmentPayout(activeInvestment({ activePlan: { daysCompleted: 6 } }), '2024-05-01');
+    assert.equal(planned.newDaysCompleted, 7);
+    assert.equal(planned.completed, true);
+
+    const next = applyPlannedPayout(activeInvestment({ activePlan: { daysCompleted: 6 } }), planned, '2024-05-01');
+    assert.equal(next.hasActivePlan, false);
+    assert.equal(next.activePlan.isActive, false);
+    assert.equal(next.activePlan.status, 'completed');
+  });
+
+  it('restarts the cycle instead of completing when action is "restart"', () => {
+    const investment = activeInvestment({ activePlan: { daysCompleted: 6, action: 'restart' } });
+    const planned = planInvestmentPayout(investment, '2024-05-01');
+    assert.equal(planned.restarted, true);
+    assert.equal(planned.completed, false);
+
+    const next = applyPlannedPayout(investment, planned, '2024-05-01');
+    assert.equal(next.activePlan.daysCompleted, 0);
+    assert.equal(next.activePlan.action, 'active');
+    assert.equal(next.activePlan.isActive, true);
+  });
+
+  it('uses the plan\'s own cycle length', () => {
+    const investment = activeInvestment({ activePlan: { daysCompleted: 6, durationDays: 10 } });
+    const planned = planInvestmentPayout(investment, '2024-05-01');
+    assert.equal(planned.newDaysCompleted, 7);
+    assert.equal(planned.completed, false);
+    assert.equal(planInvestmentPayout(activeInvestment({ activePlan: { daysCompleted: 9, durationDays: 10 } }), '2024-05-01').completed, true);
+  });
+
+  it('pays the tier rate for the day', () => {
+    const rateSchedule = [{ fromDay: 1, toDay: 3, rate: 0.02 }, { fromDay: 4, toDay: 10, rate: 0.03 }];
+    assert.equal(planInvestmentPayout(activeInvestment({ activePlan: { daysCompleted: 2, rateSchedule } }), '2024-05-01').roiAmount, 20);
+    assert.equal(planInvestmentPayout(activeInvestment({ activePlan: { daysCompleted: 3, rateSchedule } }), '2024-05-01').roiAmount, 30);
+  });
+
+  it('compounds on earlier days of the cycle', () => {
+    const planned = planInvestmentPayout(activeInvestment({ activePlan: { daysCompleted: 1, interestType: 'compound', roiPercent: 0.1 } }), '2024-05-01');
+    assert.ok(Math.abs(planned.roiAmount - 110) < 1e-9);
+  });
+
+  it('rejects invalid plan settings with a reason', () => {
+    const planned = planInvestmentPayout(activeInvestment({ activePlan: { durationDays: 0 } }), '2024-05-01');
+    assert.deepEqual(planned, { status: 'invalid', reason: 'invalid durationDays "0"' });
+  });
+
+  it('refuses to pay a malformed or ambiguous roiPercent', () => {
+    assert.deepEqual(
+      planInvestmentPayout(activeInvestment({ activePlan: { roiPercent: 'abc' } }), '2024-05-01'),
+      { status: 'invalid', reason: 'roiPercent "abc" is not a number' }
+    );
+    // 2 meant as 2% would otherwise pay 100x too much
+    assert.equal(planInvestmentPayout(activeInvestment({ activePlan: { roiPercent: 2 } }), '2024-05-01').status, 'invalid');
+  });
+
+  it('pays in minor units of the plan currency', () => {
+    const percentPlan = planInvestmentPayout(activeInvestment({ activePlan: { roiPercent: 2, rateFormat: 'percent' } }), '2024-05-01');
+    assert.equal(percentPlan.roiAmount, 20);
+    assert.equal(percentPlan.roiAmountMinor, 2000);
+    assert.equal(percentPlan.parsedRoiPercent, 2); // Stored in the plan's own format
+
+    const odd = planInvestmentPayout(activeInvestment({ activePlan: { amount: 333.33, roiPercent: 0.015 } }), '2024-05-01');
+    assert.equal(odd.roiAmountMinor, 500); // 499.995 cents rounds half up
+    assert.equal(odd.roiAmount, 5);
+
+    const yen = planInvestmentPayout(activeInvestment({ activePlan: { amount: 1234, currency: 'JPY' } }), '2024-05-01');
+    assert.equal(yen.currency, 'JPY');
+    assert.equal(yen.roiAmountMinor, 25); // 24.68 yen, no fractional yen
+    assert.equal(planInvestmentPayout(activeInvestment({ activePlan: { currency: 'XYZ' } }), '2024-05-01').reason, 'unsupported currency "XYZ"');
+  });
+
+  it('reads a stored instant on the schedule\'s calendar', () => {
+    const investment = activeInvestment({ activePlan: { daysCompleted: 1 }, lastRoiPaymentDate: new Date('2024-05-01T23:30:00Z') });
+
+    assert.equal(planInvestmentPayout(investment, '2024-05-02').status, 'payable'); // 1 May in UTC
+    assert.equal(planInvestmentPayout(investment, '2024-05-02', { schedule: { timezone: 'Asia/Tokyo' } }).status, 'duplicate'); // 2 May in Tokyo
+  });
+
+  it('reports inactive or finished plans as stale', () => {
+    assert.equal(planInvestmentPayout(activeInvestment({ hasActivePlan: false }), '2024-05-01').status, 'stale');
+    assert.equal(planInvestmentPayout(activeInvestment({ activePlan: { daysCompleted: 7 } }), '2024-05-01').status, 'stale');
+    assert.equal(planInvestmentPayout({ activePlan: 'oops' }, '2024-05-01').status, 'stale');
+  });
+
+  it('treats days recorded only in payoutLogs or lastRoiPaymentDate as paid', () => {
+    const logged = activeInvestment({ payoutLogs: [{ date: '2024-05-01', amount: 20, status: 'paid' }] });
+    assert.equal(planInvestmentPayout(logged, '2024-05-01').status, 'duplicate');
+    assert.equal(planInvestmentPayout(logged, '2024-05-01', { backfill: true }).status, 'duplicate');
+
+    const recorded = activeInvestment({ lastRoiPaymentDate: '2024-05-05' });
+    assert.equal(planInvestmentPayout(recorded, '2024-05-05').status, 'duplicate');
+    assert.equal(planInvestmentPayout(recorded, '2024-05-03').status, 'duplicate');
+    assert.equal(planInvestmentPayout(recorded, '2024-05-06').status, 'payable');
+  });
+
+  it('never moves lastRoiPaymentDate backwards for a backfilled day', () => {
+    const planned = planInvestmentPayout(activeInvestment({ lastRoiPaymentDate: '2024-05-05' }), '2024-05-03', { backfill: true });
+    assert.equal(planned.isLatestPayment, false);
+  });
+});
+
+describe('summarizeUserInvestments', () => {
+  it('counts only active investments and picks the one closest to maturing', () => {
+    const summary = summarizeUserInvestments([
+      { id: 'a', data: activeInvestment({ activePlan: { amount: 500, daysCompleted: 2 }, lastRoiPaymentDate: '2024-05-02' }) },
+      { id: 'b', data: activeInvestment({ activePlan: { amount: 300, daysCompleted: 5 }, lastRoiPaymentDate: '2024-05-03' }) },
+      { id: 'c', data: activeInvestment({ hasActivePlan: false, activePlan: { amount: 900, daysCompleted: 7 } }) },
+    ], [{ amount: 10 }, { amount: 6 }]);
+
+    assert.equal(summary.activeInvestmentCount, 2);
+    assert.equal(summary.totalActivePrincipal, 800);
+    assert.equal(summary.totalPaidToday, 16);
+    assert.equal(summary.lastRoiPaymentDate, '2024-05-03');
+    assert.equal(summary.nextToMature.investmentId, 'b');
+    assert.equal(summary.nextToMature.daysRemaining, 2);
+  });
+
+  it('reads each lastRoiPaymentDate instant on the schedule\'s calendar', () => {
+    const investments = [{ id: 'a', data: activeInvestment({ lastRoiPaymentDate: new Date('2024-05-01T23:30:00Z') }) }];
+
+    assert.equal(summarizeUserInvestments(investments).lastRoiPaymentDate, '2024-05-01');
+    assert.equal(summarizeUserInvestments(investments, [], { timezone: 'Asia/Tokyo' }).lastRoiPaymentDate, '2024-05-02');
+  });
+
+  it('reports no plan to mature when nothing is active', () => {
+    const summary = summarizeUserInvestments([{ id: 'a', data: activeInvestment({ hasActivePlan: false }) }]);
+
+    assert.equal(summary.activeInvestmentCount, 0);
+    assert.equal(summary.nextToMature, null);
+  });
+});
+
+describe('evaluateUserRoiIncrease', () => {
+  const plan = { dailyROI: 4 };
+  const now = new Date('2024-05-10T02:00:00Z');
+  const activeUser = (overrides = {}) => ({
+    earningStatus: 'active',
+    initialInvestmentAmount: 500,
+    investmentPlanId: 'basic',
+    currentROI: 8,
+    roiIncreaseDayCount: 2,
+    lastROIUpdateDate: new Date('2024-05-09T02:00:00Z'),
+    ...overrides,
+  });
+
+  it('gives a skip reason for each ineligible user', () => {
+    const cases = [
+      [{ userData: activeUser({ initialInvestmentAmount: 0 }), plan }, 'initial investment amount is zero or less'],
+      [{ userData: activeUser({ investmentPlanId: undefined }), plan }, 'missing investmentPlanId'],
+      [{ userData: activeUser(), plan: { dailyROI: '4' } }, 'plan not found or dailyROI missing/invalid'],
+      [{ userData: activeUser(), plan: undefined }, 'plan not found or dailyROI missing/invalid'],
+      [{ userData: activeUser({ lastROIUpdateDate: null }), plan }, 'missing lastROIUpdateDate and roiStartDate'],
+      [{ userData: activeUser({ lastROIUpdateDate: new Date('2024-05-09T12:00:00Z') }), plan }, 'less than a full day since last update'],
+    ];
+    for (const [params, reason] of cases) {
+      assert.deepEqual(evaluateUserRoiIncrease({ ...params, now }), { action: 'skip', reason });
+    }
+  });
+
+  it('tolerates a run a few minutes early', () => {
+    const outcome = evaluateUserRoiIncrease({
+      userData: activeUser({ lastROIUpdateDate: new Date('2024-05-09T02:03:00Z') }),
+      plan,
+      now,
+    });
+    assert.equal(outcome.action, 'credit');
+  });
+
+  it('credits one day and computes the cumulative value', () => {
+    const outcome = evaluateUserRoiIncrease({ userData: activeUser(), plan, now });
+    assert.equal(outcome.action, 'credit');
+    assert.equal(outcome.roiIncreaseDayCount, 3);
+    assert.equal(outcome.currentROI, 12);
+    assert.equal(outcome.newROIValue, 60);
+    assert.deepEqual(outcome.logs.map((log) => log.date), ['2024-05-10']);
+  });
+
+  it('credits every missed day in catch-up mode, capped at the cycle', () => {
+    const userData = activeUser({ roiIncreaseDayCount: 4, currentROI: 16, lastROIUpdateDate: new Date('2024-05-04T02:00:00Z') });
+    assert.equal(evaluateUserRoiIncrease({ userData, plan, now }).roiIncreaseDayCount, 5);
+
+    const outcome = evaluateUserRoiIncrease({ userData, plan, now, catchUp: true });
+    assert.equal(outcome.roiIncreaseDayCount, 7);
+    assert.equal(outcome.currentROI, 28);
+    assert.equal(outcome.completed, true);
+    assert.deepEqual(outcome.logs.map((log) => log.date), ['2024-05-05', '2024-05-06', '2024-05-07']);
+  });
+
+  it('follows the plan\'s duration, schedule and interest type', () => {
+    const tieredPlan = { dailyROI: 4, durationDays: 10, rateSchedule: [{ fromDay: 1, toDay: 3, rate: 2 }, { fromDay: 4, rate: 3 }] };
+    const outcome = evaluateUserRoiIncrease({ userData: activeUser({ roiIncreaseDayCount: 3, currentROI: 6 }), plan: tieredPlan, now });
+    assert.equal(outcome.currentROI, 9);
+    assert.equal(outcome.completed, false);
+    assert.equal(outcome.cycleDays, 10);
+
+    const compoundPlan = { dailyROI: 10, interestType: 'compound' };
+    const compounded = evaluateUserRoiIncrease({ userData: activeUser({ roiIncreaseDayCount: 1, currentROI: 10 }), plan: compoundPlan, now });
+    assert.ok(Math.abs(compounded.currentROI - 21) < 1e-9);
+  });
+
+  it('skips non-business days for business-day plans', () => {
+    const saturday = new Date('2024-05-11T02:00:00Z');
+    const outcome = evaluateUserRoiIncrease({
+      userData: activeUser({ lastROIUpdateDate: new Date('2024-05-10T02:00:00Z') }),
+      plan: { dailyROI: 4, businessDaysOnly: true },
+      now: saturday,
+    });
+    assert.deepEqual(outcome, { action: 'skip', reason: 'not a business day for this plan' });
+  });
+
+  it('pays missed business days from a run on a weekend', () => {
+    const sunday = new Date('2024-05-12T02:00:00Z');
+    const userData = activeUser({ lastROIUpdateDate: new Date('2024-05-09T02:00:00Z') }); // Thursday's run; Friday's was missed
+    const businessPlan = { dailyROI: 4, businessDaysOnly: true };
+
+    const outcome = evaluateUserRoiIncrease({ userData, plan: businessPlan, now: sunday, catchUp: true });
+    assert.equal(outcome.action, 'credit');
+    assert.deepEqual(outcome.logs.map((log) => log.date), ['2024-05-10']);
+    assert.deepEqual(evaluateUserRoiIncrease({ userData, plan: businessPlan, now: sunday }).logs.map((log) => log.date), ['2024-05-10']);
+  });
+
+  it('marks a finished cycle completed', () => {
+    assert.deepEqual(
+      evaluateUserRoiIncrease({ userData: activeUser({ roiIncreaseDayCount: 7 }), plan, now }),
+      { action: 'markCompleted' }
+    );
+  });
+
+  it('accepts Firestore-style timestamps', () => {
+    const lastROIUpdateDate = { toDate: () => new Date('2024-05-09T02:00:00Z') };
+    assert.equal(evaluateUserRoiIncrease({ userData: activeUser({ lastROIUpdateDate }), plan, now }).action, 'credit');
+  });
+});
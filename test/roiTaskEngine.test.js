@@ -0,0 +1,232 @@
+// test/roiTaskEngine.test.js
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { runRoiTaskNow } = require('../lib/engines/roiTask');
+const { createMemoryRepository } = require('../lib/repositories/memoryRepository');
+const { PAYOUT_LEDGER_COLLECTION } = require('../lib/payoutLedger');
+const { LOCK_LOST, lockLostError } = require('../lib/jobLock');
+const { RUN_HISTORY_COLLECTION } = require('../lib/runHistory');
+const { silenceConsole, activeInvestment } = require('./helpers');
+
+function seed(investments, users = { 'user-1': { walletBalance: 100 } }) {
+  return createMemoryRepository({ INVESTMENT: investments, USERS: users });
+}
+
+describe('runRoiTaskNow', () => {
+  beforeEach(silenceConsole);
+  afterEach(() => mock.restoreAll());
+
+  it('pays one day, logs it and credits the wallet', async () => {
+    const repository = seed({ 'inv-1': activeInvestment() });
+
+    const report = await runRoiTaskNow(repository, { asOf: '2024-05-01' });
+
+    const investment = repository.dump('INVESTMENT')['inv-1'];
+    assert.equal(investment.activePlan.daysCompleted, 1);
+    assert.equal(investment.lastRoiPaymentDate, '2024-05-01');
+    assert.equal(investment.payoutLogs.length, 1);
+    assert.equal(investment.payoutLogs[0].amount, 20);
+    assert.equal(repository.dump('USERS')['user-1'].walletBalance, 120);
+    const ledgerEntry = repository.dump(PAYOUT_LEDGER_COLLECTION)['inv-1_2024-05-01'];
+    assert.equal(ledgerEntry.amountMinor, 2000);
+    assert.equal(ledgerEntry.currency, 'USD');
+    assert.equal(report.toJSON().totals.amount, 20);
+  });
+
+  it('skips a plan whose rate could be off by 100x instead of paying it', async () => {
+    const repository = seed({ 'inv-1': activeInvestment({ activePlan: { roiPercent: 2 } }) });
+
+    const report = (await runRoiTaskNow(repository, { asOf: '2024-05-01' })).toJSON();
+
+    assert.equal(repository.dump('USERS')['user-1'].walletBalance, 100);
+    assert.match(report.users[0].investments[0].skips[0].reason, /^invalid plan settings: roiPercent 2 would pay 200% a day/);
+  });
+
+  it('does not pay twice for the same day', async () => {
+    const repository = seed({ 'inv-1': activeInvestment() });
+
+    await runRoiTaskNow(repository, { asOf: '2024-05-01' });
+    const rerun = await runRoiTaskNow(repository, { asOf: '2024-05-01' });
+
+    assert.equal(repository.dump('USERS')['user-1'].walletBalance, 120);
+    assert.equal(repository.dump('INVESTMENT')['inv-1'].activePlan.daysCompleted, 1);
+    assert.equal(repository.dump(PAYOUT_LEDGER_COLLECTION)['inv-1_2024-05-01'].duplicateRunCount, 1);
+    assert.equal(rerun.toJSON().totals.payouts, 0);
+  });
+
+  it('does not pay again a day paid before the ledger existed', async () => {
+    const repository = seed(
+      { 'inv-1': activeInvestment({ lastRoiPaymentDate: '2024-05-01', payoutLogs: [{ date: '2024-05-01', amount: 20, status: 'paid' }], activePlan: { daysCompleted: 1 } }) },
+      { 'user-1': { walletBalance: 20 } }
+    );
+
+    const rerun = await runRoiTaskNow(repository, { asOf: '2024-05-01' });
+
+    assert.equal(repository.dump('USERS')['user-1'].walletBalance, 20);
+    assert.equal(repository.dump('INVESTMENT')['inv-1'].activePlan.daysCompleted, 1);
+    assert.deepEqual(repository.dump(PAYOUT_LEDGER_COLLECTION), {});
+    assert.equal(rerun.toJSON().totals.payouts, 0);
+  });
+
+  it('does not credit a plan in another currency than the wallet', async () => {
+    const repository = seed({ 'inv-1': activeInvestment({ activePlan: { amount: 10000, currency: 'JPY' } }) });
+
+    const report = (await runRoiTaskNow(repository, { asOf: '2024-05-01' })).toJSON();
+
+    assert.equal(repository.dump('USERS')['user-1'].walletBalance, 100);
+    assert.deepEqual(repository.dump(PAYOUT_LEDGER_COLLECTION), {});
+    assert.equal(report.totals.payouts, 0);
+    assert.match(JSON.stringify(report), /JPY payouts cannot be credited to a USD wallet/);
+  });
+
+  it('completes the plan on day 7', async () => {
+    const repository = seed({ 'inv-1': activeInvestment({ activePlan: { daysCompleted: 6 } }) });
+
+    await runRoiTaskNow(repository, { asOf: '2024-05-01' });
+
+    const investment = repository.dump('INVESTMENT')['inv-1'];
+    assert.equal(investment.hasActivePlan, false);
+    assert.equal(investment.activePlan.status, 'completed');
+    assert.equal(repository.dump('USERS')['user-1'].hasActiveInvestments, false);
+  });
+
+  it('restarts the plan on day 7 when action is "restart"', async () => {
+    const repository = seed({ 'inv-1': activeInvestment({ activePlan: { daysCompleted: 6, action: 'restart' } }) });
+
+    await runRoiTaskNow(repository, { asOf: '2024-05-01' });
+
+    const investment = repository.dump('INVESTMENT')['inv-1'];
+    assert.equal(investment.activePlan.daysCompleted, 0);
+    assert.equal(investment.activePlan.action, 'active');
+    assert.equal(investment.hasActivePlan, true);
+    assert.equal(repository.dump('USERS')['user-1'].walletBalance, 120);
+  });
+
+  it('auto-corrects a finished plan that is still marked active', async () => {
+    const repository = seed({ 'inv-1': activeInvestment({ activePlan: { daysCompleted: '9' } }) });
+
+    await runRoiTaskNow(repository, { asOf: '2024-05-01' });
+
+    assert.equal(repository.dump('INVESTMENT')['inv-1'].activePlan.status, 'completed');
+    assert.equal(repository.dump('USERS')['user-1'].hasActiveInvestments, false);
+    assert.equal(repository.dump('USERS')['user-1'].activeInvestmentCount, 0);
+    assert.equal(repository.dump('USERS')['user-1'].walletBalance, 100);
+  });
+
+  it('summarises all of a user\'s investments in one profile write', async () => {
+    const repository = seed({
+      'inv-1': activeInvestment({ activePlan: { daysCompleted: 6 } }),
+      'inv-2': activeInvestment({ activePlan: { planName: 'Gold', amount: 5000, daysCompleted: 2 } }),
+      'inv-3': activeInvestment({ activePlan: { planName: 'Silver', amount: 2000, daysCompleted: 4 } }),
+    });
+
+    await runRoiTaskNow(repository, { asOf: '2024-05-01' });
+
+    const profile = repository.dump('USERS')['user-1'];
+    assert.equal(profile.hasActiveInvestments, true); // inv-1 completed, the other two are still running
+    assert.equal(profile.activeInvestmentCount, 2);
+    assert.equal(profile.totalActivePrincipal, 7000);
+    assert.equal(profile.totalPaidToday, 20 + 100 + 40);
+    assert.equal(profile.walletBalance, 100 + 160);
+    assert.deepEqual(profile.nextMaturingInvestment, { investmentId: 'inv-3', planName: 'Silver', daysRemaining: 2 });
+    assert.equal(profile.currentPlanDaysCompleted, 5);
+    assert.equal(profile.lastRoiPaymentDate, '2024-05-01');
+  });
+
+  it('records a skip reason for each ineligible investment', async () => {
+    const repository = seed({
+      'no-user': activeInvestment({ userId: undefined }),
+      'no-plan': { ...activeInvestment(), activePlan: null },
+      inactive: activeInvestment({ hasActivePlan: false }),
+    });
+
+    const report = (await runRoiTaskNow(repository, { asOf: '2024-05-01' })).toJSON();
+
+    const skips = report.users.flatMap((user) => user.investments.map((entry) => [entry.investmentId, entry.skips[0].reason]));
+    assert.deepEqual(Object.fromEntries(skips), {
+      'no-user': 'missing userId',
+      'no-plan': 'activePlan missing or malformed',
+      inactive: 'plan not active',
+    });
+  });
+
+  it('catches up every missed day as its own payout', async () => {
+    const repository = seed({ 'inv-1': activeInvestment({ lastRoiPaymentDate: '2024-05-01', activePlan: { daysCompleted: 1 } }) });
+
+    await runRoiTaskNow(repository, { asOf: '2024-05-04', catchUp: true });
+
+    const investment = repository.dump('INVESTMENT')['inv-1'];
+    assert.deepEqual(investment.payoutLogs.map((log) => log.date), ['2024-05-02', '2024-05-03', '2024-05-04']);
+    assert.equal(investment.activePlan.daysCompleted, 4);
+    assert.equal(repository.dump('USERS')['user-1'].walletBalance, 160);
+  });
+
+  it('backfills only the days in the window that were not paid yet', async () => {
+    // Logs written before the ledger existed: no ledgerId, no ledger entries.
+    const legacyLogs = ['2024-05-01', '2024-05-02', '2024-05-03'].map((date) => ({ date, amount: 20, status: 'paid' }));
+    const repository = seed(
+      { 'inv-1': activeInvestment({ payoutLogs: legacyLogs, activePlan: { daysCompleted: 3 } }) },
+      { 'user-1': { walletBalance: 60 } }
+    );
+
+    await runRoiTaskNow(repository, { since: '2024-05-01', until: '2024-05-06' });
+
+    const investment = repository.dump('INVESTMENT')['inv-1'];
+    assert.deepEqual(Object.keys(repository.dump(PAYOUT_LEDGER_COLLECTION)).sort(), ['inv-1_2024-05-04', 'inv-1_2024-05-05', 'inv-1_2024-05-06']);
+    assert.equal(investment.activePlan.daysCompleted, 6);
+    assert.equal(investment.hasActivePlan, true);
+    assert.equal(repository.dump('USERS')['user-1'].walletBalance, 120);
+  });
+
+  it('pages through investments and resumes after the last finished page', async () => {
+    const investments = {};
+    for (const id of ['inv-a', 'inv-b', 'inv-c', 'inv-d', 'inv-e']) {
+      investments[id] = activeInvestment();
+    }
+    const repository = seed(investments);
+    await repository.commitWrites([{
+      type: 'set',
+      collection: 'roiJobCheckpoints',
+      id: 'roiTask_2024-05-01',
+      data: { status: 'running', lastDocId: 'inv-b' },
+    }]);
+
+    await runRoiTaskNow(repository, { asOf: '2024-05-01', pageSize: 2, concurrency: 2 });
+
+    const paidIds = Object.values(repository.dump(PAYOUT_LEDGER_COLLECTION)).map((entry) => entry.investmentId).sort();
+    assert.deepEqual(paidIds, ['inv-c', 'inv-d', 'inv-e']);
+    assert.equal(repository.dump('USERS')['user-1'].walletBalance, 160);
+    assert.equal(repository.dump('roiJobCheckpoints')['roiTask_2024-05-01'].status, 'completed');
+  });
+
+  it('stops paying and records the run as aborted once the job lock is lost', async () => {
+    const repository = seed({ 'inv-a': activeInvestment(), 'inv-b': activeInvestment() });
+    const lease = new AbortController();
+    const runTransaction = repository.runTransaction;
+    repository.runTransaction = async (fn) => {
+      const result = await runTransaction(fn);
+      lease.abort(lockLostError('roiPayouts')); // Lost right after the first payout
+      return result;
+    };
+
+    const report = (await runRoiTaskNow(repository, { asOf: '2024-05-01', pageSize: 1, signal: lease.signal })).toJSON();
+
+    assert.deepEqual(Object.keys(repository.dump(PAYOUT_LEDGER_COLLECTION)), ['inv-a_2024-05-01']);
+    assert.equal(repository.dump('USERS')['user-1'].walletBalance, 120);
+    assert.equal(report.status, 'aborted');
+    assert.equal(report.errorCode, LOCK_LOST);
+    assert.equal(repository.dump(RUN_HISTORY_COLLECTION)[report.runId].status, 'aborted');
+  });
+
+  it('writes nothing in dry-run mode', async () => {
+    const repository = seed({ 'inv-1': activeInvestment({ lastRoiPaymentDate: '2024-05-01', activePlan: { daysCompleted: 5 } }) });
+
+    const report = (await runRoiTaskNow(repository, { asOf: '2024-05-04', catchUp: true, dryRun: true })).toJSON();
+
+    assert.equal(report.totals.payouts, 2); // capped at the two days left in the cycle
+    assert.equal(report.totals.statusChanges, 1);
+    assert.equal(repository.dump('INVESTMENT')['inv-1'].activePlan.daysCompleted, 5);
+    assert.deepEqual(repository.dump(PAYOUT_LEDGER_COLLECTION), {});
+  });
+});
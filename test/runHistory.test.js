@@ -0,0 +1,96 @@
+// test/runHistory.test.js
+
+const fs = require('fs');
+const path = require('path');
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { RUN_HISTORY_COLLECTION, runDocument, recordRun, latestRun } = require('../lib/runHistory');
+const { createRunReport } = require('../lib/runReport');
+const { runRoiTaskNow } = require('../lib/engines/roiTask');
+const { parseRunOptions } = require('../lib/cliOptions');
+const { createMemoryRepository } = require('../lib/repositories/memoryRepository');
+const { silenceConsole, activeInvestment } = require('./helpers');
+
+describe('runDocument', () => {
+  it('stores counts, totals and one outcome per investment', () => {
+    const report = createRunReport({ engine: 'roiTask', asOf: '2024-05-01', trigger: 'cron' });
+    report.addPayout('u1', 'inv-1', { date: '2024-05-01', day: 1, amount: 20, planName: 'Starter' });
+    report.addSkip('u1', 'inv-2', 'plan not active');
+    report.addFailure('u2', 'inv-3', 'deadline exceeded');
+    report.finish();
+
+    const doc = runDocument(report);
+
+    assert.equal(doc.trigger, 'cron');
+    assert.equal(doc.status, 'succeeded');
+    assert.deepEqual(doc.counts, { users: 2, investments: 3, processed: 1, skipped: 1, failed: 1, payouts: 1, commissions: 0, held: 0, statusChanges: 0 });
+    assert.equal(doc.totalAmountPaid, 20);
+    assert.deepEqual(doc.outcomes.map((outcome) => [outcome.investmentId, outcome.outcome, outcome.reasons]), [
+      ['inv-1', 'paid', []],
+      ['inv-2', 'skipped', ['plan not active']],
+      ['inv-3', 'failed', ['deadline exceeded']],
+    ]);
+    assert.ok(doc.finishedAt >= doc.startedAt);
+  });
+
+  it('records the error that ended a run', () => {
+    const report = createRunReport({ engine: 'dailyRoiIncrease', asOf: '2024-05-01' });
+    report.finish({ error: new Error('No investment plans found.') });
+
+    assert.equal(runDocument(report).status, 'failed');
+    assert.equal(runDocument(report).error, 'No investment plans found.');
+  });
+});
+
+describe('recordRun', () => {
+  beforeEach(silenceConsole);
+  afterEach(() => mock.restoreAll());
+
+  it('never throws when the history cannot be written', async () => {
+    const report = createRunReport({ engine: 'roiTask', asOf: '2024-05-01' });
+    report.finish();
+    const repository = { commitWrites: async () => { throw new Error('unavailable'); } };
+
+    assert.equal(await recordRun(repository, report), false);
+  });
+
+  it('is written by every real run and found by latestRun', async () => {
+    const repository = createMemoryRepository({
+      INVESTMENT: { 'inv-1': activeInvestment(), 'inv-2': activeInvestment({ userId: 'ghost' }) },
+      USERS: { 'user-1': { walletBalance: 0 } },
+    });
+
+    const first = await runRoiTaskNow(repository, { asOf: '2024-05-01' });
+    const second = await runRoiTaskNow(repository, { since: '2024-04-30', until: '2024-04-30' });
+    await runRoiTaskNow(repository, { asOf: '2024-05-02', dryRun: true });
+
+    const runs = repository.dump(RUN_HISTORY_COLLECTION);
+    assert.equal(Object.keys(runs).length, 2);
+    const firstRun = runs[first.runId];
+    assert.equal(firstRun.trigger, 'manual');
+    assert.equal(firstRun.counts.failed, 1); // 'ghost' has no USERS document
+    assert.match(firstRun.outcomes.find((outcome) => outcome.investmentId === 'inv-2').reasons[0], /No document to update/);
+    assert.equal(runs[second.runId].trigger, 'backfill');
+    assert.equal((await latestRun(repository)).runId, second.runId);
+  });
+
+  it('records the trigger named on the command line or in ROI_TRIGGER', async () => {
+    const repository = createMemoryRepository({ INVESTMENT: { 'inv-1': activeInvestment() }, USERS: { 'user-1': { walletBalance: 0 } } });
+
+    const scheduled = await runRoiTaskNow(repository, { ...parseRunOptions(['--trigger', 'cron'], {}), asOf: '2024-05-01' });
+
+    assert.equal(repository.dump(RUN_HISTORY_COLLECTION)[scheduled.runId].trigger, 'cron');
+    assert.equal(parseRunOptions([], { ROI_TRIGGER: 'cron' }).trigger, 'cron');
+    assert.equal(parseRunOptions([], {}).trigger, null);
+    assert.throws(() => parseRunOptions(['--trigger', 'hourly'], {}), /--trigger must be one of cron, manual, backfill/);
+  });
+});
+
+describe('latestRun', () => {
+  it('has the composite index its per-engine query needs', () => {
+    const { indexes } = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'firestore.indexes.json'), 'utf8'));
+
+    const index = indexes.find((entry) => entry.collectionGroup === RUN_HISTORY_COLLECTION);
+    assert.deepEqual(index.fields, [{ fieldPath: 'engine', order: 'ASCENDING' }, { fieldPath: 'startedAt', order: 'DESCENDING' }]);
+  });
+});
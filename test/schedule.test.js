@@ -0,0 +1,170 @@
+// test/schedule.test.js
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { DEFAULT_SCHEDULE, resolveScheduleConfig, loadScheduleConfig, nextRunTimes, cachedNextRun, describeNextRuns } = require('../lib/schedule');
+const { businessDate, businessDateInstant, isValidTimezone, toPayoutDate } = require('../lib/payoutDates');
+const { runRoiTaskNow } = require('../lib/engines/roiTask');
+const { runDailyROIIncrease } = require('../lib/engines/dailyRoiIncrease');
+const { PAYOUT_LEDGER_COLLECTION } = require('../lib/payoutLedger');
+const { createMemoryRepository } = require('../lib/repositories/memoryRepository');
+const { silenceConsole, activeInvestment } = require('./helpers');
+
+describe('businessDate', () => {
+  it('takes the date in the given timezone, after the day boundary', () => {
+    const instant = new Date('2024-05-01T23:30:00Z');
+
+    assert.equal(businessDate(instant), '2024-05-01');
+    assert.equal(businessDate(instant, { timezone: 'Africa/Lagos' }), '2024-05-02');
+    assert.equal(businessDate(instant, { timezone: 'Africa/Lagos', dayStartHour: 3 }), '2024-05-01');
+    assert.equal(businessDateInstant('2024-05-02', { timezone: 'Africa/Lagos', dayStartHour: 3 }, 2).toISOString(), '2024-05-02T04:00:00.000Z');
+    assert.equal(isValidTimezone('America/New_York'), true);
+    assert.equal(isValidTimezone('Mars/Olympus'), false);
+  });
+
+  it('keeps stored payout dates and dates stored instants on the given calendar', () => {
+    const instant = new Date('2024-05-01T23:30:00Z');
+
+    assert.equal(toPayoutDate('2024-05-01', { timezone: 'Pacific/Auckland' }), '2024-05-01');
+    assert.equal(toPayoutDate('2024-02-30'), null);
+    assert.equal(toPayoutDate(instant), '2024-05-01');
+    assert.equal(toPayoutDate({ toDate: () => instant }, { timezone: 'Africa/Lagos' }), '2024-05-02');
+  });
+});
+
+describe('resolveScheduleConfig', () => {
+  it('prefers the environment, then the config document, then the defaults', () => {
+    const { config, sources } = resolveScheduleConfig(
+      { cron: '0 1 * * *', timezone: 'Africa/Lagos', dayStartHour: 1 },
+      { ROI_CRON_SCHEDULE: '30 2 * * 1-5', ROI_SCHEDULE_PREVIEW: '2' }
+    );
+
+    assert.deepEqual(config, { cron: '30 2 * * 1-5', timezone: 'Africa/Lagos', dayStartHour: 1, previewRuns: 2 });
+    assert.deepEqual(sources, { cron: 'ROI_CRON_SCHEDULE', timezone: 'roiConfig/schedule', dayStartHour: 'roiConfig/schedule', previewRuns: 'ROI_SCHEDULE_PREVIEW' });
+    assert.deepEqual(resolveScheduleConfig(null, {}).config, DEFAULT_SCHEDULE);
+  });
+
+  it('rejects invalid cron expressions, timezones and boundaries', () => {
+    assert.throws(() => resolveScheduleConfig(null, { ROI_CRON_SCHEDULE: '61 2 * * *' }), /Invalid cron expression "61 2 \* \* \*" \(from ROI_CRON_SCHEDULE\)/);
+    assert.throws(() => resolveScheduleConfig({ timezone: 'Lagos' }, {}), /Unknown timezone "Lagos" \(from roiConfig\/schedule\)/);
+    assert.throws(() => resolveScheduleConfig(null, { ROI_DAY_START_HOUR: '24' }), /dayStartHour must be a whole hour from 0 to 23/);
+    assert.throws(() => resolveScheduleConfig(null, { ROI_SCHEDULE_PREVIEW: 'many' }), /previewRuns must be a whole number/);
+  });
+
+  it('reads the config document through the repository', async () => {
+    const repository = createMemoryRepository({ roiConfig: { schedule: { timezone: 'Asia/Tokyo' } } });
+
+    const { config } = await loadScheduleConfig(repository, {});
+
+    assert.equal(config.timezone, 'Asia/Tokyo');
+    assert.equal(config.cron, '0 2 * * *');
+  });
+});
+
+describe('nextRunTimes', () => {
+  it('lists upcoming runs in the schedule timezone', () => {
+    const config = { ...DEFAULT_SCHEDULE, timezone: 'Africa/Lagos' };
+
+    const runs = nextRunTimes(config, 2, new Date('2024-05-01T01:00:00Z'));
+
+    assert.deepEqual(runs.map((run) => run.toISOString()), ['2024-05-02T01:00:00.000Z', '2024-05-03T01:00:00.000Z']);
+    assert.deepEqual(describeNextRuns(config, runs.slice(0, 1)), ['Thu 2024-05-02 02:00 Africa/Lagos (2024-05-02T01:00:00.000Z)']);
+  });
+
+  it('finds weekday-only runs without skipping ahead', () => {
+    const runs = nextRunTimes({ cron: '30 1 * * 1-5', timezone: 'UTC' }, 2, new Date('2024-05-03T12:00:00Z')); // a Friday
+
+    assert.deepEqual(runs.map((run) => run.toISOString()), ['2024-05-06T01:30:00.000Z', '2024-05-07T01:30:00.000Z']);
+  });
+
+  it('leaves out local times skipped by daylight saving', () => {
+    const runs = nextRunTimes({ cron: '30 2 * * *', timezone: 'Europe/Berlin' }, 2, new Date('2024-03-30T12:00:00Z'));
+
+    assert.deepEqual(runs.map((run) => run.toISOString()), ['2024-04-01T00:30:00.000Z', '2024-04-02T00:30:00.000Z']);
+  });
+
+  it('works the next run out again only once it has passed', () => {
+    let now = new Date('2024-05-01T01:00:00Z');
+    const nextRunAt = cachedNextRun(DEFAULT_SCHEDULE, () => now);
+
+    const first = nextRunAt();
+    assert.equal(first.toISOString(), '2024-05-01T02:00:00.000Z');
+    now = new Date('2024-05-01T01:59:00Z');
+    assert.equal(nextRunAt(), first); // the same Date: nothing recomputed
+    now = new Date('2024-05-01T02:00:01Z');
+    assert.equal(nextRunAt().toISOString(), '2024-05-02T02:00:00.000Z');
+  });
+});
+
+describe('timezones in the engines', () => {
+  beforeEach(silenceConsole);
+  afterEach(() => mock.restoreAll());
+
+  it('pays each roiTask plan for its own business date', async (t) => {
+    t.mock.timers.enable({ apis: ['Date'], now: new Date('2024-05-01T23:30:00Z') });
+    const repository = createMemoryRepository({
+      INVESTMENT: {
+        'inv-1': activeInvestment(),
+        'inv-2': activeInvestment({ activePlan: { payoutTimezone: 'Africa/Lagos' } }),
+        'inv-3': activeInvestment({ activePlan: { payoutTimezone: 'Lagos' } }),
+      },
+      USERS: { 'user-1': { walletBalance: 0 } },
+    });
+
+    const report = (await runRoiTaskNow(repository, { schedule: DEFAULT_SCHEDULE })).toJSON();
+
+    assert.equal(report.asOf, '2024-05-01');
+    assert.deepEqual(Object.keys(repository.dump(PAYOUT_LEDGER_COLLECTION)).sort(), ['inv-1_2024-05-01', 'inv-2_2024-05-02']);
+    assert.equal(repository.dump('INVESTMENT')['inv-2'].lastRoiPaymentDate, '2024-05-02');
+    const skips = report.users[0].investments.find((investment) => investment.investmentId === 'inv-3').skips;
+    assert.equal(skips[0].reason, 'invalid plan settings: invalid payoutTimezone "Lagos"');
+  });
+
+  it('dates stored instants on the plan calendar, whatever the server timezone', async (t) => {
+    const serverTimezone = process.env.TZ;
+    process.env.TZ = 'Pacific/Auckland';
+    t.after(() => {
+      if (serverTimezone === undefined) {
+        delete process.env.TZ;
+      } else {
+        process.env.TZ = serverTimezone;
+      }
+    });
+    const roiStartDate = new Date('2024-05-01T13:00:00Z'); // 01:00 on 2 May in Auckland
+    const repository = createMemoryRepository({
+      INVESTMENT: {
+        'inv-1': activeInvestment({ roiStartDate }),
+        'inv-2': activeInvestment({ roiStartDate, activePlan: { payoutTimezone: 'Pacific/Auckland' } }),
+      },
+      USERS: { 'user-1': { walletBalance: 0 } },
+    });
+
+    await runRoiTaskNow(repository, { asOf: '2024-05-03', catchUp: true, schedule: DEFAULT_SCHEDULE });
+
+    assert.deepEqual(Object.keys(repository.dump(PAYOUT_LEDGER_COLLECTION)).sort(), [
+      'inv-1_2024-05-01', 'inv-1_2024-05-02', 'inv-1_2024-05-03',
+      'inv-2_2024-05-02', 'inv-2_2024-05-03',
+    ]);
+  });
+
+  it('dates daily ROI logs on the schedule timezone', async () => {
+    const repository = createMemoryRepository({
+      investmentPlans: { basic: { dailyROI: 4 } },
+      users: {
+        alice: {
+          earningStatus: 'active',
+          initialInvestmentAmount: 500,
+          investmentPlanId: 'basic',
+          lastROIUpdateDate: new Date('2024-05-09T14:00:00Z'), // 02:00 on 10 May in Auckland
+        },
+      },
+    });
+    const schedule = { ...DEFAULT_SCHEDULE, timezone: 'Pacific/Auckland' };
+
+    await runDailyROIIncrease(repository, { asOf: '2024-05-11', schedule });
+
+    const { alice } = repository.dump('users');
+    assert.equal(alice.roiIncreaseLogs[0].date, '2024-05-11');
+    assert.equal(repository.dump('roiJobCheckpoints')['dailyRoiIncrease_2024-05-11'].businessDate, '2024-05-11');
+  });
+});
@@ -0,0 +1,49 @@
+// test/statusServer.test.js
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createStatusServer } = require('../lib/statusServer');
+const { createMemoryRepository } = require('../lib/repositories/memoryRepository');
+
+describe('status server', () => {
+  const nextRun = new Date('2024-05-02T02:00:00Z');
+  const repository = createMemoryRepository({
+    roiJobRuns: {
+      'run-old': { runId: 'run-old', engine: 'roiTask', startedAt: new Date('2024-05-01T02:00:00Z'), status: 'succeeded' },
+      'run-new': { runId: 'run-new', engine: 'dailyRoiIncrease', startedAt: new Date('2024-05-01T03:00:00Z'), status: 'failed' },
+    },
+  });
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    server = createStatusServer({ repository, nextRunAt: () => nextRun });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => new Promise((resolve) => server.close(resolve)));
+
+  it('reports health and the next scheduled run', async () => {
+    const res = await fetch(`${baseUrl}/healthz`);
+    const body = await res.json();
+
+    assert.equal(res.status, 200);
+    assert.equal(body.status, 'ok');
+    assert.equal(body.nextScheduledRun, '2024-05-02T02:00:00.000Z');
+  });
+
+  it('serves the latest run, optionally for one engine', async () => {
+    assert.equal((await (await fetch(`${baseUrl}/runs/latest`)).json()).runId, 'run-new');
+    assert.equal((await (await fetch(`${baseUrl}/runs/latest?engine=roiTask`)).json()).runId, 'run-old');
+  });
+
+  it('serves a run by ID and 404s on unknown ones', async () => {
+    const res = await fetch(`${baseUrl}/runs/run-old`);
+    assert.equal(res.status, 200);
+    assert.equal((await res.json()).startedAt, '2024-05-01T02:00:00.000Z');
+
+    assert.equal((await fetch(`${baseUrl}/runs/nope`)).status, 404);
+    assert.equal((await fetch(`${baseUrl}/elsewhere`)).status, 404);
+  });
+});